@@ -4,14 +4,23 @@ import dotenv from 'dotenv';
 import chatRoutes from './routes/chat.js';
 import toolRoutes from './routes/tools.js';
 import fileRoutes from './routes/files.js';
+import providerRoutes from './routes/providers.js';
+import sandboxRoutes from './routes/sandbox.js';
 import { ensureMediaDirs, MEDIA_ROOT } from './services/media.js';
+import { configureFixtures, getFixtureMode } from './services/fixtures.js';
+import { getResilienceState } from './services/resilience.js';
+import { loadToolPlugins } from './tools/plugins.js';
+import { connectMcpServers } from './tools/mcp.js';
 
 dotenv.config();
+configureFixtures();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 ensureMediaDirs();
+await loadToolPlugins();
+await connectMcpServers();
 
 // Middleware
 app.use(cors({
@@ -23,13 +32,17 @@ app.use('/media', express.static(MEDIA_ROOT));
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  const providers = getResilienceState();
+  const degraded = Object.values(providers).some(provider => provider.state !== 'closed');
+  res.json({ status: degraded ? 'degraded' : 'ok', fixtureMode: getFixtureMode(), providers, timestamp: new Date().toISOString() });
 });
 
 // Routes
 app.use('/api/chat', chatRoutes);
 app.use('/api/tools', toolRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/sandbox', sandboxRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
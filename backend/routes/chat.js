@@ -1,10 +1,21 @@
 import { Router } from 'express';
-import { callLLM, generateWithRepair } from '../services/llm.js';
+import { callLLM, createPlan, generateWithRepair } from '../services/llm.js';
+import { isAbortError, abortOnDisconnect } from '../services/http.js';
+import { createJob, getJob, getJobEvents, subscribeJob, cancelJob, serializeJob } from '../services/jobs.js';
 
 const router = Router();
 
-function sendSseEvent(res, event, payload) {
+function openSseStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+}
+
+function sendSseEvent(res, event, payload, id) {
   if (res.writableEnded) return;
+  if (id !== undefined) res.write(`id: ${id}\n`);
   res.write(`event: ${event}\n`);
   if (payload !== undefined) {
     const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
@@ -14,51 +25,140 @@ function sendSseEvent(res, event, payload) {
   }
 }
 
+// Helper: one chat turn; callLLM handles the repair pass and provider fallbacks.
+// Shared by the plain, streaming and job endpoints; `onEvent` is optional.
+async function generateChatTurn({ messages, provider, model, enableWebSearch, sandbox, plan, sources, variants, variantStyles, fallback, sessionId }, { onEvent, signal, label = 'Chat' } = {}) {
+  const result = await callLLM({
+    messages,
+    provider,
+    model,
+    enableWebSearch: enableWebSearch !== undefined ? enableWebSearch : true,
+    sandbox,
+    // A plan edited in plan review is authoritative; re-planning is skipped
+    plan,
+    sources,
+    // `variants: n` generates n alternative apps from one plan/context
+    variants,
+    variantStyles,
+    fallback,
+    sessionId,
+    onEvent,
+    signal
+  });
+
+  console.log(`[${label}] Response: parsed=${result.parsed?.length}, sources=${result.sources?.length}, answeredBy=${result.provider}/${result.model}`);
+
+  return {
+    content: result.content,
+    parsed: result.parsed,
+    sources: result.sources || [],
+    usage: result.usage,
+    toolsUsed: result.toolsUsed || [],
+    provider: result.provider,
+    model: result.model,
+    fallbacks: result.fallbacks || [],
+    variants: result.variants,
+    // Static/render check failures left after the repair pass (the app may not run)
+    checkErrors: result.checkErrors
+  };
+}
+
 // Main chat endpoint
 router.post('/', async (req, res) => {
   try {
-    const { messages, provider, model, enableWebSearch } = req.body;
+    const { messages, provider, model } = req.body;
 
     if (!messages || !Array.isArray(messages)) {
       return res.status(400).json({ error: 'Messages array required' });
     }
 
     console.log(`[Chat] Request: provider=${provider}, model=${model}, messages=${messages.length}`);
+    const signal = abortOnDisconnect(res);
 
-    // Call LLM with web search enabled
-    let result = await callLLM({
-      messages,
-      provider,
-      model,
-      enableWebSearch: enableWebSearch !== undefined ? enableWebSearch : true
-    });
+    res.json(await generateChatTurn(req.body, { signal }));
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log('[Chat] Request cancelled by client');
+      return;
+    }
+    console.error('Chat error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`[Chat] Response: parsed=${result.parsed?.length}, sources=${result.sources?.length}`);
-
-    const hasSandbox = Array.isArray(result.parsed) && result.parsed.some(item => item.type === 'sandbox' && item.code);
-    if (!hasSandbox) {
-      console.warn('[Chat] Missing sandbox response, attempting one repair pass.');
-      const retryMessages = [
-        ...messages,
-        { role: 'assistant', content: result.content || '' },
-        { role: 'user', content: 'Your previous response was invalid or missing the required JSON. Output ONLY valid JSON with type "sandbox", and keep the code concise.' }
-      ];
-      result = await callLLM({
-        messages: retryMessages,
-        provider,
-        model,
-        enableWebSearch: enableWebSearch !== undefined ? enableWebSearch : true
-      });
+// Plan review: return the grounded plan and enriched sources without generating.
+// Send the (edited) plan back to /api/chat as `plan` + `sources`.
+router.post('/plan', async (req, res) => {
+  try {
+    const { messages, provider, model, sessionId } = req.body;
+
+    if (!messages || !Array.isArray(messages)) {
+      return res.status(400).json({ error: 'Messages array required' });
     }
 
-    res.json({
-      content: result.content,
-      parsed: result.parsed,
-      sources: result.sources || [],
-      usage: result.usage
-    });
+    console.log(`[Chat] Plan request: provider=${provider}, model=${model}, messages=${messages.length}`);
+    const signal = abortOnDisconnect(res);
+
+    const result = await createPlan({ messages, provider, model, sessionId, signal });
+    res.json(result);
   } catch (error) {
-    console.error('Chat error:', error);
+    if (isAbortError(error)) {
+      console.log('[Chat] Plan request cancelled by client');
+      return;
+    }
+    console.error('Plan error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: token counts from OpenAI Responses, Chat Completions or Gemini usage metadata
+function summarizeUsage(usage) {
+  if (!usage) return null;
+  const input = usage.input_tokens ?? usage.prompt_tokens ?? usage.promptTokenCount ?? null;
+  const output = usage.output_tokens ?? usage.completion_tokens ?? usage.candidatesTokenCount ?? null;
+  const total = usage.total_tokens ?? usage.totalTokenCount ?? (input !== null && output !== null ? input + output : null);
+  return { input, output, total };
+}
+
+// Compare mode: the same turn against each of `targets` ([{ provider, model }, ...])
+// concurrently, without fallbacks so every pane is the pair that was asked for.
+// Each pane reports its own latency, token usage and tool trace, or its error.
+router.post('/compare', async (req, res) => {
+  try {
+    const { messages, targets } = req.body;
+
+    if (!messages || !Array.isArray(messages)) {
+      return res.status(400).json({ error: 'Messages array required' });
+    }
+    if (!Array.isArray(targets) || targets.length !== 2 || targets.some(target => !target?.provider)) {
+      return res.status(400).json({ error: 'targets must be two { provider, model } pairs' });
+    }
+
+    console.log(`[Chat] Compare request: ${targets.map(target => `${target.provider}/${target.model}`).join(' vs ')}, messages=${messages.length}`);
+    const signal = abortOnDisconnect(res);
+
+    const panes = await Promise.all(targets.map(async ({ provider, model }, index) => {
+      const startedAt = Date.now();
+      try {
+        const turn = await generateChatTurn(
+          { ...req.body, provider, model, variants: undefined, fallback: false },
+          { signal, label: `Compare ${index + 1}` }
+        );
+        return { ...turn, status: 'ok', latencyMs: Date.now() - startedAt, tokens: summarizeUsage(turn.usage) };
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`[Chat] Compare ${provider}/${model} failed:`, error.message);
+        return { provider, model, status: 'error', error: error.message, latencyMs: Date.now() - startedAt };
+      }
+    }));
+
+    res.json({ panes });
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log('[Chat] Compare request cancelled by client');
+      return;
+    }
+    console.error('Compare error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -67,68 +167,49 @@ router.post('/', async (req, res) => {
 router.post('/stream', async (req, res) => {
   let pingInterval;
   let closed = false;
+  const startedAt = Date.now();
 
   try {
-    const { messages, provider, model, enableWebSearch } = req.body;
+    const { messages, provider, model } = req.body;
 
     if (!messages || !Array.isArray(messages)) {
       res.status(400).json({ error: 'Messages array required' });
       return;
     }
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-    if (res.flushHeaders) res.flushHeaders();
-
+    openSseStream(res);
     sendSseEvent(res, 'ready', { ok: true });
 
     pingInterval = setInterval(() => {
       sendSseEvent(res, 'ping', { t: Date.now() });
     }, 15000);
 
-    req.on('close', () => {
+    const signal = abortOnDisconnect(res, () => {
       closed = true;
       clearInterval(pingInterval);
     });
 
     console.log(`[Chat] Stream request: provider=${provider}, model=${model}, messages=${messages.length}`);
 
-    let result = await callLLM({
-      messages,
-      provider,
-      model,
-      enableWebSearch: enableWebSearch !== undefined ? enableWebSearch : true
-    });
+    const onEvent = (event, payload) => {
+      if (closed) return;
+      if (event === 'status') {
+        sendSseEvent(res, event, { ...payload, elapsedMs: Date.now() - startedAt });
+      } else {
+        sendSseEvent(res, event, payload);
+      }
+    };
 
-    console.log(`[Chat] Stream response: parsed=${result.parsed?.length}, sources=${result.sources?.length}`);
-
-    const hasSandbox = Array.isArray(result.parsed) && result.parsed.some(item => item.type === 'sandbox' && item.code);
-    if (!hasSandbox) {
-      console.warn('[Chat] Stream missing sandbox response, attempting one repair pass.');
-      const retryMessages = [
-        ...messages,
-        { role: 'assistant', content: result.content || '' },
-        { role: 'user', content: 'Your previous response was invalid or missing the required JSON. Output ONLY valid JSON with type "sandbox", and keep the code concise.' }
-      ];
-      result = await callLLM({
-        messages: retryMessages,
-        provider,
-        model,
-        enableWebSearch: enableWebSearch !== undefined ? enableWebSearch : true
-      });
-    }
+    const result = await generateChatTurn(req.body, { onEvent, signal, label: 'Chat stream' });
 
     if (!closed) {
-      sendSseEvent(res, 'result', {
-        content: result.content,
-        parsed: result.parsed,
-        sources: result.sources || [],
-        usage: result.usage
-      });
+      sendSseEvent(res, 'result', result);
     }
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log(`[Chat] Stream cancelled by client after ${Date.now() - startedAt}ms`);
+      return;
+    }
     console.error('Chat stream error:', error);
     if (!closed) {
       sendSseEvent(res, 'error', { error: error.message });
@@ -139,6 +220,89 @@ router.post('/stream', async (req, res) => {
   }
 });
 
+// Durable chat jobs: the turn keeps running when the client disconnects.
+// Attach with GET /jobs/:id/events (SSE, resumable via Last-Event-ID) or poll GET /jobs/:id.
+router.post('/jobs', (req, res) => {
+  const { messages, provider, model } = req.body;
+
+  if (!messages || !Array.isArray(messages)) {
+    return res.status(400).json({ error: 'Messages array required' });
+  }
+
+  console.log(`[Chat] Job request: provider=${provider}, model=${model}, messages=${messages.length}`);
+  try {
+    const job = createJob(
+      ({ onEvent, signal }) => generateChatTurn(req.body, { onEvent, signal, label: 'Chat job' }),
+      { label: 'Chat' }
+    );
+    res.status(202).json({ jobId: job.id, status: job.status });
+  } catch (error) {
+    if (error.code !== 'TOO_MANY_JOBS') throw error;
+    console.warn(`[Chat] ${error.message}`);
+    res.status(503).json({ error: error.message });
+  }
+});
+
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const after = req.query.after !== undefined ? Number.parseInt(req.query.after, 10) || 0 : undefined;
+  res.json(serializeJob(job, { after }));
+});
+
+router.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  // EventSource resends the last id it saw as a header; fetch clients may use ?lastEventId=
+  const lastEventId = Number.parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10) || 0;
+
+  openSseStream(res);
+  res.write('retry: 2000\n\n');
+  sendSseEvent(res, 'ready', { ok: true, jobId: job.id, status: job.status });
+
+  for (const entry of getJobEvents(job, lastEventId)) {
+    sendSseEvent(res, entry.event, entry.data, entry.id);
+  }
+
+  if (job.status !== 'running') {
+    res.end();
+    return;
+  }
+
+  const pingInterval = setInterval(() => {
+    sendSseEvent(res, 'ping', { t: Date.now() });
+  }, 15000);
+
+  const unsubscribe = subscribeJob(job, (entry) => {
+    if (entry) {
+      sendSseEvent(res, entry.event, entry.data, entry.id);
+      return;
+    }
+    clearInterval(pingInterval);
+    res.end();
+  });
+
+  // Detaching never cancels the job; DELETE /jobs/:id does
+  res.on('close', () => {
+    clearInterval(pingInterval);
+    unsubscribe();
+  });
+});
+
+router.delete('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const cancelled = cancelJob(job.id);
+  res.json({ jobId: job.id, cancelled, status: job.status });
+});
+
 // Error repair endpoint
 router.post('/repair', async (req, res) => {
   try {
@@ -152,16 +316,24 @@ router.post('/repair', async (req, res) => {
       messages,
       provider,
       model,
-      error
+      error,
+      signal: abortOnDisconnect(res)
     });
 
     res.json({
       content: result.content,
       parsed: result.parsed,
       sources: result.sources || [],
-      usage: result.usage
+      usage: result.usage,
+      toolsUsed: result.toolsUsed || [],
+      provider: result.provider,
+      model: result.model
     });
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log('[Chat] Repair cancelled by client');
+      return;
+    }
     console.error('Repair error:', error);
     res.status(500).json({ error: error.message });
   }
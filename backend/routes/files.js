@@ -2,7 +2,8 @@ import { Router } from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { uploadOpenAIFile, uploadGeminiFile } from '../services/files.js';
+import { getProvider } from '../services/providers/index.js';
+import { isAbortError, abortOnDisconnect } from '../services/http.js';
 import { UPLOADS_DIR, ensureMediaDirs, publicUrlForPath } from '../services/media.js';
 
 const router = Router();
@@ -22,8 +23,6 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
-const OPENAI_MAX_FILE_BYTES = 50 * 1024 * 1024;
-
 const MIME_OVERRIDES = {
   '.md': 'text/plain',
   '.markdown': 'text/plain',
@@ -56,19 +55,6 @@ function detectKind(mimeType = '') {
   return 'other';
 }
 
-function validateOpenAIFile(file) {
-  const kind = detectKind(file.mimetype);
-
-  if (kind === 'pdf' || kind === 'image') {
-    if (file.size > OPENAI_MAX_FILE_BYTES) {
-      throw new Error('OpenAI file inputs must be 50MB or smaller');
-    }
-    return { kind, supported: true };
-  }
-
-  return { kind, supported: false };
-}
-
 router.post('/upload', upload.array('files'), async (req, res) => {
   const provider = (req.query.provider || 'gemini').toString().toLowerCase();
   const files = req.files || [];
@@ -77,6 +63,7 @@ router.post('/upload', upload.array('files'), async (req, res) => {
     return res.status(400).json({ error: 'No files uploaded' });
   }
 
+  const signal = abortOnDisconnect(res);
   const results = [];
 
   for (const file of files) {
@@ -96,37 +83,26 @@ router.post('/upload', upload.array('files'), async (req, res) => {
     };
 
     try {
-      if (provider === 'openai') {
-        const validation = validateOpenAIFile({ ...file, mimetype: normalizedMimeType });
-        result.kind = validation.kind;
-        if (!validation.supported) {
-          result.analysisAvailable = false;
-          result.warning = 'OpenAI supports PDF and image inputs only. File will be available for UI rendering but not analysis.';
-        } else {
-          const purpose = validation.kind === 'image' ? 'vision' : 'user_data';
-          const uploadResult = await uploadOpenAIFile({
-            filePath: file.path,
-            filename: file.originalname,
-            mimeType: normalizedMimeType,
-            purpose
-          });
-          result.fileId = uploadResult.fileId;
-          result.purpose = uploadResult.purpose;
-        }
-      } else if (provider === 'gemini') {
-        const uploadResult = await uploadGeminiFile({
+      const adapter = getProvider(provider);
+      if (adapter) {
+        const uploadResult = await adapter.uploadFile({
           filePath: file.path,
+          filename: file.originalname,
           mimeType: normalizedMimeType,
-          displayName: file.originalname
+          kind,
+          size: file.size,
+          signal
         });
-        result.fileUri = uploadResult.fileUri;
-        result.mimeType = uploadResult.mimeType || normalizedMimeType;
-        result.fileName = uploadResult.name;
+        Object.assign(result, uploadResult);
       } else {
         result.analysisAvailable = false;
         result.warning = `Unknown provider: ${provider}`;
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        console.log('[Files] Upload cancelled by client');
+        return;
+      }
       result.analysisAvailable = false;
       result.error = error.message;
     }
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { listProviders } from '../services/providers/index.js';
+
+const router = Router();
+
+// List registered LLM providers with their models and whether they are configured
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      providers: listProviders().map(provider => provider.describe()),
+      defaultProvider: process.env.DEFAULT_LLM_PROVIDER || 'gemini'
+    });
+  } catch (error) {
+    console.error('Providers error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { getSandboxConfig } from '../services/libraries.js';
+
+const router = Router();
+
+// Sandpack setup (dependencies, external stylesheets) from the library registry
+router.get('/config', (req, res) => {
+  try {
+    res.json(getSandboxConfig());
+  } catch (error) {
+    console.error('Sandbox config error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
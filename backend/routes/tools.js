@@ -1,94 +1,149 @@
 import { Router } from 'express';
-import { webSearch } from '../tools/search.js';
-import { fetchPage } from '../tools/fetch.js';
-import { calculate, formatDate, formatTable, convert } from '../tools/utils.js';
+import { isAbortError, abortOnDisconnect } from '../services/http.js';
+import { hasTool, describeTools, executeTool } from '../tools/index.js';
+import { getMcpServerStatus } from '../tools/mcp.js';
 
 const router = Router();
 
-// Web search endpoint
-router.post('/search', async (req, res) => {
-  try {
-    const { query } = req.body;
-    if (!query) {
-      return res.status(400).json({ error: 'Query required' });
-    }
+const MAX_BATCH_CALLS = 20;
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_CONCURRENCY = 8;
 
-    const results = await webSearch(query);
-    res.json(results);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Older per-tool routes, kept for existing clients under /legacy/<route>, and
+// under /<route> unless a registry tool has that name (calculate, convert): each
+// maps its body onto a registry tool's arguments and responds with the tool
+// output alone. They keep their original status codes: 400 with `missing` when
+// a required field is absent, 500 when the tool throws, otherwise 200 (even for
+// an error output, including arguments the tool's schema rejects).
+const LEGACY_ROUTES = {
+  search: {
+    tool: 'web_search',
+    missing: ({ query }) => !query && 'Query required',
+    args: ({ query }) => ({ query })
+  },
+  fetch: {
+    tool: 'fetch_page',
+    missing: ({ url }) => !url && 'URL required',
+    args: ({ url, timeout, maxLength }) => ({ url, timeout_ms: timeout, max_length: maxLength })
+  },
+  calculate: {
+    tool: 'calculate',
+    missing: ({ expression }) => !expression && 'Expression required',
+    args: ({ expression }) => ({ expression })
+  },
+  date: {
+    tool: 'format_date',
+    missing: () => false,
+    args: ({ date, format }) => ({ date, format })
+  },
+  table: {
+    tool: 'format_table',
+    missing: ({ data }) => !data && 'Data required',
+    args: ({ data }) => ({ data: typeof data === 'string' ? data : JSON.stringify(data) })
+  },
+  convert: {
+    tool: 'convert',
+    missing: ({ value, conversion }) => (value === undefined || !conversion) && 'Value and conversion required',
+    args: ({ value, conversion }) => ({ value, conversion })
   }
-});
+};
 
-// Page fetch endpoint
-router.post('/fetch', async (req, res) => {
+// Helper: run one call and time it. Tool failures become an error result;
+// only a cancelled request rejects.
+async function runToolCall({ name, args }, signal) {
+  const startedAt = Date.now();
   try {
-    const { url, timeout, maxLength } = req.body;
-    if (!url) {
-      return res.status(400).json({ error: 'URL required' });
-    }
-
-    const result = await fetchPage(url, { timeout, maxLength });
-    res.json(result);
+    const { status, output, result } = await executeTool({ name, args, provider: null, signal });
+    return { name, status, output, result, durationMs: Date.now() - startedAt };
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (isAbortError(error)) throw error;
+    return { name, status: 'error', output: { error: error.message }, durationMs: Date.now() - startedAt };
   }
+}
+
+// List every registered tool with its description and JSON Schema, plus the
+// connection state of configured MCP servers
+router.get('/', (req, res) => {
+  res.json({ tools: describeTools(), mcpServers: getMcpServerStatus() });
 });
 
-// Calculate endpoint
-router.post('/calculate', (req, res) => {
+// Run several calls, at most `concurrency` at a time. Body:
+// { calls: [{ name, args }], concurrency? }. Results keep the order of `calls`;
+// a failing or invalid call does not stop the others.
+router.post('/batch', async (req, res) => {
   try {
-    const { expression } = req.body;
-    if (!expression) {
-      return res.status(400).json({ error: 'Expression required' });
+    const { calls, concurrency } = req.body;
+    if (!Array.isArray(calls) || calls.length === 0) {
+      return res.status(400).json({ error: 'calls must be a non-empty array of { name, args }' });
+    }
+    if (calls.length > MAX_BATCH_CALLS) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH_CALLS} calls per batch` });
     }
 
-    const result = calculate(expression);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+    const limit = Math.min(Math.max(Number.parseInt(concurrency, 10) || DEFAULT_BATCH_CONCURRENCY, 1), MAX_BATCH_CONCURRENCY);
+    const signal = abortOnDisconnect(res);
+    const startedAt = Date.now();
+    const results = new Array(calls.length);
+    let next = 0;
 
-// Date format endpoint
-router.post('/date', (req, res) => {
-  try {
-    const { date, format } = req.body;
-    const result = formatDate(date, format);
-    res.json(result);
+    const worker = async () => {
+      while (next < calls.length) {
+        const index = next++;
+        const call = calls[index] || {};
+        results[index] = await runToolCall({ name: call.name, args: call.args ?? {} }, signal);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, calls.length) }, worker));
+
+    console.log(`[Tools] Batch of ${calls.length} call(s), concurrency ${limit}, finished in ${Date.now() - startedAt}ms`);
+    res.json({ results, durationMs: Date.now() - startedAt });
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log('[Tools] Batch cancelled by client');
+      return;
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Table format endpoint
-router.post('/table', (req, res) => {
+// Run one tool; the body is its arguments. Invalid arguments are a 400 with
+// the schema errors. Names that are not tools fall through to the legacy routes.
+router.post('/:name', async (req, res, next) => {
   try {
-    const { data } = req.body;
-    if (!data) {
-      return res.status(400).json({ error: 'Data required' });
-    }
+    const { name } = req.params;
+    if (!hasTool(name)) return next();
 
-    const result = formatTable(data);
+    const result = await runToolCall({ name, args: req.body ?? {} }, abortOnDisconnect(res));
+    if (result.output?.errors) {
+      return res.status(400).json(result.output);
+    }
     res.json(result);
   } catch (error) {
+    if (isAbortError(error)) return;
     res.status(500).json({ error: error.message });
   }
 });
 
-// Unit conversion endpoint
-router.post('/convert', (req, res) => {
-  try {
-    const { value, conversion } = req.body;
-    if (value === undefined || !conversion) {
-      return res.status(400).json({ error: 'Value and conversion required' });
+for (const [route, { tool, missing, args }] of Object.entries(LEGACY_ROUTES)) {
+  router.post([`/legacy/${route}`, `/${route}`], async (req, res) => {
+    try {
+      const body = req.body || {};
+      const missingError = missing(body);
+      if (missingError) {
+        return res.status(400).json({ error: missingError });
+      }
+
+      const { output } = await executeTool({ name: tool, args: args(body), provider: null, signal: abortOnDisconnect(res) });
+      res.json(output);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      res.status(500).json({ error: error.message });
     }
+  });
+}
 
-    const result = convert(value, conversion);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+router.post('/:name', (req, res) => {
+  res.status(404).json({ error: `Unknown tool: ${req.params.name}` });
 });
 
 export default router;
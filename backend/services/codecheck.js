@@ -0,0 +1,133 @@
+import path from 'path';
+import { parse as parseJs } from '@babel/parser';
+import postcss from 'postcss';
+import { joinPath } from './schema.js';
+import { formatSchemaErrors } from './sandbox.js';
+import { getAllowedImports } from './libraries.js';
+
+// Static checks on a generated app (flattened path -> content map) before it is
+// sent to the browser: every JS/JSX file must parse, imports must be specifiers
+// the library registry lists or files in the app, App.js must default-export a component, and
+// CSS/JSON files must parse. Errors are [{ path, message }] like the schema
+// errors, with line:column in the message, so they feed the same repair pass.
+
+const RESOLVE_EXTENSIONS = ['', '.js', '.jsx', '.json', '.css', '/index.js'];
+
+const MAX_ERRORS_PER_FILE = 5;
+
+function describeLocation(loc) {
+  return loc ? `line ${loc.line}:${loc.column + 1}` : 'unknown position';
+}
+
+// Every import/export-from source and dynamic import()/require() argument
+function collectImports(node, found = []) {
+  if (!node || typeof node.type !== 'string') return found;
+
+  if ((node.type === 'ImportDeclaration' || node.type === 'ExportNamedDeclaration' || node.type === 'ExportAllDeclaration') && node.source) {
+    found.push({ specifier: node.source.value, loc: node.source.loc?.start });
+  } else if (node.type === 'CallExpression' && node.arguments[0]?.type === 'StringLiteral'
+    && (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require'))) {
+    found.push({ specifier: node.arguments[0].value, loc: node.arguments[0].loc?.start });
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') continue;
+    if (Array.isArray(value)) {
+      value.forEach(child => collectImports(child, found));
+    } else if (value && typeof value === 'object') {
+      collectImports(value, found);
+    }
+  }
+  return found;
+}
+
+function hasDefaultExport(ast) {
+  return ast.program.body.some(node => node.type === 'ExportDefaultDeclaration'
+    || (node.type === 'ExportNamedDeclaration' && node.specifiers.some(spec => spec.exported?.name === 'default')));
+}
+
+function resolveRelative(fromFile, specifier, files) {
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+  return RESOLVE_EXTENSIONS.some(extension => files.has(`${base}${extension}`));
+}
+
+function checkScriptFile(filePath, source, files, allowedImports, errors) {
+  const location = joinPath('$.code', filePath);
+
+  let ast;
+  try {
+    ast = parseJs(source, { sourceType: 'module', plugins: ['jsx'], errorRecovery: true });
+  } catch (error) {
+    errors.push({ path: location, message: `syntax error at ${describeLocation(error.loc)}: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}` });
+    return;
+  }
+
+  for (const error of (ast.errors || []).slice(0, MAX_ERRORS_PER_FILE)) {
+    errors.push({ path: location, message: `syntax error at ${describeLocation(error.loc)}: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}` });
+  }
+
+  for (const { specifier, loc } of collectImports(ast.program)) {
+    if (specifier.startsWith('.') || specifier.startsWith('/')) {
+      const relative = specifier.startsWith('/') ? `.${specifier}` : specifier;
+      if (!resolveRelative(filePath, relative, files)) {
+        errors.push({ path: location, message: `imports "${specifier}" at ${describeLocation(loc)}, but no such file is in the app` });
+      }
+    } else if (!allowedImports.has(specifier)) {
+      errors.push({ path: location, message: `imports "${specifier}" at ${describeLocation(loc)}, which is not an allowed library import (use only ${Array.from(allowedImports).join(', ')})` });
+    }
+  }
+
+  if (filePath === 'App.js' && !hasDefaultExport(ast)) {
+    errors.push({ path: location, message: 'must have a default export (export default function App() { ... })' });
+  }
+}
+
+function checkStylesheet(filePath, source, errors) {
+  try {
+    postcss.parse(source, { from: filePath });
+  } catch (error) {
+    const loc = error.line ? { line: error.line, column: (error.column || 1) - 1 } : null;
+    errors.push({ path: joinPath('$.code', filePath), message: `CSS syntax error at ${describeLocation(loc)}: ${error.reason || error.message}` });
+  }
+}
+
+// Returns [{ path, message }]; empty when the app passes every check
+export function checkSandboxCode(code) {
+  if (!code || typeof code !== 'object') return [];
+
+  const errors = [];
+  const files = new Set(Object.keys(code).map(filePath => filePath.replace(/^\/+/, '')));
+  const allowedImports = getAllowedImports();
+
+  for (const [rawPath, source] of Object.entries(code)) {
+    if (typeof source !== 'string') continue;
+    const filePath = rawPath.replace(/^\/+/, '');
+    const extension = path.posix.extname(filePath).toLowerCase();
+
+    if (extension === '.js' || extension === '.jsx') {
+      checkScriptFile(filePath, source, files, allowedImports, errors);
+    } else if (extension === '.css') {
+      checkStylesheet(filePath, source, errors);
+    } else if (extension === '.json') {
+      try {
+        JSON.parse(source);
+      } catch (error) {
+        errors.push({ path: joinPath('$.code', filePath), message: `invalid JSON (${error.message})` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Static check of the sandbox item in a parsed response; [] when there is none
+export function checkParsedSandbox(parsed) {
+  const sandbox = Array.isArray(parsed) ? parsed.find(item => item.type === 'sandbox' && item.code) : null;
+  return sandbox ? checkSandboxCode(sandbox.code) : [];
+}
+
+// Repair instruction for an app that parsed as JSON but failed the static or
+// pre-flight render checks ($.render errors come from the first render)
+export function buildCodeRepairPrompt(errors) {
+  return `Your previous app failed automated checks before it reached the user:\n${formatSchemaErrors(errors)}\nFix exactly these problems and output ONLY the complete corrected app as JSON with type "sandbox" (all files, not a patch).`;
+}
@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import { SYSTEM_PROMPT } from './prompts.js';
+import { emitStatus } from './pipeline.js';
+import { isAbortError } from './http.js';
+
+// Request context management:
+// - the app the user is looking at goes back to the model as structured context
+//   (context.current_files) so edits modify it instead of reinventing it
+// - history and context JSON are fitted to a per-model token budget; older turns
+//   are folded into a rolling summary cached per session
+
+// Character budgets; override with SANDBOX_CONTEXT_MAX_CHARS / SANDBOX_CONTEXT_VERSIONS
+const DEFAULT_CURRENT_FILES_MAX_CHARS = 48000;
+const DEFAULT_PREVIOUS_VERSIONS = 0;
+const PREVIOUS_VERSION_MAX_CHARS = 8000;
+const MIN_FILE_CHARS = 400;
+
+function readIntEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function isCodeMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const entries = Object.entries(value);
+  return entries.length > 0 && entries.every(([, content]) => typeof content === 'string');
+}
+
+function sameCode(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+// Keep the head and tail of a file on line boundaries, marking what was dropped
+function clipContent(content, limit) {
+  if (content.length <= limit) return content;
+
+  let head = content.slice(0, Math.ceil(limit * 0.7));
+  const headBreak = head.lastIndexOf('\n');
+  if (headBreak > 0) head = head.slice(0, headBreak + 1);
+
+  let tail = content.slice(content.length - (limit - head.length));
+  const tailBreak = tail.indexOf('\n');
+  if (tailBreak !== -1 && tailBreak < tail.length - 1) tail = tail.slice(tailBreak + 1);
+
+  const omitted = content.length - head.length - tail.length;
+  return `${head}/* ... ${omitted} characters omitted ... */\n${tail}`;
+}
+
+// Fit a path -> content map into `maxChars`: files smaller than an even share
+// stay whole and the rest of the budget is split across the larger ones.
+// Returns { files, truncated: [{ path, chars, kept }] }.
+export function truncateCodeMap(code, maxChars) {
+  const limits = {};
+  const pending = Object.entries(code).sort(([, a], [, b]) => a.length - b.length);
+  let remaining = maxChars;
+
+  while (pending.length > 0) {
+    const share = Math.floor(remaining / pending.length);
+    const [path, content] = pending[0];
+    if (content.length > share) break;
+    limits[path] = content.length;
+    remaining -= content.length;
+    pending.shift();
+  }
+  const share = Math.max(MIN_FILE_CHARS, Math.floor(remaining / Math.max(pending.length, 1)));
+  for (const [path] of pending) {
+    limits[path] = share;
+  }
+
+  const files = {};
+  const truncated = [];
+  for (const [path, content] of Object.entries(code)) {
+    files[path] = clipContent(content, limits[path]);
+    if (files[path] !== content) {
+      truncated.push({ path, chars: content.length, kept: limits[path] });
+    }
+  }
+  return { files, truncated };
+}
+
+// Build the sandbox part of the generation context.
+// `sandbox` is the client's current app; when absent the latest assistant
+// message's sandbox is used. Returns { code, context } or null, where `code`
+// is the full current app (patches apply to it) and `context` holds
+// current_files, current_files_truncated and optionally previous_versions.
+export function buildSandboxContext({ messages, sandbox }) {
+  const versions = (Array.isArray(messages) ? messages : [])
+    .filter(message => message?.role === 'assistant' && isCodeMap(message.sandbox))
+    .map(message => message.sandbox);
+  const code = isCodeMap(sandbox) ? sandbox : versions.at(-1);
+  if (!code) return null;
+
+  const { files, truncated } = truncateCodeMap(code, readIntEnv('SANDBOX_CONTEXT_MAX_CHARS', DEFAULT_CURRENT_FILES_MAX_CHARS));
+  const context = { current_files: files };
+  if (truncated.length > 0) {
+    context.current_files_truncated = truncated;
+  }
+
+  const previousCount = readIntEnv('SANDBOX_CONTEXT_VERSIONS', DEFAULT_PREVIOUS_VERSIONS);
+  const earlier = versions.filter(version => !sameCode(version, code)).slice(-previousCount);
+  if (previousCount > 0 && earlier.length > 0) {
+    context.previous_versions = earlier.map((version, index) => ({
+      versions_ago: earlier.length - index,
+      files: truncateCodeMap(version, PREVIOUS_VERSION_MAX_CHARS).files
+    }));
+  }
+
+  return { code, context };
+}
+
+// --- Token budget -------------------------------------------------------------
+
+// Approximate context windows (tokens) by model id; the first match wins.
+// Other models (local servers) use CONTEXT_WINDOW_TOKENS or the default.
+const MODEL_CONTEXT_WINDOWS = [
+  [/^gpt-5/, 400000],
+  [/^gpt-4\.1/, 1000000],
+  [/^gpt-4o/, 128000],
+  [/^gemini-/, 1000000]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const MAX_OUTPUT_RESERVE_TOKENS = 8192;
+const HISTORY_BUDGET_SHARE = 0.4;
+const MIN_RECENT_MESSAGES = 4;
+const ATTACHMENT_TOKENS = 40;
+
+// Rough estimate: ~4 characters per token for Latin text, ~1 per CJK/Hangul character
+export function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  const wide = (text.match(/[\u1100-\u11ff\u3040-\u9fff\uac00-\ud7a3\uf900-\ufaff]/g) || []).length;
+  return Math.ceil((text.length - wide) / 4 + wide);
+}
+
+function messageTokens(message) {
+  const text = typeof message?.content === 'string' ? message.content : '';
+  return estimateTokens(text) + (message?.attachments?.length || 0) * ATTACHMENT_TOKENS;
+}
+
+// Input budget for one generation request: the model window minus room for the
+// reply, less the system prompt. CONTEXT_TOKEN_BUDGET, when set, lowers it (to
+// cap cost on large-window models). `history` is the share reserved for verbatim turns.
+export function getContextBudget(model = '') {
+  const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model));
+  const window = match ? match[1] : readIntEnv('CONTEXT_WINDOW_TOKENS', DEFAULT_CONTEXT_WINDOW);
+  const reserve = Math.min(MAX_OUTPUT_RESERVE_TOKENS, Math.floor(window / 4));
+  const override = readIntEnv('CONTEXT_TOKEN_BUDGET', 0);
+  const requestBudget = override > 0 ? Math.min(window - reserve, override) : window - reserve;
+  const total = Math.max(0, requestBudget - estimateTokens(SYSTEM_PROMPT));
+  return { window, total, history: Math.floor(total * HISTORY_BUDGET_SHARE) };
+}
+
+// --- Rolling summary ----------------------------------------------------------
+
+const SUMMARY_CACHE_LIMIT = 200;
+const SUMMARY_MESSAGE_MAX_CHARS = 2000;
+const SUMMARY_INPUT_MAX_CHARS = 24000;
+
+// sessionId -> { count, fingerprint, summary } for the first `count` messages
+const summaryCache = new Map();
+
+function fingerprintMessages(messages) {
+  const hash = crypto.createHash('sha256');
+  for (const message of messages) {
+    hash.update(`${message?.role}:${typeof message?.content === 'string' ? message.content : ''}\n`);
+  }
+  return hash.digest('hex');
+}
+
+function formatTranscript(messages) {
+  return messages.map(message => {
+    const speaker = message?.role === 'assistant' ? 'Assistant' : 'User';
+    const text = typeof message?.content === 'string' ? message.content : '';
+    const clipped = text.length > SUMMARY_MESSAGE_MAX_CHARS ? `${text.slice(0, SUMMARY_MESSAGE_MAX_CHARS)} ...` : text;
+    return `${speaker}: ${clipped}`;
+  }).join('\n\n');
+}
+
+function cacheSummary(key, entry) {
+  summaryCache.delete(key);
+  summaryCache.set(key, entry);
+  if (summaryCache.size > SUMMARY_CACHE_LIMIT) {
+    summaryCache.delete(summaryCache.keys().next().value);
+  }
+}
+
+// Summary of `older`, extending the cached summary when it covers a prefix of it.
+// Returns null when the provider cannot summarize or the call fails with nothing cached.
+async function getRollingSummary({ older, adapter, model, sessionId, onEvent, signal }) {
+  if (!adapter.summarize) return null;
+
+  const key = sessionId || fingerprintMessages(older.slice(0, 1));
+  const cached = summaryCache.get(key);
+  const reusable = cached && cached.count <= older.length
+    && cached.fingerprint === fingerprintMessages(older.slice(0, cached.count));
+  if (reusable && cached.count === older.length) {
+    cacheSummary(key, cached);
+    return cached.summary;
+  }
+
+  const start = reusable ? cached.count : 0;
+  const text = [
+    reusable ? `Summary so far:\n${cached.summary}` : null,
+    `New messages:\n${formatTranscript(older.slice(start))}`
+  ].filter(Boolean).join('\n\n').slice(0, SUMMARY_INPUT_MAX_CHARS);
+
+  emitStatus(onEvent, 'context', `Summarizing ${older.length - start} earlier message(s)...`, { count: older.length - start });
+  try {
+    const summary = (await adapter.summarize({ text, model, signal })).trim();
+    if (!summary) throw new Error('empty summary');
+    cacheSummary(key, { count: older.length, fingerprint: fingerprintMessages(older), summary });
+    return summary;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn('[Context] Summary failed:', error.message);
+    return reusable ? cached.summary : null;
+  }
+}
+
+// Keep the most recent turns verbatim within `maxTokens` (never fewer than
+// MIN_RECENT_MESSAGES) and replace everything older with one summary turn.
+// Returns { messages, tokens, summarizedCount, summarizedTokens, summarized }.
+export async function fitConversation({ messages, adapter, model, sessionId, maxTokens, onEvent, signal }) {
+  const costs = messages.map(messageTokens);
+  let keepFrom = messages.length;
+  let tokens = 0;
+  while (keepFrom > 0) {
+    const cost = costs[keepFrom - 1];
+    if (messages.length - keepFrom >= MIN_RECENT_MESSAGES && tokens + cost > maxTokens) break;
+    tokens += cost;
+    keepFrom -= 1;
+  }
+
+  if (keepFrom === 0) {
+    return { messages, tokens, summarizedCount: 0, summarizedTokens: 0, summarized: false };
+  }
+
+  const older = messages.slice(0, keepFrom);
+  const summary = await getRollingSummary({ older, adapter, model, sessionId, onEvent, signal });
+  const note = summary
+    ? `Summary of the earlier conversation (${older.length} message(s) not shown):\n${summary}`
+    : `(${older.length} earlier message(s) omitted to fit the context window)`;
+
+  return {
+    messages: [{ role: 'user', content: note }, ...messages.slice(keepFrom)],
+    tokens: tokens + estimateTokens(note),
+    summarizedCount: older.length,
+    summarizedTokens: costs.slice(0, keepFrom).reduce((sum, cost) => sum + cost, 0),
+    summarized: Boolean(summary)
+  };
+}
+
+// --- Context JSON -------------------------------------------------------------
+
+const CLIPPED_TEXT_CHARS = 160;
+const MIN_SOURCES = 3;
+const MIN_CURRENT_FILES_CHARS = 4000;
+
+function clipText(text) {
+  return typeof text === 'string' && text.length > CLIPPED_TEXT_CHARS ? `${text.slice(0, CLIPPED_TEXT_CHARS)}...` : text;
+}
+
+// Reductions tried in order until the context JSON fits; each returns true if it changed anything
+const CONTEXT_REDUCTIONS = [
+  ['previous_versions', context => {
+    if (!context.previous_versions) return false;
+    delete context.previous_versions;
+    return true;
+  }],
+  ['plan.content', context => {
+    if (!context.plan?.content) return false;
+    context.plan = { ...context.plan, content: '' };
+    return true;
+  }],
+  ['source descriptions', context => {
+    if (!context.sources?.some(source => clipText(source.description) !== source.description)) return false;
+    context.sources = context.sources.map(source => ({ ...source, description: clipText(source.description) }));
+    return true;
+  }],
+  ['plan item summaries', context => {
+    const items = context.plan?.items;
+    if (!Array.isArray(items) || !items.some(item => clipText(item.summary) !== item.summary)) return false;
+    context.plan = { ...context.plan, items: items.map(item => ({ ...item, summary: clipText(item.summary) })) };
+    return true;
+  }],
+  ['extra sources', context => {
+    if (!Array.isArray(context.sources) || context.sources.length <= MIN_SOURCES) return false;
+    context.sources = context.sources.slice(0, MIN_SOURCES);
+    return true;
+  }],
+  ['current_files', (context, excessTokens) => {
+    if (!context.current_files) return false;
+    const chars = Object.values(context.current_files).reduce((sum, content) => sum + content.length, 0);
+    const target = Math.max(MIN_CURRENT_FILES_CHARS, chars - excessTokens * 4);
+    if (target >= chars) return false;
+    const { files, truncated } = truncateCodeMap(context.current_files, target);
+    const known = new Map((context.current_files_truncated || []).map(entry => [entry.path, entry]));
+    for (const entry of truncated) {
+      known.set(entry.path, { ...entry, chars: known.get(entry.path)?.chars ?? entry.chars });
+    }
+    context.current_files = files;
+    context.current_files_truncated = Array.from(known.values());
+    return true;
+  }]
+];
+
+// Shrink the generation context JSON to about `maxTokens`.
+// Returns { context, tokens, dropped } where `dropped` names each reduction applied.
+export function fitContextToBudget(context, maxTokens) {
+  const fitted = { ...context };
+  const dropped = [];
+  let tokens = estimateTokens(fitted);
+
+  for (const [label, reduce] of CONTEXT_REDUCTIONS) {
+    if (tokens <= maxTokens) break;
+    if (reduce(fitted, tokens - maxTokens)) {
+      dropped.push(label);
+      tokens = estimateTokens(fitted);
+    }
+  }
+
+  return { context: fitted, tokens, dropped };
+}
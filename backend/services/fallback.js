@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { getProvider } from './providers/index.js';
+import { UPLOADS_DIR } from './media.js';
+import { isAbortError } from './http.js';
+
+// Cross-provider failover. LLM_FALLBACK_CHAIN lists the provider:model pairs
+// tried after the requested one, e.g.
+//   LLM_FALLBACK_CHAIN=gemini:gemini-3-pro-preview,openai:gpt-5-mini-2025-08-07
+// A bare provider name uses that provider's default model. Unknown or
+// unconfigured providers are skipped.
+
+function parseChainEntry(entry) {
+  const separator = entry.indexOf(':');
+  if (separator === -1) return { provider: entry, model: null };
+  return { provider: entry.slice(0, separator).trim(), model: entry.slice(separator + 1).trim() || null };
+}
+
+// Ordered { provider, adapter, model } targets, starting with the requested one
+export function getFallbackChain(provider, model) {
+  const chain = [];
+  const seen = new Set();
+
+  const add = (target, { requested = false } = {}) => {
+    const adapter = getProvider(target.provider);
+    if (!adapter) {
+      if (requested) throw new Error(`Unknown provider: ${target.provider}`);
+      console.warn(`[Fallback] Skipping unknown provider in LLM_FALLBACK_CHAIN: ${target.provider}`);
+      return;
+    }
+    const described = adapter.describe();
+    if (!requested && !described.configured) return;
+
+    const resolvedModel = target.model || described.defaultModel;
+    if (!resolvedModel) {
+      if (requested) throw new Error(`No model configured for provider: ${target.provider}`);
+      return;
+    }
+
+    const key = `${adapter.name}:${resolvedModel}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    chain.push({ provider: adapter.name, adapter, model: resolvedModel });
+  };
+
+  add({ provider, model }, { requested: true });
+  for (const entry of (process.env.LLM_FALLBACK_CHAIN || '').split(',')) {
+    if (entry.trim()) add(parseChainEntry(entry.trim()));
+  }
+
+  return chain;
+}
+
+export function describeTarget(target) {
+  return `${target.provider}/${target.model}`;
+}
+
+// Attachments are uploaded to the provider chosen in the UI. Before a fallback
+// provider sees the conversation, re-upload each one to that provider from the
+// local copy. `cache` (attachment id + provider -> fields) avoids repeat uploads
+// when several fallbacks share a provider; `signal` cancels the uploads.
+export async function prepareAttachmentsFor(messages, adapter, { cache = new Map(), signal } = {}) {
+  if (!messages.some(message => message.attachments?.some(att => att.provider && att.provider !== adapter.name))) {
+    return messages;
+  }
+
+  const reupload = async (att) => {
+    if (!att.provider || att.provider === adapter.name) return att;
+
+    const key = `${att.id}:${adapter.name}`;
+    if (!cache.has(key)) {
+      cache.set(key, (async () => {
+        const filePath = path.join(UPLOADS_DIR, path.basename(att.id || ''));
+        try {
+          if (!att.id || !fs.existsSync(filePath)) {
+            return { analysisAvailable: false, warning: 'Original upload is no longer available for the fallback provider.' };
+          }
+          const uploaded = await adapter.uploadFile({
+            filePath,
+            filename: att.name,
+            mimeType: att.mimeType,
+            kind: att.kind,
+            size: att.size,
+            signal
+          });
+          console.log(`[Fallback] Re-uploaded ${att.name} to ${adapter.name}`);
+          return { analysisAvailable: true, warning: undefined, error: undefined, ...uploaded };
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          console.warn(`[Fallback] Re-upload of ${att.name} to ${adapter.name} failed:`, error.message);
+          return { analysisAvailable: false, error: error.message };
+        }
+      })());
+    }
+
+    // Drop the previous provider's handles so they are never sent to this one
+    const { fileId, fileUri, fileName, purpose, ...rest } = att;
+    return { ...rest, ...(await cache.get(key)), provider: adapter.name };
+  };
+
+  return Promise.all(messages.map(async (message) => {
+    if (!message.attachments?.length) return message;
+    return { ...message, attachments: await Promise.all(message.attachments.map(reupload)) };
+  }));
+}
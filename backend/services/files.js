@@ -1,8 +1,11 @@
 import fs from 'fs';
-import fetch from 'node-fetch';
 import FormData from 'form-data';
+import { fetchWithRetry } from './http.js';
 
-export async function uploadOpenAIFile({ filePath, filename, mimeType, purpose }) {
+const UPLOAD_TIMEOUT_MS = 120000;
+// File bodies are streams that cannot be replayed, so only the Gemini init call is retried
+
+export async function uploadOpenAIFile({ filePath, filename, mimeType, purpose, signal }) {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) throw new Error('OPENAI_API_KEY not configured');
 
@@ -13,14 +16,15 @@ export async function uploadOpenAIFile({ filePath, filename, mimeType, purpose }
     contentType: mimeType
   });
 
-  const response = await fetch('https://api.openai.com/v1/files', {
+  const response = await fetchWithRetry('https://api.openai.com/v1/files', {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${apiKey}`,
       ...form.getHeaders()
     },
-    body: form
-  });
+    body: form,
+    signal
+  }, { maxRetries: 0, timeoutMs: UPLOAD_TIMEOUT_MS, provider: 'openai' });
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -34,13 +38,13 @@ export async function uploadOpenAIFile({ filePath, filename, mimeType, purpose }
   };
 }
 
-export async function uploadGeminiFile({ filePath, mimeType, displayName }) {
+export async function uploadGeminiFile({ filePath, mimeType, displayName, signal }) {
   const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey) throw new Error('GEMINI_API_KEY not configured');
 
   const stats = await fs.promises.stat(filePath);
 
-  const initResponse = await fetch('https://generativelanguage.googleapis.com/upload/v1beta/files', {
+  const initResponse = await fetchWithRetry('https://generativelanguage.googleapis.com/upload/v1beta/files', {
     method: 'POST',
     headers: {
       'x-goog-api-key': apiKey,
@@ -54,8 +58,9 @@ export async function uploadGeminiFile({ filePath, mimeType, displayName }) {
       file: {
         display_name: displayName
       }
-    })
-  });
+    }),
+    signal
+  }, { maxRetries: 2, timeoutMs: UPLOAD_TIMEOUT_MS, provider: 'gemini' });
 
   if (!initResponse.ok) {
     const errorText = await initResponse.text();
@@ -67,15 +72,16 @@ export async function uploadGeminiFile({ filePath, mimeType, displayName }) {
     throw new Error('Gemini upload init did not return upload URL');
   }
 
-  const uploadResponse = await fetch(uploadUrl, {
+  const uploadResponse = await fetchWithRetry(uploadUrl, {
     method: 'POST',
     headers: {
       'Content-Length': `${stats.size}`,
       'X-Goog-Upload-Offset': '0',
       'X-Goog-Upload-Command': 'upload, finalize'
     },
-    body: fs.createReadStream(filePath)
-  });
+    body: fs.createReadStream(filePath),
+    signal
+  }, { maxRetries: 0, timeoutMs: UPLOAD_TIMEOUT_MS, provider: 'gemini' });
 
   if (!uploadResponse.ok) {
     const errorText = await uploadResponse.text();
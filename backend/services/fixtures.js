@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { Response } from 'node-fetch';
+import { fileURLToPath } from 'url';
+import { mockResponse } from './mock.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// FIXTURE_MODE:
+//   off     (default) every request goes to the network
+//   record  requests go to the network and each response is saved as a fixture
+//   replay  responses come from fixtures only; a missing fixture is an error
+//   mock    responses come from fixtures when recorded, otherwise from canned mocks
+const FIXTURE_MODES = new Set(['off', 'record', 'replay', 'mock']);
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '..', 'fixtures', 'http');
+
+// Query parameters that carry secrets or per-session ids
+const VOLATILE_QUERY_PARAMS = ['key', 'upload_id'];
+
+// Response headers worth keeping in a fixture (everything else is noise)
+const RECORDED_HEADERS = ['content-type', 'x-goog-upload-url', 'retry-after'];
+
+// Placeholder config so providers look configured when no request leaves the process
+const OFFLINE_ENV_DEFAULTS = {
+  OPENAI_API_KEY: 'offline',
+  GEMINI_API_KEY: 'offline',
+  LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1',
+  LOCAL_LLM_MODELS: 'mock-local'
+};
+
+export function getFixtureMode() {
+  const mode = (process.env.FIXTURE_MODE || 'off').toLowerCase();
+  return FIXTURE_MODES.has(mode) ? mode : 'off';
+}
+
+function getFixtureDir() {
+  return process.env.FIXTURE_DIR ? path.resolve(process.env.FIXTURE_DIR) : DEFAULT_FIXTURE_DIR;
+}
+
+// Call once after dotenv has loaded
+export function configureFixtures() {
+  const mode = getFixtureMode();
+  if (mode === 'off') return mode;
+
+  if (mode === 'replay' || mode === 'mock') {
+    for (const [name, value] of Object.entries(OFFLINE_ENV_DEFAULTS)) {
+      if (!process.env[name]) process.env[name] = value;
+    }
+  }
+  console.log(`[Fixtures] Mode: ${mode} (${getFixtureDir()})`);
+  return mode;
+}
+
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  for (const param of VOLATILE_QUERY_PARAMS) {
+    parsed.searchParams.delete(param);
+  }
+  return parsed.toString();
+}
+
+// Strip values that change between otherwise identical runs (ids, upload names)
+function normalizeBody(body) {
+  if (typeof body !== 'string') return '';
+  return body
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b\d{13}-\d{1,10}\b/g, '<upload>');
+}
+
+function fixturePath(url, options) {
+  const method = (options.method || 'GET').toUpperCase();
+  const normalizedUrl = normalizeUrl(url);
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${method} ${normalizedUrl}\n${normalizeBody(options.body)}`)
+    .digest('hex')
+    .slice(0, 16);
+  const { hostname, pathname } = new URL(normalizedUrl);
+  const slug = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 80);
+  return path.join(getFixtureDir(), `${slug}-${hash}.json`);
+}
+
+function isTextContent(contentType = '') {
+  return /^text\/|json|xml|event-stream/.test(contentType);
+}
+
+// Event streams replay one event per chunk so delta handling is exercised
+function splitEventStream(text) {
+  return text.split(/(?<=\n\n)/).filter(Boolean);
+}
+
+function buildResponse({ status, headers = {}, body, chunks }) {
+  const contentType = headers['content-type'] || '';
+  let payload = body ?? '';
+  if (!chunks && typeof payload === 'string' && contentType.includes('event-stream')) {
+    chunks = splitEventStream(payload);
+  }
+  if (chunks) {
+    payload = Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+  }
+  return new Response(payload, { status, headers });
+}
+
+function readFixture(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const { status, headers, body, bodyBase64 } = fixture.response;
+  return { status, headers, body: bodyBase64 !== undefined ? Buffer.from(bodyBase64, 'base64') : body };
+}
+
+async function recordFixture(filePath, url, options, response) {
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = response.headers.get(name);
+    if (value) headers[name] = value;
+  }
+
+  let requestBody;
+  if (typeof options.body === 'string') {
+    try {
+      requestBody = JSON.parse(options.body);
+    } catch {
+      requestBody = options.body;
+    }
+  }
+
+  const stored = { status: response.status, headers };
+  if (isTextContent(headers['content-type'])) {
+    stored.body = buffer.toString('utf8');
+  } else {
+    stored.bodyBase64 = buffer.toString('base64');
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    recordedAt: new Date().toISOString(),
+    request: { method: (options.method || 'GET').toUpperCase(), url: normalizeUrl(url), body: requestBody },
+    response: stored
+  }, null, 2));
+  console.log(`[Fixtures] Recorded ${path.basename(filePath)}`);
+
+  return buildResponse({ status: response.status, headers, body: stored.body ?? buffer });
+}
+
+// Serve a request according to the fixture mode; `fetchImpl` performs real network calls
+export async function fixtureFetch(mode, url, options, fetchImpl) {
+  const filePath = fixturePath(url, options);
+
+  if (mode === 'record') {
+    const response = await fetchImpl(url, options);
+    return recordFixture(filePath, url, options, response);
+  }
+
+  const fixture = readFixture(filePath);
+  if (fixture) {
+    return buildResponse(fixture);
+  }
+
+  if (mode === 'mock') {
+    return buildResponse(mockResponse(url, options));
+  }
+
+  const error = new Error(`No fixture recorded for ${(options.method || 'GET').toUpperCase()} ${normalizeUrl(url)} (${path.basename(filePath)})`);
+  error.code = 'FIXTURE_MISSING';
+  throw error;
+}
@@ -0,0 +1,245 @@
+import fetch from 'node-fetch';
+import { setTimeout as sleep } from 'timers/promises';
+import { getFixtureMode, fixtureFetch } from './fixtures.js';
+import {
+  RETRYABLE_STATUSES,
+  getBackoffDelay,
+  checkCircuit,
+  recordSuccess,
+  recordFailure,
+  recordCancelled,
+  acquireSlot
+} from './resilience.js';
+
+// Helper: error for work stopped by the request's AbortSignal (client went away or pressed Stop)
+export function createAbortError() {
+  const error = new Error('Request cancelled by client');
+  error.name = 'AbortError';
+  error.code = 'REQUEST_ABORTED';
+  return error;
+}
+
+export function isAbortError(error) {
+  return error?.code === 'REQUEST_ABORTED';
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+// Helper: abort in-flight provider, tool and image calls once the client goes away.
+// `req` emits 'close' as soon as the body is consumed, so watch the response instead.
+export function abortOnDisconnect(res, onDisconnect) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    onDisconnect?.();
+    controller.abort();
+  });
+  return controller.signal;
+}
+
+// Helper: route a request through the fixture recorder/replayer when enabled
+function transportFetch(url, options) {
+  const mode = getFixtureMode();
+  if (mode === 'off') {
+    return fetch(url, options);
+  }
+  return fixtureFetch(mode, url, options, fetch);
+}
+
+// Helper: run `callback` once the response body has been read or destroyed
+// (right away when there is no body stream)
+function onBodyDone(response, callback) {
+  const body = response.body;
+  if (!body || typeof body.once !== 'function' || body.destroyed) {
+    callback();
+    return;
+  }
+  body.once('close', callback);
+  body.once('error', callback);
+}
+
+// Helper: fetch with timeout; `options.signal` cancels the request (and a streaming body)
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 60000) {
+  const { signal, ...fetchOptions } = options;
+  throwIfAborted(signal);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  // Stays attached until the body is done so an abort also stops reading it
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await transportFetch(url, {
+      ...fetchOptions,
+      signal: controller.signal
+    });
+    if (signal) onBodyDone(response, () => signal.removeEventListener('abort', onAbort));
+    return response;
+  } catch (error) {
+    if (signal?.aborted) throw createAbortError();
+    signal?.removeEventListener('abort', onAbort);
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Helper: hold a concurrency slot until the response body has been read (or dropped),
+// however long a stream runs. As a safety net, a body that nobody has started
+// reading after `timeoutMs` is destroyed, which frees the slot and the connection.
+function releaseWithBody(response, release, timeoutMs) {
+  const body = response.body;
+  if (!body || typeof body.once !== 'function' || body.destroyed) {
+    release();
+    return;
+  }
+  let timer;
+  const checkUnread = () => {
+    // readableFlowing stays null until a consumer pipes, iterates or listens
+    if (body.readableFlowing === null) {
+      body.destroy();
+      return;
+    }
+    timer = setTimeout(checkUnread, timeoutMs);
+    timer.unref();
+  };
+  timer = setTimeout(checkUnread, timeoutMs);
+  timer.unref();
+  const done = () => {
+    clearTimeout(timer);
+    release();
+  };
+  body.once('close', done);
+  body.once('error', done);
+}
+
+// Helper: retry fetch. Network errors, timeouts and retryable statuses (429/5xx)
+// are retried with jittered exponential backoff that honours Retry-After; the last
+// response is returned as-is for the caller to report. With `provider`, the call
+// also goes through that provider's circuit breaker and concurrency cap.
+export async function fetchWithRetry(url, options = {}, { maxRetries = 2, timeoutMs = 60000, provider } = {}) {
+  const signal = options.signal;
+  throwIfAborted(signal);
+
+  let release = null;
+  if (provider) {
+    checkCircuit(provider);
+    try {
+      release = await acquireSlot(provider, signal);
+    } catch (error) {
+      recordCancelled(provider);
+      throw signal?.aborted ? createAbortError() : error;
+    }
+  }
+
+  let lastError;
+  let retryAfter = null;
+
+  try {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delayMs = getBackoffDelay(attempt, retryAfter);
+        console.log(`[Fetch] Retry attempt ${attempt}/${maxRetries} in ${delayMs}ms`);
+        await sleep(delayMs, undefined, { signal }).catch(() => throwIfAborted(signal));
+      }
+
+      let response;
+      try {
+        response = await fetchWithTimeout(url, options, timeoutMs);
+      } catch (error) {
+        if (isAbortError(error) || error.code === 'FIXTURE_MISSING') {
+          throw error;
+        }
+        lastError = error.name === 'AbortError' ? new Error(`Request timed out after ${timeoutMs}ms`) : error;
+        retryAfter = null;
+        console.error(`[Fetch] Attempt ${attempt} failed:`, lastError.message);
+        continue;
+      }
+
+      if (RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries) {
+        retryAfter = response.headers.get('retry-after');
+        lastError = new Error(`HTTP ${response.status}`);
+        console.warn(`[Fetch] Attempt ${attempt} got HTTP ${response.status}${retryAfter ? ` (Retry-After: ${retryAfter})` : ''}`);
+        // Drain the body so the connection can be reused
+        await response.arrayBuffer().catch(() => {});
+        continue;
+      }
+
+      if (provider) {
+        if (RETRYABLE_STATUSES.has(response.status)) {
+          recordFailure(provider, `HTTP ${response.status}`);
+        } else {
+          recordSuccess(provider);
+        }
+        releaseWithBody(response, release, timeoutMs);
+        release = null;
+      }
+      return response;
+    }
+
+    if (provider) recordFailure(provider, lastError.message);
+    throw lastError;
+  } catch (error) {
+    if (provider && isAbortError(error)) recordCancelled(provider);
+    throw error;
+  } finally {
+    release?.();
+  }
+}
+
+// Helper: read a text/event-stream body and hand each event to onEvent.
+// Pass the request's `signal` so a cancelled stream ends with an abort error.
+export async function readSseStream(body, onEvent, { signal } = {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+    if (dataLines.length === 0) return;
+    const dataText = dataLines.join('\n');
+    if (dataText === '[DONE]') return;
+    let data;
+    try {
+      data = JSON.parse(dataText);
+    } catch {
+      return;
+    }
+    onEvent(event, data);
+  };
+
+  const onAbort = () => body.destroy?.(createAbortError());
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    for await (const chunk of body) {
+      throwIfAborted(signal);
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+      let separatorIndex = buffer.indexOf('\n\n');
+      while (separatorIndex !== -1) {
+        flushEvent(buffer.slice(0, separatorIndex));
+        buffer = buffer.slice(separatorIndex + 2);
+        separatorIndex = buffer.indexOf('\n\n');
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) throw createAbortError();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    flushEvent(buffer.replace(/\r\n/g, '\n'));
+  }
+}
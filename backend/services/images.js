@@ -1,21 +1,22 @@
-import fetch from 'node-fetch';
+import { fetchWithRetry } from './http.js';
 import { saveBase64Image } from './media.js';
 
 const OPENAI_IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || 'gpt-5-mini-2025-08-07';
 const OPENAI_IMAGE_FALLBACK_MODEL = process.env.OPENAI_IMAGE_FALLBACK_MODEL || 'gpt-5-mini-2025-08-07';
 const GEMINI_IMAGE_MODEL_FAST = process.env.GEMINI_IMAGE_MODEL_FAST || 'gemini-2.5-flash-image';
 const GEMINI_IMAGE_MODEL_PRO = process.env.GEMINI_IMAGE_MODEL_PRO || 'gemini-3-pro-image-preview';
+const IMAGE_TIMEOUT_MS = 180000;
 
 function shouldFallbackModel(errorMessage = '') {
   const msg = String(errorMessage);
   return msg.includes('not supported with the Responses API') || msg.includes('model_not_found');
 }
 
-async function requestOpenAIImage({ model, prompt }) {
+async function requestOpenAIImage({ model, prompt, signal }) {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) throw new Error('OPENAI_API_KEY not configured');
 
-  const response = await fetch('https://api.openai.com/v1/responses', {
+  const response = await fetchWithRetry('https://api.openai.com/v1/responses', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -25,8 +26,9 @@ async function requestOpenAIImage({ model, prompt }) {
       model,
       input: prompt,
       tools: [{ type: 'image_generation' }]
-    })
-  });
+    }),
+    signal
+  }, { maxRetries: 1, timeoutMs: IMAGE_TIMEOUT_MS, provider: 'openai' });
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -44,19 +46,19 @@ async function requestOpenAIImage({ model, prompt }) {
   return saveBase64Image({ provider: 'openai', base64 });
 }
 
-export async function generateOpenAIImage({ prompt }) {
+export async function generateOpenAIImage({ prompt, signal }) {
   try {
-    return await requestOpenAIImage({ model: OPENAI_IMAGE_MODEL, prompt });
+    return await requestOpenAIImage({ model: OPENAI_IMAGE_MODEL, prompt, signal });
   } catch (error) {
     if (OPENAI_IMAGE_FALLBACK_MODEL && OPENAI_IMAGE_FALLBACK_MODEL !== OPENAI_IMAGE_MODEL && shouldFallbackModel(error.message)) {
       console.warn(`[Image] Falling back to ${OPENAI_IMAGE_FALLBACK_MODEL} for image generation.`);
-      return await requestOpenAIImage({ model: OPENAI_IMAGE_FALLBACK_MODEL, prompt });
+      return await requestOpenAIImage({ model: OPENAI_IMAGE_FALLBACK_MODEL, prompt, signal });
     }
     throw error;
   }
 }
 
-export async function generateGeminiImage({ prompt, aspectRatio, imageSize, quality = 'fast' }) {
+export async function generateGeminiImage({ prompt, aspectRatio, imageSize, quality = 'fast', signal }) {
   const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey) throw new Error('GEMINI_API_KEY not configured');
 
@@ -72,7 +74,7 @@ export async function generateGeminiImage({ prompt, aspectRatio, imageSize, qual
     if (imageSize) generationConfig.imageConfig.imageSize = imageSize;
   }
 
-  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
+  const response = await fetchWithRetry(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json'
@@ -80,8 +82,9 @@ export async function generateGeminiImage({ prompt, aspectRatio, imageSize, qual
     body: JSON.stringify({
       contents: [{ role: 'user', parts: [{ text: prompt }] }],
       generationConfig
-    })
-  });
+    }),
+    signal
+  }, { maxRetries: 1, timeoutMs: IMAGE_TIMEOUT_MS, provider: 'gemini' });
 
   if (!response.ok) {
     const errorText = await response.text();
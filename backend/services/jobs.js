@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { isAbortError } from './http.js';
+
+// Durable generation jobs: the work runs server-side independent of any HTTP
+// connection, and every progress event gets an increasing id so a client can
+// reattach (SSE with Last-Event-ID) or poll after a dropped connection or reload.
+// Status, result and error events are kept for replay (the oldest status lines
+// go first past MAX_EVENTS_PER_JOB). `delta` events are not stored one by one:
+// the job keeps the streamed text since the last reset, and a replay that missed
+// any delta gets it back as a reset plus that text.
+
+// Finished jobs are kept for JOB_TTL_MINUTES; override with env
+const DEFAULT_JOB_TTL_MINUTES = 30;
+// Jobs in memory, running ones included; new jobs are refused beyond it
+const MAX_JOBS = 200;
+const MAX_EVENTS_PER_JOB = 500;
+
+const jobs = new Map();
+
+function getJobTtlMs() {
+  const minutes = Number.parseFloat(process.env.JOB_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_JOB_TTL_MINUTES) * 60000;
+}
+
+// Helper: drop expired finished jobs, then the oldest finished ones over the cap
+function pruneJobs() {
+  const expiresBefore = Date.now() - getJobTtlMs();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < expiresBefore) jobs.delete(id);
+  }
+  for (const [id, job] of jobs) {
+    if (jobs.size < MAX_JOBS) break;
+    if (job.finishedAt) jobs.delete(id);
+  }
+}
+
+function appendEvent(job, event, data) {
+  job.lastEventId += 1;
+  const entry = { id: job.lastEventId, event, data };
+  job.updatedAt = Date.now();
+
+  if (event === 'delta') {
+    if (data?.reset) {
+      job.draft.clear();
+    } else if (data?.text) {
+      job.draft.set(data.field, (job.draft.get(data.field) || '') + data.text);
+    }
+    job.lastDeltaId = entry.id;
+  } else {
+    job.events.push(entry);
+    if (job.events.length > MAX_EVENTS_PER_JOB) {
+      const oldestStatus = job.events.findIndex(stored => stored.event === 'status');
+      job.events.splice(oldestStatus === -1 ? 0 : oldestStatus, 1);
+    }
+  }
+
+  if (event === 'status') job.progress = data;
+  for (const listener of job.listeners) listener(entry);
+  return entry;
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = Date.now();
+  job.controller = null;
+  for (const listener of job.listeners) listener(null);
+  job.listeners.clear();
+}
+
+// Start `run({ onEvent, signal })` as a job and return it immediately.
+// The resolved value becomes the `result` event; a rejection becomes `error`.
+// Throws (code TOO_MANY_JOBS) when MAX_JOBS jobs are still running.
+export function createJob(run, { label = 'job' } = {}) {
+  pruneJobs();
+  if (jobs.size >= MAX_JOBS) {
+    const error = new Error(`Too many generation jobs in progress (${MAX_JOBS}); try again shortly`);
+    error.code = 'TOO_MANY_JOBS';
+    throw error;
+  }
+
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    label,
+    status: 'running',
+    createdAt: startedAt,
+    updatedAt: startedAt,
+    finishedAt: null,
+    progress: null,
+    result: null,
+    error: null,
+    events: [],
+    lastEventId: 0,
+    draft: new Map(),
+    lastDeltaId: 0,
+    listeners: new Set(),
+    controller
+  };
+  jobs.set(job.id, job);
+
+  const onEvent = (event, payload) => {
+    if (job.status !== 'running') return;
+    appendEvent(job, event, event === 'status' ? { ...payload, elapsedMs: Date.now() - startedAt } : payload);
+  };
+
+  Promise.resolve()
+    .then(() => run({ onEvent, signal: controller.signal }))
+    .then((result) => {
+      job.result = result;
+      appendEvent(job, 'result', result);
+      finishJob(job, 'done');
+      console.log(`[Jobs] ${label} ${job.id} finished in ${Date.now() - startedAt}ms`);
+    })
+    .catch((error) => {
+      const cancelled = isAbortError(error);
+      job.error = cancelled ? 'Generation cancelled' : error.message;
+      appendEvent(job, 'error', { error: job.error, cancelled });
+      finishJob(job, cancelled ? 'cancelled' : 'error');
+      if (cancelled) {
+        console.log(`[Jobs] ${label} ${job.id} cancelled`);
+      } else {
+        console.error(`[Jobs] ${label} ${job.id} failed:`, error);
+      }
+    });
+
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Events after `lastEventId`, for replay on reattach. Missed deltas come back,
+// in place of the last one, as a reset followed by the draft text per field.
+export function getJobEvents(job, lastEventId = 0) {
+  const events = job.events.filter(entry => entry.id > lastEventId);
+  if (job.lastDeltaId <= lastEventId) return events;
+
+  const draft = [
+    { id: job.lastDeltaId, event: 'delta', data: { reset: true } },
+    ...Array.from(job.draft, ([field, text]) => ({ id: job.lastDeltaId, event: 'delta', data: { field, text } }))
+  ];
+  const index = events.findIndex(entry => entry.id > job.lastDeltaId);
+  events.splice(index === -1 ? events.length : index, 0, ...draft);
+  return events;
+}
+
+// Call `listener(entry)` for each new event and `listener(null)` once the job
+// finishes. Returns an unsubscribe function; a finished job never calls back.
+export function subscribeJob(job, listener) {
+  if (job.status !== 'running') return () => {};
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'running') return false;
+  job.controller.abort();
+  return true;
+}
+
+// Public view of a job for polling; `after` includes the events past that id
+export function serializeJob(job, { after } = {}) {
+  const snapshot = {
+    id: job.id,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    lastEventId: job.lastEventId,
+    progress: job.progress,
+    result: job.result,
+    error: job.error
+  };
+  if (after !== undefined) {
+    snapshot.events = getJobEvents(job, after);
+  }
+  return snapshot;
+}
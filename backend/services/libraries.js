@@ -0,0 +1,80 @@
+// Registry of the npm packages generated apps may use: the single source for the
+// prompt's ALLOWED LIBRARIES section, the static import check and the Sandpack
+// setup served at GET /api/sandbox/config. To offer a new library (d3, three,
+// ...) add an entry here; `npm install` it in backend/ too if the pre-flight
+// render check should cover apps that use it.
+//
+// Each entry:
+//   name     npm package name
+//   version  semver range installed in the sandbox
+//   imports  module specifiers apps import (default: [name])
+//   css      stylesheets the sandbox loads for it (URLs)
+//   notes    what it is for; shown to the model
+
+export const SANDBOX_LIBRARIES = [
+  { name: 'react', version: '^18.2.0', notes: 'built-in' },
+  { name: 'react-dom', version: '^18.2.0', imports: ['react-dom', 'react-dom/client'], notes: 'built-in' },
+  { name: 'recharts', version: '^2.10.3', notes: 'for charts: LineChart, BarChart, AreaChart, PieChart, etc.' },
+  { name: 'date-fns', version: '^3.0.6', notes: 'for date formatting' },
+  { name: 'react-leaflet', version: '^4.2.1', notes: 'for maps: MapContainer, TileLayer, Marker, Popup' },
+  {
+    name: 'leaflet',
+    version: '^1.9.4',
+    css: ['https://unpkg.com/leaflet@1.9.4/dist/leaflet.css'],
+    notes: 'map engine behind react-leaflet; its CSS is already loaded'
+  },
+  { name: 'chart.js', version: '^4.4.1', imports: ['chart.js', 'chart.js/auto'], notes: 'alternative charts, used with react-chartjs-2' },
+  { name: 'react-chartjs-2', version: '^5.2.0', notes: 'React components for chart.js' }
+];
+
+// Commonly hallucinated packages, named explicitly in the prompt unless registered
+const DISCOURAGED_LIBRARIES = ['lucide-react', '@heroicons', 'framer-motion', 'tailwindcss'];
+
+function getImports(library) {
+  return library.imports?.length ? library.imports : [library.name];
+}
+
+export function getAllowedPackageNames() {
+  return new Set(SANDBOX_LIBRARIES.map(library => library.name));
+}
+
+// Every module specifier apps may import ('react-dom/client', not 'react-dom/server')
+export function getAllowedImports() {
+  return new Set(SANDBOX_LIBRARIES.flatMap(getImports));
+}
+
+// The ALLOWED LIBRARIES / DO NOT USE section of the system prompt
+export function buildLibrariesPrompt() {
+  const lines = SANDBOX_LIBRARIES.map((library) => {
+    const imports = getImports(library);
+    const importNote = imports.length > 1 || imports[0] !== library.name
+      ? ` - import from ${imports.map(specifier => `'${specifier}'`).join(' or ')}`
+      : '';
+    return `- ${library.name}${library.notes ? ` (${library.notes})` : ''}${importNote}`;
+  });
+  const allowed = getAllowedPackageNames();
+  const discouraged = DISCOURAGED_LIBRARIES.filter(name => !allowed.has(name));
+
+  return [
+    'ALLOWED LIBRARIES (ONLY USE THESE):',
+    ...lines,
+    '',
+    `DO NOT USE: ${discouraged.length ? `${discouraged.join(', ')}, or ` : ''}any other libraries not listed above.`
+  ].join('\n');
+}
+
+// Sandpack setup for the frontend: dependencies for customSetup plus the
+// stylesheets for externalResources
+export function getSandboxConfig() {
+  return {
+    dependencies: Object.fromEntries(SANDBOX_LIBRARIES.map(library => [library.name, library.version])),
+    externalResources: SANDBOX_LIBRARIES.flatMap(library => library.css || []),
+    libraries: SANDBOX_LIBRARIES.map(library => ({
+      name: library.name,
+      version: library.version,
+      imports: getImports(library),
+      css: library.css || [],
+      notes: library.notes || ''
+    }))
+  };
+}
@@ -1,398 +1,20 @@
-import fetch from 'node-fetch';
-import { fetchUrlMetadata } from '../tools/fetch.js';
-import { generateOpenAIImage, generateGeminiImage } from './images.js';
-import { saveRemoteImage } from './media.js';
-
-// Helper: fetch with timeout
-async function fetchWithTimeout(url, options, timeoutMs = 60000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
-    });
-    return response;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-// Helper: retry fetch
-async function fetchWithRetry(url, options, { maxRetries = 2, timeoutMs = 60000 } = {}) {
-  let lastError;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      if (attempt > 0) {
-        console.log(`[Fetch] Retry attempt ${attempt}/${maxRetries}`);
-        await new Promise(r => setTimeout(r, 1000 * attempt));
-      }
-      return await fetchWithTimeout(url, options, timeoutMs);
-    } catch (error) {
-      lastError = error;
-      console.error(`[Fetch] Attempt ${attempt} failed:`, error.message);
-
-      if (error.name === 'AbortError') {
-        throw new Error(`Request timed out after ${timeoutMs}ms`);
-      }
-    }
-  }
-
-  throw lastError;
-}
-
-// LLM Provider configurations
-const PROVIDERS = {
-  openai: {
-    models: ['gpt-5-mini-2025-08-07', 'gpt-5.2-2025-12-11'],
-    supportsWebSearch: true
-  },
-  gemini: {
-    models: ['gemini-3-flash-preview', 'gemini-3-pro-preview'],
-    supportsWebSearch: true
-  }
-};
-
-const SYSTEM_PROMPT = `You are GenUI - an AI that ALWAYS creates interactive React applications. You are NOT a chatbot.
-
-CRITICAL: You MUST ALWAYS respond with a React application, NEVER plain text.
-Even for questions, news, weather, etc. - CREATE AN APP that displays the information visually.
-
-OUTPUT FORMAT (MANDATORY):
-\`\`\`json
-{"type":"sandbox","message":"요약...\\n사용법...","code":{"App.js":"YOUR_REACT_CODE","styles.css":"YOUR_CSS"},"sources":[{"title":"...","url":"...","image":"..."}]}
-\`\`\`
-
-RULES:
-1. ALWAYS create an interactive React app - NEVER just text
-2. Use the user's language for all UI text
-3. ALWAYS include a "message" field in the sandbox JSON. It is shown in the chat panel.
-4. "message" must be 2-3 short lines: line 1 = summary, line 2 = usage (buttons/controls), line 3 optional
-5. If sources are provided or web search is used, include a visible Sources section and populate the "sources" array
-6. If sources include image URLs (sources[].image) use them in the UI
-7. Prefer item.image or sources[].image for primary images; use image_fallback ONLY as onError fallback
-8. Prefer charts/diagrams (SVG, recharts, chart.js) for visualizations; images are a last resort
-9. Do NOT call generate_image unless the user explicitly asks OR context.image_policy.mode allows it and diagrams are insufficient; never exceed context.image_policy.max
-10. For news/web search requests, never generate images; use source images or fallback placeholders
-11. For <img> elements, always set onError to swap to a fallback image URL
-12. If attachments include public_url, you may render them with img/video/audio or link in the UI
-13. If context.generated_images exists, you MUST use those URLs as primary visuals (do not use random image URLs)
-14. Keep output concise: avoid embedding full documents, cap large lists, and keep App.js + styles reasonably small (aim under ~200KB per file)
-15. App must fill container: min-height: 100vh; width: 100%;
-16. When context JSON is provided, use ONLY the URLs/images from context.plan/items or context.sources; never fabricate links
-17. Default to a clean, modern UI. Use dark glassmorphism unless user requests a different style
-
-ALLOWED LIBRARIES (ONLY USE THESE):
-- react, react-dom (built-in)
-- recharts (for charts: LineChart, BarChart, AreaChart, PieChart, etc.)
-- date-fns (for date formatting)
-- react-leaflet, leaflet (for maps)
-- chart.js, react-chartjs-2 (alternative charts)
-
-DO NOT USE: lucide-react, @heroicons, framer-motion, tailwindcss, or any other libraries not listed above.
-
-STYLING (inline styles or styles.css):
-- Root: min-height: 100vh; width: 100%; padding: 20px;
-- Cards: background: rgba(255,255,255,0.05); backdrop-filter: blur(10px); border-radius: 16px; border: 1px solid rgba(255,255,255,0.1);
-- Images: width: 100%; border-radius: 12px; object-fit: cover;
-
-IMPORTANT: Include "sources" array in your response with title, url, and image for each source used.
-
-JSON ESCAPING (CRITICAL):
-- Wrap your JSON response in \`\`\`json code blocks
-- Newlines in code: Use \\n
-- Quotes in code: Use \\" 
-- Backslash in code: Use \\\\`;
-
-const GEMINI_PLAN_PROMPT = `You are GenUI Planner. Use google_search and url_context to gather accurate information when needed.
-
-Return ONLY valid JSON with this shape:
-{
-  "type": "grounded_plan",
-  "language": "<language of the user>",
-  "summary": "short overview",
-  "content": "detailed notes or markdown",
-  "items": [
-    {"title":"...","summary":"...","source_title":"...","source_url":"...","image_hint":"..."}
-  ],
-  "image_requests": [
-    {"id":"img1","prompt":"...","aspect_ratio":"16:9","usage":"hero|card|diagram"}
-  ],
-  "ui_intent": "layout hints for the UI"
-}
-
-Rules:
-- Output JSON only. No markdown fences, no code.
-- If there are sources, include source_title and source_url in items.
-- If images are important, include image_requests with clear prompts.
-- Keep it concise and parseable.`;
-
-const OPENAI_PLAN_PROMPT = `You are GenUI Planner. Use the web_search tool to gather accurate information when needed.
-
-Return ONLY valid JSON with this shape:
-{
-  "type": "grounded_plan",
-  "language": "<language of the user>",
-  "summary": "short overview",
-  "content": "detailed notes or markdown",
-  "items": [
-    {"title":"...","summary":"...","source_title":"...","source_url":"...","image_hint":"..."}
-  ],
-  "image_requests": [
-    {"id":"img1","prompt":"...","aspect_ratio":"16:9","usage":"hero|card|diagram"}
-  ],
-  "ui_intent": "layout hints for the UI"
-}
-
-Rules:
-- Output JSON only. No markdown fences, no code.
-- If there are sources, include source_title and source_url in items.
-- If images are important, include image_requests with clear prompts.
-- Keep it concise and parseable.`;
-
-// Parse LLM response
-function parseResponse(content) {
-  if (!content || typeof content !== 'string') {
-    return [{ type: 'message', content: content || '' }];
-  }
-
-  let cleaned = content.trim();
-
-  cleaned = cleaned.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
-  cleaned = cleaned.replace(/^```\s*/i, '').replace(/\s*```$/i, '');
-
-  const jsonMatch = cleaned.match(/```json\s*([\s\S]*?)\s*```/i);
-  if (jsonMatch) {
-    cleaned = jsonMatch[1].trim();
-  }
-
-  const trimmedCleaned = cleaned.trim();
-  const looksLikeJson = trimmedCleaned.startsWith('{') || trimmedCleaned.startsWith('[');
-
-  if (looksLikeJson) {
-    try {
-      const startIdx = cleaned.indexOf('{');
-      const endIdx = cleaned.lastIndexOf('}');
-      if (startIdx !== -1 && endIdx !== -1 && endIdx > startIdx) {
-        const jsonStr = cleaned.substring(startIdx, endIdx + 1);
-        const parsed = JSON.parse(jsonStr);
-
-        if (parsed.type === 'sandbox' && parsed.code) {
-          console.log('[Parse] Successfully parsed sandbox JSON');
-          const items = [];
-          if (typeof parsed.message === 'string' && parsed.message.trim()) {
-            items.push({ type: 'message', content: parsed.message });
-          }
-          const sandbox = { ...parsed };
-          delete sandbox.message;
-          items.push(sandbox);
-          return items;
-        }
-
-        if (parsed.type) {
-          return [parsed];
-        }
-      }
-    } catch (e) {
-      console.error('[Parse] JSON parse error:', e.message);
-
-      const codeMatch = cleaned.match(/"App\.js"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-      const cssMatch = cleaned.match(/"styles\.css"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-
-      if (codeMatch) {
-        console.log('[Parse] Extracted code from malformed JSON');
-        try {
-          const appCode = JSON.parse('"' + codeMatch[1] + '"');
-          const cssCode = cssMatch ? JSON.parse('"' + cssMatch[1] + '"') : '';
-          return [{
-            type: 'sandbox',
-            code: { 'App.js': appCode, 'styles.css': cssCode }
-          }];
-        } catch (e2) {
-          console.error('[Parse] Failed to unescape code:', e2.message);
-        }
-      }
-
-      return [{ type: 'message', content: 'Failed to parse app response. Please try again.' }];
-    }
-  }
-
-  if (!looksLikeJson && (cleaned.includes('export default function') || cleaned.includes('function App()'))) {
-    console.log('[Parse] Detected raw React code');
-    return [{
-      type: 'sandbox',
-      code: { 'App.js': cleaned, 'styles.css': '' }
-    }];
-  }
-
-  return [{ type: 'message', content }];
-}
-
-function parseJsonFromText(text) {
-  if (!text || typeof text !== 'string') return null;
-
-  let cleaned = text.trim();
-  cleaned = cleaned.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
-  const match = cleaned.match(/\{[\s\S]*\}/);
-  if (!match) return null;
-
-  try {
-    return JSON.parse(match[0]);
-  } catch {
-    return null;
-  }
-}
-
-function buildAttachmentNote(attachments) {
-  if (!attachments || attachments.length === 0) return null;
-
-  const lines = attachments.map(att => {
-    const note = att.analysisAvailable === false ? ' (analysis unavailable)' : '';
-    return `- ${att.name} (${att.mimeType || 'unknown'}) public_url: ${att.publicUrl}${note}`;
-  });
-
-  return `Attachment URLs (use in UI rendering if helpful):\n${lines.join('\n')}`;
-}
-
-function buildOpenAIInput(messages, { includeAttachments = true } = {}) {
-  const input = [];
-
-  for (const message of messages) {
-    const isAssistant = message.role === 'assistant';
-    const role = isAssistant ? 'assistant' : 'user';
-    const textType = isAssistant ? 'output_text' : 'input_text';
-    const parts = [];
-
-    if (!isAssistant && includeAttachments && message.attachments?.length) {
-      const openaiAttachments = message.attachments.filter(att => !att.provider || att.provider === 'openai');
-      for (const att of openaiAttachments) {
-        if (att.fileId && att.kind === 'image') {
-          parts.push({ type: 'input_image', file_id: att.fileId });
-        } else if (att.fileId && att.kind === 'pdf') {
-          parts.push({ type: 'input_file', file_id: att.fileId });
-        }
-      }
-
-      const note = buildAttachmentNote(message.attachments);
-      if (note) {
-        parts.push({ type: textType, text: note });
-      }
-    }
-
-    if (message.content) {
-      parts.push({ type: textType, text: message.content });
-    }
-
-    if (parts.length > 0) {
-      input.push({ role, content: parts });
-    }
-  }
-
-  return input;
-}
-
-function buildOpenAIContextMessage(context) {
-  if (!context) return null;
-
-  const payload = JSON.stringify(context, null, 2);
-  return {
-    role: 'user',
-    content: [{
-      type: 'input_text',
-      text: `Use this context JSON to build the GenUI response. The context is authoritative.\n- Use context.plan.items for cards/links.\n- Do NOT invent or alter URLs.\nContext:\n${payload}`
-    }]
-  };
-}
-
-function buildGeminiContents(messages, { includeAttachments = true } = {}) {
-  const contents = [];
-
-  for (const message of messages) {
-    const role = message.role === 'assistant' ? 'model' : 'user';
-    const parts = [];
-
-    if (includeAttachments && message.attachments?.length) {
-      const geminiAttachments = message.attachments.filter(att => !att.provider || att.provider === 'gemini');
-      for (const att of geminiAttachments) {
-        if (att.fileUri) {
-          parts.push({
-            file_data: {
-              mime_type: att.mimeType,
-              file_uri: att.fileUri
-            }
-          });
-        }
-      }
-
-      const note = buildAttachmentNote(message.attachments);
-      if (note) {
-        parts.push({ text: note });
-      }
-    }
-
-    if (message.content) {
-      parts.push({ text: message.content });
-    }
-
-    if (parts.length > 0) {
-      contents.push({ role, parts });
-    }
-  }
-
-  return contents;
-}
-
-function collectAttachmentContext(messages, provider) {
-  const attachments = [];
-
-  for (const message of messages) {
-    if (!message.attachments?.length) continue;
-    for (const att of message.attachments) {
-      if (provider && att.provider && att.provider !== provider) continue;
-      attachments.push({
-        name: att.name,
-        mimeType: att.mimeType,
-        kind: att.kind,
-        publicUrl: att.publicUrl,
-        analysisAvailable: att.analysisAvailable !== false
-      });
-    }
-  }
-
-  return attachments;
-}
-
-function dedupeSources(sources) {
-  const map = new Map();
-  for (const source of sources) {
-    if (!source.url) continue;
-    if (!map.has(source.url)) {
-      map.set(source.url, { ...source });
-    } else {
-      const existing = map.get(source.url);
-      map.set(source.url, { ...existing, ...source });
-    }
-  }
-  return Array.from(map.values());
-}
-
-function fallbackImageUrl(seed = 'genui') {
-  const safeSeed = String(seed).replace(/[^a-z0-9]+/gi, '-').slice(0, 60) || 'genui';
-  return `https://picsum.photos/seed/${safeSeed}/800/500`;
-}
-
-function getLastUserText(messages) {
-  if (!Array.isArray(messages)) return '';
-  for (let i = messages.length - 1; i >= 0; i -= 1) {
-    const msg = messages[i];
-    if (msg?.role === 'user' && typeof msg.content === 'string' && msg.content.trim()) {
-      return msg.content.trim();
-    }
-  }
-  return '';
-}
+import { listProviders } from './providers/index.js';
+import { parseResponse, validateSandboxResponse, buildSandboxRepairPrompt } from './sandbox.js';
+import { checkParsedSandbox, buildCodeRepairPrompt } from './codecheck.js';
+import { isPreflightEnabled, preflightParsedSandbox } from './preflight.js';
+import { applySandboxPatch, buildPatchFallbackPrompt } from './patch.js';
+import { buildSandboxContext, getContextBudget, fitConversation, fitContextToBudget } from './context.js';
+import { isAbortError, throwIfAborted } from './http.js';
+import { getFallbackChain, describeTarget, prepareAttachmentsFor } from './fallback.js';
+import {
+  emitStatus,
+  formatDuration,
+  traceToolCall,
+  getLastUserText,
+  wantsWebSearchFromText,
+  collectAttachmentContext,
+  normalizeReviewedPlan
+} from './pipeline.js';
 
 function isNewsRequest(text) {
   if (!text) return false;
@@ -417,11 +39,6 @@ function getImagePolicy(text) {
   return { mode: 'none', max: 0 };
 }
 
-function wantsWebSearchFromText(text) {
-  if (!text) return false;
-  return /뉴스|news|검색|search|최신|최근|웹|인터넷|기사|링크|sources/i.test(text);
-}
-
 function isLikelyLowValueImageUrl(url) {
   if (!url) return true;
   const lower = url.toLowerCase();
@@ -455,24 +72,46 @@ function buildImagePromptFromText(text, language = 'en') {
     : `Create a high-quality illustration based on: ${base}`;
 }
 
-async function generateImageForPrompt({ prompt, provider }) {
+async function generateImageForPrompt({ prompt, provider, onEvent, toolsUsed, signal, index = 1, total = 1 }) {
+  const startedAt = Date.now();
+  emitStatus(onEvent, 'images', `Generating image ${index} of ${total}...`, { index, total });
   try {
-    console.log(`[Image] Generating (${provider})`);
-    if (provider === 'openai') {
-      return await generateOpenAIImage({ prompt });
-    }
-    if (provider === 'gemini') {
-      return await generateGeminiImage({ prompt, quality: 'fast' });
-    }
+    console.log(`[Image] Generating (${provider.name})`);
+    const image = await provider.generateImage({ prompt, quality: 'fast', signal });
+    const durationMs = Date.now() - startedAt;
+    emitStatus(onEvent, 'images', `Image ${index} of ${total} ready (${formatDuration(durationMs)})`, { index, total, durationMs });
+    traceToolCall(toolsUsed, {
+      name: 'generate_image',
+      source: 'plan',
+      arguments: { prompt },
+      durationMs,
+      status: 'ok',
+      result: { url: image?.url }
+    });
+    return image;
   } catch (error) {
-    console.warn(`[Image] Generation failed (${provider}):`, error.message);
+    if (isAbortError(error)) throw error;
+    console.warn(`[Image] Generation failed (${provider.name}):`, error.message);
+    const durationMs = Date.now() - startedAt;
+    emitStatus(onEvent, 'images', `Image ${index} of ${total} failed after ${formatDuration(durationMs)}: ${error.message}`, { index, total, durationMs, error: error.message });
+    traceToolCall(toolsUsed, {
+      name: 'generate_image',
+      source: 'plan',
+      arguments: { prompt },
+      durationMs,
+      status: 'error',
+      error: error.message
+    });
   }
   return null;
 }
 
-async function ensurePlanImages({ plan, provider, max = 3, force = false }) {
+async function ensurePlanImages({ plan, provider, max = 3, force = false, onEvent, toolsUsed, signal }) {
   if (!plan?.items || !Array.isArray(plan.items)) return plan;
 
+  const needsImageCount = plan.items.filter(item => force || !item.image || isLikelyLowValueImageUrl(item.image)).length;
+  let total = Math.min(max, needsImageCount);
+  let attempt = 0;
   let generatedCount = 0;
   const updatedItems = [];
   for (const item of plan.items) {
@@ -480,8 +119,10 @@ async function ensurePlanImages({ plan, provider, max = 3, force = false }) {
     if (generatedCount < max) {
       const needsImage = force || !updatedItem.image || isLikelyLowValueImageUrl(updatedItem.image);
       if (needsImage) {
+        attempt += 1;
+        total = Math.max(total, attempt);
         const prompt = buildImagePromptForItem(updatedItem, plan.language);
-        const generated = await generateImageForPrompt({ prompt, provider });
+        const generated = await generateImageForPrompt({ prompt, provider, onEvent, toolsUsed, signal, index: attempt, total });
         if (generated?.url) {
           updatedItem.image = updatedItem.image && !isLikelyLowValueImageUrl(updatedItem.image)
             ? updatedItem.image
@@ -500,364 +141,84 @@ async function ensurePlanImages({ plan, provider, max = 3, force = false }) {
     items: updatedItems
   };
 }
-function normalizeForMatch(text = '') {
-  return String(text)
-    .toLowerCase()
-    .replace(/[\u0000-\u002f\u003a-\u0040\u005b-\u0060\u007b-\u007f]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function scoreTitleMatch(a, b) {
-  const left = normalizeForMatch(a);
-  const right = normalizeForMatch(b);
-  if (!left || !right) return 0;
-  if (left === right) return 3;
-  if (left.includes(right) || right.includes(left)) return 2;
-
-  const leftTokens = new Set(left.split(' ').filter(Boolean));
-  const rightTokens = new Set(right.split(' ').filter(Boolean));
-  if (leftTokens.size === 0 || rightTokens.size === 0) return 0;
-
-  let common = 0;
-  for (const token of leftTokens) {
-    if (rightTokens.has(token)) common += 1;
-  }
 
-  if (common === 0) return 0;
-  return common / Math.max(leftTokens.size, rightTokens.size);
-}
-
-function pickBestSourceForItem(item, sources, usedUrls = new Set()) {
-  if (!sources || sources.length === 0) return null;
-
-  if (item?.source_url) {
-    const direct = sources.find(source => source.url === item.source_url);
-    if (direct) return direct;
-  }
-
-  const preferredTitle = item?.source_title || item?.title || '';
-  let best = null;
-  let bestScore = 0;
-
-  for (const source of sources) {
-    if (!source.url) continue;
-    if (usedUrls.has(source.url)) continue;
-
-    const score = Math.max(
-      scoreTitleMatch(preferredTitle, source.title),
-      scoreTitleMatch(item?.title, source.title)
-    );
-
-    if (score > bestScore) {
-      bestScore = score;
-      best = source;
-    }
-  }
-
-  if (best) return best;
+// Style directives for parallel variants; callers may pass their own
+const DEFAULT_VARIANT_STYLES = [
+  'clean and minimal: generous whitespace, restrained palette, simple typography',
+  'bold and vivid: strong colors, large headings, prominent visuals',
+  'information-dense dashboard: compact grid, charts and summary stats up front',
+  'playful and friendly: rounded shapes, soft gradients, lively micro-interactions'
+];
+const MAX_VARIANTS = 4;
 
-  const fallback = sources.find(source => source.url && !usedUrls.has(source.url));
-  return fallback || sources[0];
+function hasSandboxCode(result) {
+  return Array.isArray(result.parsed) && result.parsed.some(item => item.type === 'sandbox' && item.code);
 }
 
-// Extract sources and images from OpenAI web search response
-function extractOpenAISources(output) {
-  const sources = [];
+// Run provider.generate `count` times concurrently on the same context, each with
+// its own style directive. Only the first variant streams deltas; status lines are
+// prefixed with the variant number. The first variant with a sandbox becomes the
+// primary result and every successful one is listed in `variants`.
+async function generateVariants({ provider, count, styles, context, onEvent, signal, ...options }) {
+  const styleList = styles?.length ? styles : DEFAULT_VARIANT_STYLES;
+  const variantStyle = index => styleList[index % styleList.length];
 
-  if (!output || !Array.isArray(output)) return sources;
-
-  for (const item of output) {
-    if (item.type === 'web_search_call' && item.action?.sources) {
-      for (const source of item.action.sources) {
-        sources.push({
-          title: source.title || '',
-          url: source.url || '',
-          image: null
-        });
+  const settled = await Promise.allSettled(Array.from({ length: count }, (_, index) => {
+    const variantEvent = (event, payload) => {
+      if (event === 'delta') {
+        if (index === 0) onEvent?.(event, payload);
+        return;
       }
-    }
-
-    if (item.type === 'message' && item.content) {
-      for (const content of item.content) {
-        if (content.annotations) {
-          for (const annotation of content.annotations) {
-            if (annotation.type === 'url_citation') {
-              sources.push({
-                title: annotation.title || '',
-                url: annotation.url || '',
-                image: null
-              });
-            }
-          }
-        }
-      }
-    }
-  }
-
-  return dedupeSources(sources);
-}
-
-// Extract sources from Gemini grounding metadata
-function extractGeminiSources(groundingMetadata) {
-  const sources = [];
-
-  if (!groundingMetadata?.groundingChunks) return sources;
-
-  for (const chunk of groundingMetadata.groundingChunks) {
-    if (chunk.web) {
-      sources.push({
-        title: chunk.web.title || '',
-        url: chunk.web.uri || '',
-        image: null
-      });
-    }
-  }
-
-  return dedupeSources(sources);
-}
-
-async function enrichSources(sources, { max = 6 } = {}) {
-  const uniqueSources = dedupeSources(sources).slice(0, max);
-
-  const metadataList = await Promise.all(uniqueSources.map(async (source) => {
-    if (!source.url) return { source, metadata: null };
-    const metadata = await fetchUrlMetadata(source.url, { timeout: 8000 });
-    return { source, metadata };
-  }));
-
-  const enriched = [];
-
-  for (const { source, metadata } of metadataList) {
-    const merged = {
-      ...source,
-      title: source.title || metadata?.title || '',
-      description: metadata?.description || source.description || '',
-      image: metadata?.image || source.image || null
+      onEvent?.(event, event === 'status' ? { ...payload, variant: index, message: `Variant ${index + 1}: ${payload.message}` } : payload);
     };
+    return provider.generate({
+      ...options,
+      context: { ...context, variant: { index: index + 1, of: count, style: variantStyle(index) } },
+      // Variants are alternatives to compare, so each is a complete app
+      allowPatch: false,
+      onEvent: variantEvent,
+      signal
+    });
+  }));
+  throwIfAborted(signal);
 
-    if (merged.image) {
-      const cached = await saveRemoteImage({ url: merged.image });
-      if (cached?.url) {
-        merged.image_cached = cached.url;
-      }
-    }
-
-    merged.image_fallback = merged.image_cached || fallbackImageUrl(merged.title || merged.url);
-    enriched.push(merged);
-  }
-
-  return enriched;
-}
-
-const OPENAI_FUNCTION_TOOLS = [
-  {
-    type: 'function',
-    name: 'generate_image',
-    description: 'Generate an image for the GenUI app and return a public URL.',
-    strict: true,
-    parameters: {
-      type: 'object',
-      properties: {
-        prompt: { type: 'string', description: 'Detailed image prompt.' },
-        aspect_ratio: {
-          type: ['string', 'null'],
-          description: 'Preferred aspect ratio like 1:1, 16:9, 4:3.'
-        }
-      },
-      required: ['prompt', 'aspect_ratio'],
-      additionalProperties: false
-    }
-  },
-  {
-    type: 'function',
-    name: 'fetch_url_metadata',
-    description: 'Fetch title, description, and image metadata for URLs.',
-    strict: true,
-    parameters: {
-      type: 'object',
-      properties: {
-        url: {
-          type: ['string', 'null'],
-          description: 'Single URL to fetch metadata for.'
-        },
-        urls: {
-          type: ['array', 'null'],
-          items: { type: 'string' },
-          description: 'List of URLs to fetch metadata for.'
-        }
-      },
-      required: ['url', 'urls'],
-      additionalProperties: false
+  const variants = [];
+  settled.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled' && hasSandboxCode(outcome.value)) {
+      variants.push({ index, style: variantStyle(index), ...outcome.value });
+    } else {
+      console.warn(`[LLM] Variant ${index + 1}/${count} failed: ${outcome.reason?.message || 'no sandbox in response'}`);
     }
-  }
-];
+  });
 
-const GEMINI_FUNCTION_DECLARATIONS = [
-  {
-    name: 'generate_image',
-    description: 'Generate an image for the GenUI app and return a public URL.',
-    parameters: {
-      type: 'object',
-      properties: {
-        prompt: { type: 'string', description: 'Detailed image prompt.' },
-        aspect_ratio: { type: 'string', description: 'Aspect ratio like 1:1 or 16:9.' },
-        image_size: { type: 'string', description: 'Image size: 1K, 2K, or 4K.' },
-        quality: { type: 'string', description: 'fast or pro.' }
-      },
-      required: ['prompt']
-    }
+  if (variants.length === 0) {
+    const rejected = settled.find(outcome => outcome.status === 'rejected');
+    if (rejected && !settled.some(outcome => outcome.status === 'fulfilled')) throw rejected.reason;
+    // Nothing usable: hand the first response to the repair pass
+    return settled.find(outcome => outcome.status === 'fulfilled').value;
   }
-];
-
-async function callOpenAIResponse({ model, instructions, input, tools, toolChoice, include }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('OPENAI_API_KEY not configured');
 
-  const body = {
-    model,
-    input,
-    tools,
-    tool_choice: toolChoice,
-    include
+  console.log(`[LLM] ${variants.length}/${count} variant(s) produced a sandbox`);
+  // Prefer a variant that passes the static checks as the primary result
+  const primary = variants.find(variant => checkParsedSandbox(variant.parsed).length === 0) || variants[0];
+  return {
+    ...primary,
+    variants: variants.map(({ index, style, content, parsed, sources, usage }) => ({ index, style, content, parsed, sources, usage }))
   };
-
-  if (instructions) {
-    body.instructions = instructions;
-  }
-
-  const response = await fetchWithRetry('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
-  }, { maxRetries: 2, timeoutMs: 180000 });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('[OpenAI] API Error:', errorText);
-    throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
-  }
-
-  return response.json();
 }
 
-function getOpenAIOutputText(data) {
-  if (data.output_text) return data.output_text;
-
-  let content = '';
-  if (data.output && Array.isArray(data.output)) {
-    for (const item of data.output) {
-      if (item.type === 'message' && item.content) {
-        for (const part of item.content) {
-          if (part.type === 'output_text' || part.text) {
-            content += part.text || part.output_text || '';
-          }
-        }
-      }
-    }
-  }
-
-  return content;
-}
-
-function extractOpenAIFunctionCalls(output) {
-  if (!output || !Array.isArray(output)) return [];
-  return output.filter(item => item.type === 'function_call');
-}
-
-async function executeOpenAIToolCalls(toolCalls, { allowImageGeneration = true, imageState } = {}) {
-  const outputs = [];
-
-  for (const call of toolCalls) {
-    try {
-      const callId = call.call_id || call.id;
-      const args = typeof call.arguments === 'string' ? JSON.parse(call.arguments) : (call.arguments || {});
-
-      if (call.name === 'generate_image') {
-        if (!allowImageGeneration) {
-          outputs.push({
-            type: 'function_call_output',
-            call_id: callId,
-            output: JSON.stringify({ error: 'Image generation disabled for this request.' })
-          });
-          continue;
-        }
-        if (imageState && imageState.remaining <= 0) {
-          outputs.push({
-            type: 'function_call_output',
-            call_id: callId,
-            output: JSON.stringify({ error: 'Image generation limit reached for this request.' })
-          });
-          continue;
-        }
-        const prompt = args.prompt;
-        if (!prompt) {
-          throw new Error('generate_image requires a prompt');
-        }
-        if (args.aspect_ratio) {
-          args.prompt = `${prompt} (aspect ratio ${args.aspect_ratio})`;
-        }
-        const image = await generateOpenAIImage({ prompt: args.prompt || prompt });
-        if (imageState) imageState.remaining -= 1;
-        outputs.push({
-          type: 'function_call_output',
-          call_id: callId,
-          output: JSON.stringify({ url: image.url, filename: image.filename })
-        });
-      } else if (call.name === 'fetch_url_metadata') {
-        let urls = [];
-        if (Array.isArray(args.urls) && args.urls.length > 0) {
-          urls = args.urls;
-        } else if (typeof args.url === 'string' && args.url) {
-          urls = [args.url];
-        }
-        const metadata = [];
-        for (const url of urls.slice(0, 6)) {
-          const info = await fetchUrlMetadata(url, { timeout: 8000 });
-          if (info.image) {
-            const cached = await saveRemoteImage({ url: info.image });
-            if (cached?.url) {
-              info.image_cached = cached.url;
-            }
-          }
-          info.image_fallback = info.image_cached || fallbackImageUrl(info.title || info.url);
-          metadata.push(info);
-        }
-        outputs.push({
-          type: 'function_call_output',
-          call_id: callId,
-          output: JSON.stringify({ results: metadata })
-        });
-      } else {
-        outputs.push({
-          type: 'function_call_output',
-          call_id: callId,
-          output: JSON.stringify({ error: `Unknown tool: ${call.name}` })
-        });
-      }
-    } catch (error) {
-      outputs.push({
-        type: 'function_call_output',
-        call_id: call.call_id || call.id,
-        output: JSON.stringify({ error: error.message })
-      });
+// Generate the image_requests the user approved in plan review
+async function generateApprovedImages({ plan, provider, max = 3, onEvent, toolsUsed, signal }) {
+  if (!provider.generateImage) return [];
+  const approved = plan.image_requests.filter(request => request.approved === true).slice(0, max);
+  const images = [];
+  for (const [index, request] of approved.entries()) {
+    const generated = await generateImageForPrompt({ prompt: request.prompt, provider, onEvent, toolsUsed, signal, index: index + 1, total: approved.length });
+    if (generated?.url) {
+      images.push({ id: request.id, url: generated.url, prompt: request.prompt, usage: request.usage || 'inline' });
     }
   }
-
-  return outputs;
-}
-
-function shouldIncludeContext(context) {
-  if (!context) return false;
-  if (context.plan) return true;
-  if (Array.isArray(context.sources) && context.sources.length > 0) return true;
-  if (Array.isArray(context.attachments) && context.attachments.length > 0) return true;
-  if (Array.isArray(context.generated_images) && context.generated_images.length > 0) return true;
-  if (context.image_policy) return true;
-  return false;
+  return images;
 }
 
 function shouldEnableWebSearch(messages, enableWebSearch) {
@@ -873,443 +234,45 @@ function shouldEnableWebSearch(messages, enableWebSearch) {
   return true;
 }
 
-async function callOpenAIPlan({ messages, model, enableWebSearch }) {
-  const input = buildOpenAIInput(messages);
-  const tools = enableWebSearch ? [{ type: 'web_search' }] : [];
-  const include = enableWebSearch ? ['web_search_call.action.sources'] : undefined;
-
-  let data;
-  try {
-    data = await callOpenAIResponse({
-      model,
-      instructions: OPENAI_PLAN_PROMPT,
-      input,
-      tools,
-      toolChoice: 'auto',
-      include
-    });
-  } catch (error) {
-    if (enableWebSearch) {
-      console.warn('[OpenAI] Plan web_search failed, retrying without tools:', error.message);
-      data = await callOpenAIResponse({
-        model,
-        instructions: OPENAI_PLAN_PROMPT,
-        input,
-        tools: [],
-        toolChoice: 'auto'
-      });
-    } else {
-      throw error;
-    }
-  }
-
-  const planText = getOpenAIOutputText(data);
-  const plan = parseJsonFromText(planText) || {
-    type: 'grounded_plan',
-    language: 'unknown',
-    summary: planText,
-    content: '',
-    items: [],
-    image_requests: [],
-    ui_intent: ''
-  };
-
-  const sources = extractOpenAISources(data.output);
-  const enrichedSources = await enrichSources(sources);
-  const lastUserText = getLastUserText(messages);
-  const forceSourceItems = wantsWebSearchFromText(lastUserText);
-  const basePlan = forceSourceItems || !Array.isArray(plan.items) || plan.items.length === 0
-    ? { ...plan, items: buildItemsFromSources(enrichedSources, 6) }
-    : plan;
-  const planWithImages = attachImagesToPlan(basePlan, enrichedSources);
-
-  return {
-    plan: planWithImages,
-    sources: enrichedSources
-  };
-}
-
-async function callOpenAIWithTools({ messages, model, enableWebSearch, context, imagePolicy }) {
-  let input = buildOpenAIInput(messages);
-  const contextMessage = shouldIncludeContext(context) ? buildOpenAIContextMessage(context) : null;
-  if (contextMessage) {
-    input = [...input, contextMessage];
-  }
-
-  const tools = [...OPENAI_FUNCTION_TOOLS];
-  if (enableWebSearch) {
-    tools.unshift({ type: 'web_search' });
-  }
-
-  const include = enableWebSearch ? ['web_search_call.action.sources'] : undefined;
-  const allowImageGeneration = imagePolicy?.mode !== 'none';
-  const imageState = { remaining: imagePolicy?.max ?? 0 };
-  let data = await callOpenAIResponse({
-    model,
-    instructions: SYSTEM_PROMPT,
-    input,
-    tools,
-    toolChoice: 'auto',
-    include
-  });
-
-  let sources = extractOpenAISources(data.output);
-
-  for (let attempt = 0; attempt < 4; attempt++) {
-    const toolCalls = extractOpenAIFunctionCalls(data.output);
-    if (toolCalls.length === 0) break;
-
-    const toolOutputs = await executeOpenAIToolCalls(toolCalls, { allowImageGeneration, imageState });
-    input = [...input, ...data.output, ...toolOutputs];
-
-    data = await callOpenAIResponse({
-      model,
-      instructions: SYSTEM_PROMPT,
-      input,
-      tools,
-      toolChoice: 'auto',
-      include
-    });
-
-    sources = dedupeSources([...sources, ...extractOpenAISources(data.output)]);
-  }
-
-  const content = getOpenAIOutputText(data);
-  const finalSources = context?.sources ? dedupeSources([...sources, ...context.sources]) : sources;
-
-  return {
-    content,
-    parsed: parseResponse(content),
-    sources: finalSources,
-    usage: data.usage
-  };
-}
-
-async function callGeminiApi({ model, contents, tools, systemPrompt, generationConfig }) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) throw new Error('GEMINI_API_KEY not configured');
-
-  const body = {
-    contents,
-    system_instruction: {
-      parts: [{ text: systemPrompt }]
-    },
-    generationConfig: generationConfig || {
-      temperature: 1.0,
-      maxOutputTokens: 8192
-    }
-  };
-
-  if (tools) {
-    body.tools = tools;
-  }
-
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-  const response = await fetchWithRetry(endpoint, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  }, { maxRetries: 2, timeoutMs: 90000 });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('[Gemini] API Error:', response.status, errorText);
-    throw new Error(`Gemini API error (${response.status}): ${errorText}`);
-  }
-
-  return response.json();
-}
-
-function getGeminiText(data) {
-  let content = '';
-  const candidate = data.candidates?.[0];
-
-  if (candidate?.content?.parts) {
-    for (const part of candidate.content.parts) {
-      if (part.text) {
-        content += part.text;
-      }
-    }
-  }
-
-  return content;
+function inferLanguage(text) {
+  return /[\uac00-\ud7a3]/.test(text || '') ? 'ko' : 'en';
 }
 
-function getGeminiFunctionCalls(data) {
-  const calls = [];
-  const parts = data.candidates?.[0]?.content?.parts || [];
-  for (const part of parts) {
-    if (part.functionCall) {
-      calls.push(part.functionCall);
-    }
-  }
-  return calls;
-}
-
-function attachImagesToPlan(plan, sources) {
-  if (!plan || !Array.isArray(plan.items)) return plan;
-
-  const usedUrls = new Set();
-  let updatedItems = plan.items.map((item) => {
-    const source = pickBestSourceForItem(item, sources, usedUrls);
-    if (source?.url) {
-      usedUrls.add(source.url);
-    }
-
-    const fallback = source?.image_fallback || fallbackImageUrl(item.title || item.source_title || item.source_url || 'news');
-    const urlChanged = source?.url && item.source_url && item.source_url !== source.url;
-    const hasSource = Boolean(source?.url);
-    const preferSource = urlChanged || !item.source_url || !item.title;
-    const title = preferSource ? (source?.title || item.title || item.source_title || '') : item.title;
-    const summary = (preferSource || !item.summary) ? (source?.description || item.summary || '') : item.summary;
-
-    return {
-      ...item,
-      source_url: hasSource ? source.url : item.source_url,
-      source_title: item.source_title || source?.title || item.title || '',
-      title,
-      summary,
-      image: source?.image || item.image || null,
-      image_fallback: fallback
-    };
-  });
-
-  if (updatedItems.length === 0 && sources?.length) {
-    updatedItems = sources.slice(0, 6).map((source) => ({
-      title: source.title || source.url || 'Source',
-      summary: source.description || '',
-      source_title: source.title || '',
-      source_url: source.url || '',
-      image: source.image || null,
-      image_fallback: source.image_fallback || fallbackImageUrl(source.title || source.url || 'news')
-    }));
-  }
-
-  return {
-    ...plan,
-    items: updatedItems
-  };
-}
-
-function buildItemsFromSources(sources, max = 6) {
-  if (!Array.isArray(sources) || sources.length === 0) return [];
-  return sources.slice(0, max).map((source) => ({
-    title: source.title || source.url || 'Source',
-    summary: source.description || '',
-    source_title: source.title || '',
-    source_url: source.url || '',
-    image: source.image || null,
-    image_fallback: source.image_fallback || fallbackImageUrl(source.title || source.url || 'news')
-  }));
-}
-
-async function callGeminiGroundedPlan({ messages, model }) {
-  const contents = buildGeminiContents(messages);
-  const tools = [{ google_search: {} }, { url_context: {} }];
-  let data;
-
-  try {
-    data = await callGeminiApi({
-      model,
-      contents,
-      tools,
-      systemPrompt: GEMINI_PLAN_PROMPT
-    });
-  } catch (error) {
-    console.warn('[Gemini] Plan tool combo failed, retrying with google_search only:', error.message);
-    try {
-      data = await callGeminiApi({
-        model,
-        contents,
-        tools: [{ google_search: {} }],
-        systemPrompt: GEMINI_PLAN_PROMPT
-      });
-    } catch (retryError) {
-      console.warn('[Gemini] Plan tool retry failed, falling back to no tools:', retryError.message);
-      data = await callGeminiApi({
-        model,
-        contents,
-        systemPrompt: GEMINI_PLAN_PROMPT
-      });
-    }
-  }
-
-  const planText = getGeminiText(data);
-  const plan = parseJsonFromText(planText) || {
-    type: 'grounded_plan',
-    language: 'unknown',
-    summary: planText,
-    content: '',
-    items: [],
-    image_requests: [],
-    ui_intent: ''
-  };
-
-  const sources = extractGeminiSources(data.candidates?.[0]?.groundingMetadata);
-  const enrichedSources = await enrichSources(sources);
-  const lastUserText = getLastUserText(messages);
-  const forceSourceItems = wantsWebSearchFromText(lastUserText);
-  const basePlan = forceSourceItems || !Array.isArray(plan.items) || plan.items.length === 0
-    ? { ...plan, items: buildItemsFromSources(enrichedSources, 6) }
-    : plan;
-  const planWithImages = attachImagesToPlan(basePlan, enrichedSources);
-
-  return {
-    plan: planWithImages,
-    sources: enrichedSources
-  };
-}
-
-async function callGeminiWithTools({ messages, model, context, imagePolicy }) {
-  const baseContents = buildGeminiContents(messages, { includeAttachments: false });
-
-  const contextMessage = {
-    role: 'user',
-    parts: [{
-      text: `Use this context JSON to build the GenUI response. The context is authoritative.\n- Use context.plan.items for cards/links.\n- Do NOT invent or alter URLs.\nContext:\n${JSON.stringify(context, null, 2)}`
-    }]
-  };
-
-  let contents = [...baseContents, contextMessage];
-
-  const tools = [{ functionDeclarations: GEMINI_FUNCTION_DECLARATIONS }];
-
-  let data = await callGeminiApi({
-    model,
-    contents,
-    tools,
-    systemPrompt: SYSTEM_PROMPT
-  });
-
-  const allowImageGeneration = imagePolicy?.mode !== 'none';
-  const imageState = { remaining: imagePolicy?.max ?? 0 };
-
-  for (let attempt = 0; attempt < 4; attempt++) {
-    const functionCalls = getGeminiFunctionCalls(data);
-    if (functionCalls.length === 0) break;
-
-    const functionResponses = [];
-    for (const call of functionCalls) {
-      if (call.name === 'generate_image') {
-        if (!allowImageGeneration) {
-          functionResponses.push({
-            functionResponse: {
-              name: call.name,
-              response: { error: 'Image generation disabled for this request.' }
-            }
-          });
-          continue;
-        }
-        if (imageState.remaining <= 0) {
-          functionResponses.push({
-            functionResponse: {
-              name: call.name,
-              response: { error: 'Image generation limit reached for this request.' }
-            }
-          });
-          continue;
-        }
-        try {
-          if (!call.args?.prompt) {
-            throw new Error('generate_image requires a prompt');
-          }
-          const result = await generateGeminiImage({
-            prompt: call.args?.prompt,
-            aspectRatio: call.args?.aspect_ratio,
-            imageSize: call.args?.image_size,
-            quality: call.args?.quality
-          });
-
-          imageState.remaining -= 1;
-          functionResponses.push({
-            functionResponse: {
-              name: call.name,
-              response: { url: result.url, filename: result.filename }
-            }
-          });
-        } catch (error) {
-          imageState.remaining -= 1;
-          functionResponses.push({
-            functionResponse: {
-              name: call.name,
-              response: { error: error.message }
-            }
-          });
-        }
-      } else {
-        functionResponses.push({
-          functionResponse: {
-            name: call.name,
-            response: { error: `Unknown tool: ${call.name}` }
-          }
-        });
-      }
-    }
-
-    contents = [...contents, data.candidates?.[0]?.content, { role: 'user', parts: functionResponses }];
-
-    data = await callGeminiApi({
-      model,
-      contents,
-      tools,
-      systemPrompt: SYSTEM_PROMPT
-    });
-  }
-
-  const content = getGeminiText(data);
-
-  return {
-    content,
-    parsed: parseResponse(content),
-    sources: context.sources || [],
-    usage: data.usageMetadata
-  };
-}
-
-async function callGeminiFlow({ messages, model, enableWebSearch }) {
+// Provider-agnostic pipeline: grounded plan -> optional images -> generate
+async function runGenerationFlow({ provider, messages, model, enableWebSearch, reviewedPlan, sandboxContext, contextTokens, allowPatch, variants = 1, variantStyles, onEvent, toolsUsed, signal }) {
   const lastUserText = getLastUserText(messages);
-  const imagePolicy = getImagePolicy(lastUserText);
-  const allowImages = imagePolicy.mode !== 'none';
+  const imagePolicy = provider.generateImage ? getImagePolicy(lastUserText) : { mode: 'none', max: 0 };
   const forceImages = imagePolicy.mode === 'explicit';
-
-  if (enableWebSearch) {
-    let baseContext = await callGeminiGroundedPlan({ messages, model });
-    const attachments = collectAttachmentContext(messages, 'gemini');
+  const attachments = collectAttachmentContext(messages, provider.name);
+
+  let baseContext = { plan: null, sources: [] };
+  if (reviewedPlan) {
+    // The user already reviewed the plan: use it as-is instead of re-planning
+    baseContext = { ...reviewedPlan, plan_reviewed: true };
+    const generated_images = await generateApprovedImages({ plan: reviewedPlan.plan, provider, onEvent, toolsUsed, signal });
+    if (generated_images.length > 0) baseContext.generated_images = generated_images;
+  } else if (enableWebSearch) {
+    baseContext = await provider.plan({ messages, model, enableWebSearch, onEvent, toolsUsed, signal });
     if (imagePolicy.mode === 'explicit' && baseContext.plan) {
       baseContext = {
         ...baseContext,
         plan: await ensurePlanImages({
           plan: baseContext.plan,
-          provider: 'gemini',
+          provider,
           max: imagePolicy.max,
-          force: forceImages
+          force: forceImages,
+          onEvent,
+          toolsUsed,
+          signal
         })
       };
     }
-
-    const context = { ...baseContext, attachments, image_policy: imagePolicy };
-    if (imagePolicy.mode === 'explicit' && (!context.plan?.items || context.plan.items.length === 0)) {
-      const prompt = buildImagePromptFromText(lastUserText, context.plan?.language || 'ko');
-      const generated = await generateImageForPrompt({ prompt, provider: 'gemini' });
-      if (generated?.url) {
-        context.generated_images = [{
-          url: generated.url,
-          prompt,
-          usage: 'inline'
-        }];
-      }
-    }
-    return callGeminiWithTools({ messages, model, context, imagePolicy });
   }
 
-  const attachments = collectAttachmentContext(messages, 'gemini');
-  const context = { plan: null, sources: [], attachments, image_policy: imagePolicy };
-  if (imagePolicy.mode === 'explicit') {
-    const prompt = buildImagePromptFromText(lastUserText, 'ko');
-    const generated = await generateImageForPrompt({ prompt, provider: 'gemini' });
+  const context = { ...baseContext, attachments, image_policy: imagePolicy, ...sandboxContext };
+  if (!reviewedPlan && imagePolicy.mode === 'explicit' && (!context.plan?.items || context.plan.items.length === 0)) {
+    const prompt = buildImagePromptFromText(lastUserText, context.plan?.language || inferLanguage(lastUserText));
+    const generated = await generateImageForPrompt({ prompt, provider, onEvent, toolsUsed, signal });
     if (generated?.url) {
       context.generated_images = [{
         url: generated.url,
@@ -1318,90 +281,257 @@ async function callGeminiFlow({ messages, model, enableWebSearch }) {
       }];
     }
   }
-  return callGeminiWithTools({ messages, model, context, imagePolicy });
+
+  const fitted = fitContextToBudget(context, contextTokens);
+  if (fitted.dropped.length > 0) {
+    console.log(`[Context] Context JSON trimmed to ~${fitted.tokens}/${contextTokens} tokens: ${fitted.dropped.join(', ')}`);
+  }
+
+  throwIfAborted(signal);
+  if (variants > 1) {
+    return generateVariants({ provider, count: variants, styles: variantStyles, messages, model, context: fitted.context, imagePolicy, onEvent, toolsUsed, signal });
+  }
+  return provider.generate({ messages, model, context: fitted.context, imagePolicy, allowPatch, onEvent, toolsUsed, signal });
 }
 
-async function callOpenAIFlow({ messages, model, enableWebSearch }) {
-  const lastUserText = getLastUserText(messages);
-  const imagePolicy = getImagePolicy(lastUserText);
-  const allowImages = imagePolicy.mode !== 'none';
-  const forceImages = imagePolicy.mode === 'explicit';
-  const attachments = collectAttachmentContext(messages, 'openai');
+// One provider/model turn: context fitting, the generation flow and sandbox_patch handling
+async function runProviderTurn({ adapter, messages, model, webSearchEnabled, reviewedPlan, variants, variantStyles, sandbox, sessionId, onEvent, signal }) {
+  console.log(`[LLM] Provider: ${adapter.name}, Model: ${model}, WebSearch: ${webSearchEnabled}`);
 
-  if (enableWebSearch) {
-    let baseContext = await callOpenAIPlan({ messages, model, enableWebSearch });
-    if (imagePolicy.mode === 'explicit' && baseContext.plan) {
-      baseContext = {
-        ...baseContext,
-        plan: await ensurePlanImages({
-          plan: baseContext.plan,
-          provider: 'openai',
-          max: imagePolicy.max,
-          force: forceImages
-        })
-      };
-    }
-    const context = { ...baseContext, attachments, image_policy: imagePolicy };
-    if (imagePolicy.mode === 'explicit' && (!context.plan?.items || context.plan.items.length === 0)) {
-      const prompt = buildImagePromptFromText(lastUserText, 'en');
-      const generated = await generateImageForPrompt({ prompt, provider: 'openai' });
-      if (generated?.url) {
-        context.generated_images = [{
-          url: generated.url,
-          prompt,
-          usage: 'inline'
-        }];
-      }
-    }
-    return callOpenAIWithTools({ messages, model, enableWebSearch: false, context, imagePolicy });
+  const toolsUsed = [];
+  const budget = getContextBudget(model);
+  const conversation = await fitConversation({ messages, adapter, model, sessionId, maxTokens: budget.history, onEvent, signal });
+  const droppedNote = conversation.summarizedCount
+    ? `${conversation.summarizedCount} older message(s) (~${conversation.summarizedTokens} tokens) ${conversation.summarized ? 'summarized' : 'dropped'}`
+    : 'nothing dropped';
+  console.log(`[Context] ${model}: ~${budget.total} token budget; ${messages.length - conversation.summarizedCount}/${messages.length} message(s) verbatim (~${conversation.tokens} tokens); ${droppedNote}`);
+
+  const current = buildSandboxContext({ messages, sandbox });
+  if (current?.context.current_files_truncated) {
+    console.log(`[LLM] Current app truncated for context: ${current.context.current_files_truncated.map(file => file.path).join(', ')}`);
   }
+  let result = await runGenerationFlow({
+    provider: adapter,
+    messages: conversation.messages,
+    model,
+    enableWebSearch: webSearchEnabled,
+    reviewedPlan,
+    sandboxContext: current?.context,
+    contextTokens: budget.total - conversation.tokens,
+    allowPatch: Boolean(current),
+    variants,
+    variantStyles,
+    onEvent,
+    toolsUsed,
+    signal
+  });
 
-  const context = attachments.length > 0
-    ? { plan: null, sources: [], attachments, image_policy: imagePolicy }
-    : { plan: null, sources: [], image_policy: imagePolicy };
-  if (imagePolicy.mode === 'explicit') {
-    const prompt = buildImagePromptFromText(lastUserText, 'en');
-    const generated = await generateImageForPrompt({ prompt, provider: 'openai' });
-    if (generated?.url) {
-      context.generated_images = [{
-        url: generated.url,
-        prompt,
-        usage: 'inline'
-      }];
-    }
+  const patchItem = result.parsed?.find(item => item.type === 'sandbox_patch');
+  if (patchItem) {
+    const applied = current
+      ? applySandboxPatch(current.code, patchItem.patches)
+      : { code: null, errors: [{ path: '$', message: 'there is no current app to patch' }] };
+
+    if (applied.code) {
+      console.log(`[LLM] Applied sandbox_patch to ${applied.changedFiles.join(', ')}`);
+      emitStatus(onEvent, 'patch', `Patched ${applied.changedFiles.join(', ')}`, { files: applied.changedFiles });
+      const parsed = result.parsed.map(item => (item === patchItem
+        ? { type: 'sandbox', code: applied.code, sources: patchItem.sources, patch: { files: applied.changedFiles } }
+        : item));
+      return { ...result, parsed, toolsUsed };
+    }
+
+    // Fall back to regenerating the whole app, with the failures as guidance
+    const firstError = applied.errors[0];
+    console.warn(`[LLM] sandbox_patch failed (${firstError.path}: ${firstError.message}), regenerating full app.`);
+    emitStatus(onEvent, 'patch', `Patch failed (${firstError.message}), regenerating the full app...`, { error: firstError.message, errors: applied.errors });
+    onEvent?.('delta', { reset: true });
+    const fallback = await runGenerationFlow({
+      provider: adapter,
+      messages: [
+        ...conversation.messages,
+        { role: 'assistant', content: result.content || '' },
+        { role: 'user', content: buildPatchFallbackPrompt(applied.errors) }
+      ],
+      model,
+      enableWebSearch: false,
+      reviewedPlan,
+      sandboxContext: current?.context,
+      contextTokens: budget.total - conversation.tokens,
+      allowPatch: false,
+      onEvent,
+      toolsUsed,
+      signal
+    });
+    result = { ...fallback, sources: fallback.sources?.length ? fallback.sources : result.sources };
+    // A second patch has nothing to apply to either; without a sandbox item the
+    // repair pass asks for the complete app
+    if (result.parsed?.some(item => item.type === 'sandbox_patch')) {
+      console.warn('[LLM] Fallback returned another sandbox_patch, discarding it.');
+      result = { ...result, parsed: result.parsed.filter(item => item.type !== 'sandbox_patch') };
+    }
+  }
+
+  return { ...result, toolsUsed };
+}
+
+// Static checks first; the render check only runs on an app that parses
+async function checkGeneratedApp(parsed, { onEvent, signal }) {
+  const errors = checkParsedSandbox(parsed);
+  if (errors.length > 0 || !isPreflightEnabled()) return errors;
+  emitStatus(onEvent, 'preflight', 'Test-rendering the app...');
+  return preflightParsedSandbox(parsed, { signal });
+}
+
+// A turn plus one repair pass when the response fails the sandbox schema, its
+// app fails the static checks (syntax, imports, default export, CSS) or it
+// crashes on its first render in the pre-flight check
+async function runTurnWithRepair(options) {
+  const { messages, onEvent, signal } = options;
+  const result = await runProviderTurn(options);
+
+  let errors;
+  let repairPrompt;
+  if (hasSandboxCode(result)) {
+    // Variants already prefer a primary that passes; a repair would drop the others
+    if (result.variants) return result;
+    errors = await checkGeneratedApp(result.parsed, { onEvent, signal });
+    if (errors.length === 0) return result;
+    console.warn(`[LLM] Sandbox failed ${errors.length} check(s), attempting one repair pass.`);
+    emitStatus(onEvent, 'repair', `Generated app failed checks (${errors[0].path}: ${errors[0].message}), running one repair pass...`, { errors });
+    repairPrompt = buildCodeRepairPrompt(errors);
+  } else {
+    const validation = validateSandboxResponse(result.content);
+    errors = validation.errors;
+    if (errors.length === 0) {
+      // Schema-valid but nothing to show: a sandbox_patch that could not be
+      // applied because there is no current app (the fallback may patch again)
+      errors = [validation.payload?.type === 'sandbox_patch'
+        ? { path: '$.type', message: 'got "sandbox_patch" but there is no current app to patch; return the complete app as a "sandbox" response' }
+        : { path: '$', message: 'response contains no sandbox app' }];
+    }
+    console.warn(`[LLM] Missing sandbox response (${errors.length} schema error(s)), attempting one repair pass.`);
+    emitStatus(onEvent, 'repair', `Response failed the sandbox schema (${errors[0].path}: ${errors[0].message}), running one repair pass...`, { errors });
+    repairPrompt = buildSandboxRepairPrompt(errors);
+  }
+  onEvent?.('delta', { reset: true });
+
+  // A single repair generation, even when variants were requested
+  const repaired = await runProviderTurn({
+    ...options,
+    variants: 1,
+    messages: [
+      ...messages,
+      { role: 'assistant', content: result.content || '' },
+      { role: 'user', content: repairPrompt }
+    ]
+  });
+  const toolsUsed = [...result.toolsUsed, ...repaired.toolsUsed];
+
+  // An app that failed its checks still beats a repair that produced no app at all
+  if (!hasSandboxCode(repaired) && hasSandboxCode(result)) {
+    console.warn('[LLM] Repair produced no sandbox, keeping the original app.');
+    return { ...result, toolsUsed, checkErrors: errors };
+  }
+  const remaining = hasSandboxCode(repaired) ? await checkGeneratedApp(repaired.parsed, { onEvent, signal }) : [];
+  if (remaining.length > 0) {
+    console.warn(`[LLM] Sandbox still fails ${remaining.length} check(s) after repair.`);
   }
-  return callOpenAIWithTools({ messages, model, enableWebSearch: false, context, imagePolicy });
+  return { ...repaired, toolsUsed, ...(remaining.length > 0 && { checkErrors: remaining }) };
 }
 
-// Main LLM call function
+// Main LLM call function. Tries the requested provider/model, then each
+// LLM_FALLBACK_CHAIN entry when it errors or still has no sandbox after repair
+// (`fallback: false` pins the requested one). The result reports the
+// provider/model that answered and any fallbacks taken.
 export async function callLLM({
   messages,
   provider = process.env.DEFAULT_LLM_PROVIDER || 'gemini',
   model,
-  enableWebSearch = true
+  enableWebSearch = true,
+  sandbox = null,
+  plan = null,
+  sources = [],
+  variants = 1,
+  variantStyles,
+  fallback = true,
+  sessionId,
+  onEvent,
+  signal
 }) {
-  const config = PROVIDERS[provider];
-  if (!config) {
-    throw new Error(`Unknown provider: ${provider}`);
-  }
-
+  const fullChain = getFallbackChain(provider, model);
+  const chain = fallback ? fullChain : fullChain.slice(0, 1);
   const webSearchEnabled = shouldEnableWebSearch(messages, enableWebSearch);
+  const reviewedPlan = normalizeReviewedPlan(plan, sources);
+  const variantCount = Math.min(Math.max(Number.parseInt(variants, 10) || 1, 1), MAX_VARIANTS);
+  const styles = Array.isArray(variantStyles) ? variantStyles.filter(style => typeof style === 'string' && style.trim()) : undefined;
+  const uploadCache = new Map();
+  const fallbacks = [];
+  const toolsUsed = [];
 
-  if (!model) {
-    model = provider === 'openai' ? 'gpt-5-mini-2025-08-07' : 'gemini-3-flash-preview';
-  }
+  for (const [index, target] of chain.entries()) {
+    const next = chain[index + 1];
+    let failure;
 
-  console.log(`[LLM] Provider: ${provider}, Model: ${model}, WebSearch: ${webSearchEnabled}`);
+    try {
+      const result = await runTurnWithRepair({
+        adapter: target.adapter,
+        messages: index === 0 ? messages : await prepareAttachmentsFor(messages, target.adapter, { cache: uploadCache, signal }),
+        model: target.model,
+        webSearchEnabled,
+        reviewedPlan,
+        variants: variantCount,
+        variantStyles: styles,
+        sandbox,
+        sessionId,
+        onEvent,
+        signal
+      });
+      toolsUsed.push(...result.toolsUsed);
 
-  if (provider === 'openai') {
-    return callOpenAIFlow({ messages, model, enableWebSearch: webSearchEnabled });
-  }
+      if (hasSandboxCode(result) || !next) {
+        if (fallbacks.length > 0) {
+          emitStatus(onEvent, 'fallback', `Answered by fallback ${describeTarget(target)}`, { provider: target.provider, model: target.model });
+        }
+        return { ...result, toolsUsed, provider: target.provider, model: target.model, fallbacks };
+      }
+      failure = 'no sandbox after repair';
+    } catch (error) {
+      if (isAbortError(error) || !next) throw error;
+      failure = error.message;
+    }
 
-  if (provider === 'gemini') {
-    return callGeminiFlow({ messages, model, enableWebSearch: webSearchEnabled });
-  }
+    fallbacks.push({ provider: target.provider, model: target.model, error: failure });
+    console.warn(`[Fallback] ${describeTarget(target)} failed (${failure}), falling back to ${describeTarget(next)}`);
+    emitStatus(onEvent, 'fallback', `${describeTarget(target)} failed (${failure}), falling back to ${describeTarget(next)}...`, {
+      error: failure,
+      from: { provider: target.provider, model: target.model },
+      to: { provider: next.provider, model: next.model }
+    });
+    onEvent?.('delta', { reset: true });
+  }
+}
+
+// Plan-only step for plan review: the grounded plan and enriched sources the
+// generation would use, without generating the app. The reviewed plan goes
+// back to callLLM as `plan`/`sources`.
+export async function createPlan({ messages, provider = process.env.DEFAULT_LLM_PROVIDER || 'gemini', model, sessionId, onEvent, signal }) {
+  const [target] = getFallbackChain(provider, model);
+  const toolsUsed = [];
+  const budget = getContextBudget(target.model);
+  const conversation = await fitConversation({ messages, adapter: target.adapter, model: target.model, sessionId, maxTokens: budget.history, onEvent, signal });
+
+  console.log(`[LLM] Plan: Provider: ${target.provider}, Model: ${target.model}`);
+  const { plan, sources } = await target.adapter.plan({
+    messages: conversation.messages,
+    model: target.model,
+    enableWebSearch: true,
+    onEvent,
+    toolsUsed,
+    signal
+  });
 
-  throw new Error(`Unsupported provider: ${provider}`);
+  return { plan, sources: sources || [], toolsUsed, provider: target.provider, model: target.model };
 }
 
 // Generate with retry/repair
@@ -1410,7 +540,8 @@ export async function generateWithRepair({
   provider,
   model,
   error = null,
-  maxRetries = 3
+  maxRetries = 3,
+  signal
 }) {
   let currentMessages = [...messages];
 
@@ -1422,17 +553,18 @@ export async function generateWithRepair({
   }
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
-    const result = await callLLM({ messages: currentMessages, provider, model, enableWebSearch: false });
+    const result = await callLLM({ messages: currentMessages, provider, model, enableWebSearch: false, signal });
     const sandboxResponse = result.parsed.find(p => p.type === 'sandbox');
     if (sandboxResponse?.code) {
       return result;
     }
 
     if (attempt < maxRetries - 1) {
+      const { errors } = validateSandboxResponse(result.content);
       currentMessages.push({ role: 'assistant', content: result.content });
       currentMessages.push({
         role: 'user',
-        content: 'You MUST create an interactive React app. Output ONLY valid JSON with type "sandbox" containing App.js and styles.css. Never respond with plain text.'
+        content: `${buildSandboxRepairPrompt(errors)} You MUST create an interactive React app; never respond with plain text.`
       });
     }
   }
@@ -1440,4 +572,4 @@ export async function generateWithRepair({
   throw new Error('Failed to generate valid sandbox code after retries');
 }
 
-export { PROVIDERS, parseResponse };
+export { listProviders, parseResponse };
@@ -1,8 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
-import fetch from 'node-fetch';
 import { fileURLToPath } from 'url';
+import { fetchWithTimeout } from './http.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const BACKEND_ROOT = path.resolve(__dirname, '..');
@@ -61,17 +61,14 @@ function extensionFromMime(mimeType = '') {
   return 'jpg';
 }
 
-export async function saveRemoteImage({ url, maxBytes = 8 * 1024 * 1024 }) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 8000);
-
+export async function saveRemoteImage({ url, maxBytes = 8 * 1024 * 1024, signal }) {
   try {
-    const response = await fetch(url, {
-      signal: controller.signal,
+    const response = await fetchWithTimeout(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      }
-    });
+      },
+      signal
+    }, 8000);
 
     if (!response.ok) {
       return null;
@@ -104,7 +101,5 @@ export async function saveRemoteImage({ url, maxBytes = 8 * 1024 * 1024 }) {
     };
   } catch {
     return null;
-  } finally {
-    clearTimeout(timeout);
   }
 }
@@ -0,0 +1,451 @@
+// Canned upstream responses for FIXTURE_MODE=mock.
+//
+// Each handler answers one upstream API in that API's own wire format (JSON or SSE),
+// so the provider adapters, grounding, tool loops and image pipeline run unchanged.
+// Responses are derived from the request body only, which keeps them deterministic.
+
+const MOCK_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const MOCK_SOURCES = [
+  { title: 'Mock Source: Overview', url: 'https://example.com/mock/overview' },
+  { title: 'Mock Source: Details', url: 'https://example.org/mock/details' }
+];
+
+const CONTEXT_PREFIX = 'Use this context JSON';
+const STREAM_PIECES = 6;
+
+function parseJsonBody(body) {
+  if (typeof body !== 'string') return {};
+  try {
+    return JSON.parse(body);
+  } catch {
+    return {};
+  }
+}
+
+// Helper: gather every text fragment under a message/content node
+function collectText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (Array.isArray(node)) return node.map(collectText).filter(Boolean).join('\n');
+  if (typeof node === 'object') {
+    if (typeof node.text === 'string') return node.text;
+    return collectText(node.content || node.parts);
+  }
+  return '';
+}
+
+// Helper: normalize Gemini contents / OpenAI input / chat messages to { role, text }
+function toTurns(entries = []) {
+  if (typeof entries === 'string') return [{ role: 'user', text: entries }];
+  return entries
+    .filter(entry => entry && (entry.role || entry.parts || entry.content))
+    .map(entry => ({ role: entry.role === 'model' ? 'assistant' : entry.role, text: collectText(entry) }));
+}
+
+function readConversation(turns) {
+  // Gemini tool rounds add user turns holding only functionResponse parts
+  const userTurns = turns.filter(turn => turn.role === 'user' && turn.text.trim());
+  const query = [...userTurns].reverse().find(turn => !turn.text.startsWith(CONTEXT_PREFIX))?.text || '';
+  const contextTurn = [...userTurns].reverse().find(turn => turn.text.startsWith(CONTEXT_PREFIX));
+  let context = null;
+  if (contextTurn) {
+    const jsonStart = contextTurn.text.indexOf('{');
+    try {
+      context = JSON.parse(contextTurn.text.slice(jsonStart));
+    } catch {
+      context = null;
+    }
+  }
+  return { query: query.trim(), context };
+}
+
+function inferLanguage(text) {
+  return /[가-힣]/.test(text) ? 'ko' : 'en';
+}
+
+function wantsImage(text) {
+  return /이미지|그림|image|picture|illustration/i.test(text);
+}
+
+function buildMockPlan(query) {
+  return {
+    type: 'grounded_plan',
+    language: inferLanguage(query),
+    summary: `Offline mock plan for: ${query || 'empty request'}`,
+    content: 'These notes were produced by the mock provider. No network requests were made.',
+    items: MOCK_SOURCES.map((source, index) => ({
+      title: `Mock item ${index + 1}`,
+      summary: `Canned summary ${index + 1} for "${query}".`,
+      source_title: source.title,
+      source_url: source.url,
+      image_hint: ''
+    })),
+    image_requests: [],
+    ui_intent: 'cards with links'
+  };
+}
+
+// Rolling conversation summary requests (SUMMARY_PROMPT)
+function buildMockSummary(text) {
+  return `Mock summary: ${(text || '').replace(/\s+/g, ' ').slice(0, 160)}`;
+}
+
+// Edits to an existing app come back as a sandbox_patch against its first App.js line
+function buildMockPatch({ query, context }) {
+  const firstLine = context.current_files['App.js'].split('\n')[0];
+  const patch = {
+    type: 'sandbox_patch',
+    message: `Mock edit for: ${query || 'empty request'}\nServed offline by the mock provider as a patch.`,
+    patches: [{ path: 'App.js', search: firstLine, replace: `${firstLine}\n// Edited offline: ${(query || '').replace(/\s+/g, ' ')}` }],
+    sources: []
+  };
+  return `\`\`\`json\n${JSON.stringify(patch)}\n\`\`\``;
+}
+
+// Structured-output requests get bare JSON, like the real APIs return
+function buildMockSandbox({ query, context, toolResults, structured = false }) {
+  if (!structured && typeof context?.current_files?.['App.js'] === 'string') {
+    return buildMockPatch({ query, context });
+  }
+
+  const items = (context?.plan?.items || []).map(item => ({
+    title: item.title || '',
+    summary: item.summary || '',
+    url: item.source_url || '',
+    image: item.image || null
+  }));
+  const imageUrl = context?.generated_images?.[0]?.url
+    || toolResults.map(result => result?.url).find(Boolean)
+    || null;
+  const style = context?.variant?.style || null;
+  const data = JSON.stringify({ query, imageUrl, style }, null, 2);
+
+  const appCode = `import React, { useState } from 'react';
+import items from './data/items.json';
+
+const DATA = ${data};
+
+export default function App() {
+  const [count, setCount] = useState(0);
+
+  return (
+    <div className="app">
+      <header>
+        <span className="badge">mock</span>
+        <h1>{DATA.query || 'Mock app'}</h1>
+      </header>
+      {DATA.style && <p className="style">Style: {DATA.style}</p>}
+      {DATA.imageUrl && <img className="hero" src={DATA.imageUrl} alt="" />}
+      <div className="cards">
+        {items.map((item, index) => (
+          <a key={index} className="card" href={item.url} target="_blank" rel="noreferrer">
+            <strong>{item.title}</strong>
+            <span>{item.summary}</span>
+          </a>
+        ))}
+      </div>
+      <button onClick={() => setCount(count + 1)}>Clicked {count} times</button>
+    </div>
+  );
+}
+`;
+
+  const stylesCode = `.app { min-height: 100vh; width: 100%; padding: 20px; background: #0f172a; color: #e2e8f0; font-family: system-ui, sans-serif; }
+header { display: flex; align-items: center; gap: 12px; margin-bottom: 16px; }
+.badge { padding: 2px 8px; border-radius: 999px; background: #f59e0b; color: #0f172a; font-size: 12px; font-weight: 600; }
+.hero { width: 100%; max-height: 240px; border-radius: 12px; object-fit: cover; margin-bottom: 16px; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; margin-bottom: 16px; }
+.card { display: flex; flex-direction: column; gap: 6px; padding: 14px; border-radius: 16px; background: rgba(255,255,255,0.05); border: 1px solid rgba(255,255,255,0.1); color: inherit; text-decoration: none; }
+button { padding: 10px 16px; border-radius: 10px; border: none; background: #6366f1; color: white; cursor: pointer; }
+`;
+
+  const sandbox = {
+    type: 'sandbox',
+    message: `Mock app for: ${query || 'empty request'}${style ? ` (${style})` : ''}\nServed offline by the mock provider; the button counts clicks.`,
+    code: { 'App.js': appCode, 'styles.css': stylesCode },
+    files: [{ path: 'data/items.json', content: JSON.stringify(items, null, 2) }],
+    sources: (context?.sources || []).map(source => ({ title: source.title, url: source.url, image: source.image || null }))
+  };
+
+  const payload = JSON.stringify(sandbox);
+  return structured ? payload : `\`\`\`json\n${payload}\n\`\`\``;
+}
+
+// Decide whether this generation round should answer with a function call
+function pickFunctionCall({ query, context, declared, hasToolResults }) {
+  if (hasToolResults) return null;
+  if (declared.includes('generate_image') && wantsImage(query) && context?.image_policy?.mode !== 'none') {
+    return { name: 'generate_image', args: { prompt: `Illustration for: ${query}` } };
+  }
+  const urls = (context?.plan?.items || []).map(item => item.source_url).filter(Boolean).slice(0, 2);
+  if (declared.includes('fetch_url_metadata') && urls.length > 0) {
+    return { name: 'fetch_url_metadata', args: { urls } };
+  }
+  return null;
+}
+
+function splitText(text, pieces = STREAM_PIECES) {
+  const size = Math.max(1, Math.ceil(text.length / pieces));
+  const parts = [];
+  for (let i = 0; i < text.length; i += size) {
+    parts.push(text.slice(i, i + size));
+  }
+  return parts.length > 0 ? parts : [''];
+}
+
+function json(body, status = 200, headers = {}) {
+  return { status, headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body) };
+}
+
+function sse(events) {
+  return {
+    status: 200,
+    headers: { 'content-type': 'text/event-stream' },
+    chunks: events.map(({ event, data }) => `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`)
+  };
+}
+
+function png() {
+  return { status: 200, headers: { 'content-type': 'image/png' }, body: Buffer.from(MOCK_PNG_BASE64, 'base64') };
+}
+
+function mockUsage(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// --- Gemini -----------------------------------------------------------------
+
+function mockGemini(url, body) {
+  const stream = url.pathname.endsWith(':streamGenerateContent');
+
+  if (body.generationConfig?.responseModalities?.includes('IMAGE')) {
+    return json({ candidates: [{ content: { role: 'model', parts: [{ inlineData: { mimeType: 'image/png', data: MOCK_PNG_BASE64 } }] } }] });
+  }
+
+  const systemText = collectText(body.system_instruction);
+  const turns = toTurns(body.contents);
+  const { query, context } = readConversation(turns);
+  const allParts = (body.contents || []).flatMap(content => content.parts || []);
+  const toolResults = allParts.filter(part => part.functionResponse).map(part => part.functionResponse.response);
+
+  let parts;
+  let groundingMetadata;
+  if (systemText.includes('GenUI Summarizer')) {
+    parts = [{ text: buildMockSummary(query) }];
+  } else if (systemText.includes('GenUI Planner')) {
+    parts = [{ text: JSON.stringify(buildMockPlan(query)) }];
+    if (body.tools?.some(tool => tool.google_search)) {
+      groundingMetadata = {
+        webSearchQueries: [query],
+        groundingChunks: MOCK_SOURCES.map(source => ({ web: { uri: source.url, title: source.title } }))
+      };
+    }
+  } else {
+    const declared = (body.tools || []).flatMap(tool => tool.functionDeclarations || []).map(fn => fn.name);
+    const call = pickFunctionCall({ query, context, declared, hasToolResults: toolResults.length > 0 });
+    parts = call
+      ? [{ functionCall: { name: call.name, args: call.args } }]
+      : [{ text: buildMockSandbox({ query, context, toolResults, structured: Boolean(body.generationConfig?.responseSchema) }) }];
+  }
+
+  const text = parts.map(part => part.text || '').join('');
+  const usageMetadata = { promptTokenCount: mockUsage(JSON.stringify(body)), candidatesTokenCount: mockUsage(text) };
+
+  if (!stream) {
+    return json({ candidates: [{ content: { role: 'model', parts }, groundingMetadata, finishReason: 'STOP' }], usageMetadata });
+  }
+
+  const chunks = parts[0].text !== undefined
+    ? splitText(parts[0].text).map(piece => ({ candidates: [{ content: { role: 'model', parts: [{ text: piece }] } }] }))
+    : [{ candidates: [{ content: { role: 'model', parts } }] }];
+  chunks[chunks.length - 1].candidates[0].finishReason = 'STOP';
+  chunks[chunks.length - 1].candidates[0].groundingMetadata = groundingMetadata;
+  chunks[chunks.length - 1].usageMetadata = usageMetadata;
+  return sse(chunks.map(data => ({ data })));
+}
+
+function mockGeminiUpload(url, body) {
+  if (url.searchParams.has('upload_id')) {
+    return json({
+      file: {
+        name: 'files/mock-upload',
+        uri: 'https://generativelanguage.googleapis.com/v1beta/files/mock-upload',
+        mimeType: 'application/octet-stream'
+      }
+    });
+  }
+  const displayName = body.file?.display_name || 'upload';
+  return json({}, 200, {
+    'x-goog-upload-url': `https://generativelanguage.googleapis.com/upload/v1beta/files?upload_id=mock-${encodeURIComponent(displayName)}`
+  });
+}
+
+// --- OpenAI Responses API ---------------------------------------------------
+
+function mockOpenAIResponses(body) {
+  const tools = body.tools || [];
+  const input = Array.isArray(body.input) ? body.input : [{ role: 'user', content: body.input }];
+
+  if (tools.some(tool => tool.type === 'image_generation')) {
+    return json({ id: 'resp_mock_image', output: [{ type: 'image_generation_call', status: 'completed', result: MOCK_PNG_BASE64 }] });
+  }
+
+  const { query, context } = readConversation(toTurns(input));
+  const toolResults = input
+    .filter(item => item.type === 'function_call_output')
+    .map(item => parseJsonBody(item.output));
+
+  const output = [];
+  if ((body.instructions || '').includes('GenUI Summarizer')) {
+    output.push({ id: 'msg_mock_summary', type: 'message', role: 'assistant', content: [{ type: 'output_text', text: buildMockSummary(query), annotations: [] }] });
+  } else if ((body.instructions || '').includes('GenUI Planner')) {
+    const text = JSON.stringify(buildMockPlan(query));
+    const searched = tools.some(tool => tool.type === 'web_search');
+    if (searched) {
+      output.push({
+        id: 'ws_mock',
+        type: 'web_search_call',
+        status: 'completed',
+        action: { type: 'search', query, sources: MOCK_SOURCES.map(source => ({ type: 'url', url: source.url })) }
+      });
+    }
+    output.push({
+      id: 'msg_mock_plan',
+      type: 'message',
+      role: 'assistant',
+      content: [{
+        type: 'output_text',
+        text,
+        annotations: searched ? MOCK_SOURCES.map(source => ({ type: 'url_citation', url: source.url, title: source.title })) : []
+      }]
+    });
+  } else {
+    const declared = tools.filter(tool => tool.type === 'function').map(tool => tool.name);
+    const call = pickFunctionCall({ query, context, declared, hasToolResults: toolResults.length > 0 });
+    if (call) {
+      output.push({ id: 'fc_mock', type: 'function_call', call_id: 'call_mock', name: call.name, arguments: JSON.stringify(call.args) });
+    } else {
+      output.push({
+        id: 'msg_mock',
+        type: 'message',
+        role: 'assistant',
+        content: [{
+          type: 'output_text',
+          text: buildMockSandbox({ query, context, toolResults, structured: body.text?.format?.type === 'json_schema' }),
+          annotations: []
+        }]
+      });
+    }
+  }
+
+  const text = output.flatMap(item => item.content || []).map(part => part.text).join('');
+  const response = {
+    id: 'resp_mock',
+    object: 'response',
+    status: 'completed',
+    model: body.model,
+    output,
+    usage: { input_tokens: mockUsage(JSON.stringify(body)), output_tokens: mockUsage(text) }
+  };
+
+  if (!body.stream) return json(response);
+
+  return sse([
+    ...(text ? splitText(text) : []).map(delta => ({ event: 'response.output_text.delta', data: { type: 'response.output_text.delta', delta } })),
+    { event: 'response.completed', data: { type: 'response.completed', response } }
+  ]);
+}
+
+// --- OpenAI-compatible chat completions -------------------------------------
+
+function mockChatCompletions(body) {
+  const messages = body.messages || [];
+  const systemText = collectText(messages.filter(message => message.role === 'system'));
+  const { query, context } = readConversation(toTurns(messages));
+  const toolResults = messages.filter(message => message.role === 'tool').map(message => parseJsonBody(message.content));
+
+  let message;
+  if (systemText.includes('GenUI Summarizer')) {
+    message = { role: 'assistant', content: buildMockSummary(query) };
+  } else if (systemText.includes('GenUI Planner')) {
+    message = { role: 'assistant', content: JSON.stringify(buildMockPlan(query)) };
+  } else {
+    const declared = (body.tools || []).map(tool => tool.function?.name);
+    const call = pickFunctionCall({ query, context, declared, hasToolResults: toolResults.length > 0 });
+    message = call
+      ? { role: 'assistant', content: '', tool_calls: [{ id: 'call_mock', type: 'function', function: { name: call.name, arguments: JSON.stringify(call.args) } }] }
+      : { role: 'assistant', content: buildMockSandbox({ query, context, toolResults }) };
+  }
+
+  const usage = { prompt_tokens: mockUsage(JSON.stringify(body)), completion_tokens: mockUsage(message.content) };
+
+  if (!body.stream) {
+    return json({ id: 'chatcmpl-mock', object: 'chat.completion', model: body.model, choices: [{ index: 0, message, finish_reason: 'stop' }], usage });
+  }
+
+  const deltas = message.tool_calls
+    ? [{ tool_calls: message.tool_calls.map((call, index) => ({ index, ...call })) }]
+    : splitText(message.content).map(content => ({ content }));
+  return sse([
+    ...deltas.map(delta => ({ data: { id: 'chatcmpl-mock', object: 'chat.completion.chunk', choices: [{ index: 0, delta }] } })),
+    { data: { id: 'chatcmpl-mock', object: 'chat.completion.chunk', choices: [], usage } },
+    { data: '[DONE]' }
+  ]);
+}
+
+// --- Web search and arbitrary pages -----------------------------------------
+
+function mockDuckDuckGo() {
+  const results = MOCK_SOURCES.map(source => `
+    <div class="result">
+      <h2 class="result__title"><a href="${source.url}">${source.title}</a></h2>
+      <a class="result__snippet">Offline snippet for ${source.title}.</a>
+    </div>`).join('');
+  return { status: 200, headers: { 'content-type': 'text/html' }, body: `<html><body>${results}</body></html>` };
+}
+
+function mockBrave() {
+  return json({
+    web: {
+      results: MOCK_SOURCES.map(source => ({ title: source.title, url: source.url, description: `Offline snippet for ${source.title}.` }))
+    }
+  });
+}
+
+function mockPage(url) {
+  if (/\.(png|jpe?g|gif|webp)$/i.test(url.pathname)) {
+    return png();
+  }
+  const title = MOCK_SOURCES.find(source => source.url === url.toString())?.title || `Mock page ${url.pathname}`;
+  const image = new URL(`${url.pathname.replace(/\/$/, '')}.png`, url.origin).toString();
+  return {
+    status: 200,
+    headers: { 'content-type': 'text/html; charset=utf-8' },
+    body: `<html><head><title>${title}</title>
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="Offline page served by the mock provider.">
+<meta property="og:image" content="${image}">
+</head><body><h1>${title}</h1><p>Offline page served by the mock provider.</p></body></html>`
+  };
+}
+
+// Produce a canned response for any outbound request.
+// Returns { status, headers, body } or { status, headers, chunks } for event streams.
+export function mockResponse(rawUrl, options = {}) {
+  const url = new URL(rawUrl);
+  const body = parseJsonBody(options.body);
+
+  if (url.hostname === 'generativelanguage.googleapis.com') {
+    if (url.pathname.startsWith('/upload/')) return mockGeminiUpload(url, body);
+    return mockGemini(url, body);
+  }
+  if (url.hostname === 'api.openai.com') {
+    if (url.pathname === '/v1/files') return json({ id: 'file-mock', object: 'file', purpose: 'user_data' });
+    return mockOpenAIResponses(body);
+  }
+  if (url.pathname.endsWith('/chat/completions')) return mockChatCompletions(body);
+  if (url.hostname === 'html.duckduckgo.com') return mockDuckDuckGo();
+  if (url.hostname === 'api.search.brave.com') return mockBrave();
+  return mockPage(url);
+}
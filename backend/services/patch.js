@@ -0,0 +1,109 @@
+import { joinPath } from './schema.js';
+import { validateSandboxCode, formatSchemaErrors } from './sandbox.js';
+
+// Convert a unified diff into search/replace hunks. Line numbers in the @@ headers
+// are ignored: each hunk is located by its context and removed lines instead,
+// which tolerates models that miscount.
+export function parseUnifiedDiff(diff) {
+  const hunks = [];
+  let current = null;
+
+  for (const line of diff.replace(/\r\n/g, '\n').split('\n')) {
+    if (line.startsWith('@@')) {
+      current = { oldLines: [], newLines: [] };
+      hunks.push(current);
+      continue;
+    }
+    if (!current) continue; // ---/+++/diff/index headers
+    if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+    if (line.startsWith('-')) {
+      current.oldLines.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      current.newLines.push(line.slice(1));
+    } else {
+      // Context line; some models drop the leading space on blank lines
+      const text = line.startsWith(' ') ? line.slice(1) : line;
+      current.oldLines.push(text);
+      current.newLines.push(text);
+    }
+  }
+
+  // A trailing blank context line usually comes from the diff's final newline
+  for (const hunk of hunks) {
+    while (hunk.oldLines.length && hunk.newLines.length && hunk.oldLines.at(-1) === '' && hunk.newLines.at(-1) === '') {
+      hunk.oldLines.pop();
+      hunk.newLines.pop();
+    }
+  }
+
+  return hunks.map(hunk => ({ search: hunk.oldLines.join('\n'), replace: hunk.newLines.join('\n') }));
+}
+
+function applyHunk(content, hunk) {
+  const first = content.indexOf(hunk.search);
+  if (first === -1) {
+    return { error: 'search text was not found' };
+  }
+  if (content.indexOf(hunk.search, first + 1) !== -1) {
+    return { error: 'search text matches more than once; include more surrounding lines' };
+  }
+  return { content: content.slice(0, first) + hunk.replace + content.slice(first + hunk.search.length) };
+}
+
+// Apply sandbox_patch hunks to the current path -> content map.
+// Returns { code, changedFiles, errors }; `code` is null when anything failed,
+// so a partial patch never reaches the client.
+export function applySandboxPatch(currentCode, patches) {
+  const code = { ...currentCode };
+  const changedFiles = new Set();
+  const errors = [];
+
+  patches.forEach((patch, index) => {
+    const location = joinPath('$.patches', index);
+    const hunks = typeof patch.diff === 'string'
+      ? parseUnifiedDiff(patch.diff)
+      : [{ search: patch.search, replace: patch.replace }];
+
+    if (hunks.length === 0) {
+      errors.push({ path: joinPath(location, 'diff'), message: 'contains no @@ hunks' });
+      return;
+    }
+
+    let content = code[patch.path];
+    for (const [hunkIndex, hunk] of hunks.entries()) {
+      const hunkLocation = typeof patch.diff === 'string' ? `${joinPath(location, 'diff')} hunk ${hunkIndex + 1}` : joinPath(location, 'search');
+      if (content === undefined) {
+        if (hunk.search === '') {
+          content = hunk.replace;
+          continue;
+        }
+        errors.push({ path: joinPath(location, 'path'), message: `${patch.path} does not exist in the current app` });
+        return;
+      }
+      if (hunk.search === '') {
+        errors.push({ path: hunkLocation, message: `must not be empty because ${patch.path} already exists` });
+        return;
+      }
+      const applied = applyHunk(content, hunk);
+      if (applied.error) {
+        errors.push({ path: hunkLocation, message: `${applied.error} in ${patch.path}` });
+        return;
+      }
+      content = applied.content;
+    }
+
+    code[patch.path] = content;
+    changedFiles.add(patch.path);
+  });
+
+  if (errors.length === 0) {
+    errors.push(...validateSandboxCode(code));
+  }
+
+  return { code: errors.length === 0 ? code : null, changedFiles: Array.from(changedFiles), errors };
+}
+
+// Instruction for the full-regeneration fallback after a patch could not be applied
+export function buildPatchFallbackPrompt(errors) {
+  return `Your sandbox_patch could not be applied to the current app:\n${formatSchemaErrors(errors)}\nReturn the complete updated app as JSON with type "sandbox" instead, keeping every existing feature and applying the requested change.`;
+}
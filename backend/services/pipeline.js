@@ -0,0 +1,318 @@
+import { fetchUrlMetadata } from '../tools/fetch.js';
+import { saveRemoteImage } from './media.js';
+import { parseJsonFromText } from './sandbox.js';
+import { throwIfAborted } from './http.js';
+
+// Helper: report a pipeline phase to the client as a `status` event
+export function emitStatus(onEvent, phase, message, details = {}) {
+  if (!onEvent) return;
+  onEvent('status', { phase, message, ...details });
+}
+
+export function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Helper: append one call to the request's tool trace (returned as `toolsUsed`)
+export function traceToolCall(toolsUsed, entry) {
+  if (!toolsUsed) return;
+  const record = { ...entry };
+  if (!record.error) delete record.error;
+  toolsUsed.push(record);
+}
+
+export function getLastUserText(messages) {
+  if (!Array.isArray(messages)) return '';
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    const msg = messages[i];
+    if (msg?.role === 'user' && typeof msg.content === 'string' && msg.content.trim()) {
+      return msg.content.trim();
+    }
+  }
+  return '';
+}
+
+export function wantsWebSearchFromText(text) {
+  if (!text) return false;
+  return /뉴스|news|검색|search|최신|최근|웹|인터넷|기사|링크|sources/i.test(text);
+}
+
+export function buildAttachmentNote(attachments) {
+  if (!attachments || attachments.length === 0) return null;
+
+  const lines = attachments.map(att => {
+    const note = att.analysisAvailable === false ? ' (analysis unavailable)' : '';
+    return `- ${att.name} (${att.mimeType || 'unknown'}) public_url: ${att.publicUrl}${note}`;
+  });
+
+  return `Attachment URLs (use in UI rendering if helpful):\n${lines.join('\n')}`;
+}
+
+export function collectAttachmentContext(messages, provider) {
+  const attachments = [];
+
+  for (const message of messages) {
+    if (!message.attachments?.length) continue;
+    for (const att of message.attachments) {
+      if (provider && att.provider && att.provider !== provider) continue;
+      attachments.push({
+        name: att.name,
+        mimeType: att.mimeType,
+        kind: att.kind,
+        publicUrl: att.publicUrl,
+        analysisAvailable: att.analysisAvailable !== false
+      });
+    }
+  }
+
+  return attachments;
+}
+
+export function shouldIncludeContext(context) {
+  if (!context) return false;
+  if (context.plan) return true;
+  if (Array.isArray(context.sources) && context.sources.length > 0) return true;
+  if (Array.isArray(context.attachments) && context.attachments.length > 0) return true;
+  if (Array.isArray(context.generated_images) && context.generated_images.length > 0) return true;
+  if (context.current_files) return true;
+  if (context.image_policy) return true;
+  return false;
+}
+
+export function dedupeSources(sources) {
+  const map = new Map();
+  for (const source of sources) {
+    if (!source.url) continue;
+    if (!map.has(source.url)) {
+      map.set(source.url, { ...source });
+    } else {
+      const existing = map.get(source.url);
+      map.set(source.url, { ...existing, ...source });
+    }
+  }
+  return Array.from(map.values());
+}
+
+export function fallbackImageUrl(seed = 'genui') {
+  const safeSeed = String(seed).replace(/[^a-z0-9]+/gi, '-').slice(0, 60) || 'genui';
+  return `https://picsum.photos/seed/${safeSeed}/800/500`;
+}
+
+function normalizeForMatch(text = '') {
+  return String(text)
+    .toLowerCase()
+    .replace(/[\u0000-\u002f\u003a-\u0040\u005b-\u0060\u007b-\u007f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function scoreTitleMatch(a, b) {
+  const left = normalizeForMatch(a);
+  const right = normalizeForMatch(b);
+  if (!left || !right) return 0;
+  if (left === right) return 3;
+  if (left.includes(right) || right.includes(left)) return 2;
+
+  const leftTokens = new Set(left.split(' ').filter(Boolean));
+  const rightTokens = new Set(right.split(' ').filter(Boolean));
+  if (leftTokens.size === 0 || rightTokens.size === 0) return 0;
+
+  let common = 0;
+  for (const token of leftTokens) {
+    if (rightTokens.has(token)) common += 1;
+  }
+
+  if (common === 0) return 0;
+  return common / Math.max(leftTokens.size, rightTokens.size);
+}
+
+function pickBestSourceForItem(item, sources, usedUrls = new Set()) {
+  if (!sources || sources.length === 0) return null;
+
+  if (item?.source_url) {
+    const direct = sources.find(source => source.url === item.source_url);
+    if (direct) return direct;
+  }
+
+  const preferredTitle = item?.source_title || item?.title || '';
+  let best = null;
+  let bestScore = 0;
+
+  for (const source of sources) {
+    if (!source.url) continue;
+    if (usedUrls.has(source.url)) continue;
+
+    const score = Math.max(
+      scoreTitleMatch(preferredTitle, source.title),
+      scoreTitleMatch(item?.title, source.title)
+    );
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = source;
+    }
+  }
+
+  if (best) return best;
+
+  const fallback = sources.find(source => source.url && !usedUrls.has(source.url));
+  return fallback || sources[0];
+}
+
+export async function enrichSources(sources, { max = 6, onEvent, signal } = {}) {
+  const uniqueSources = dedupeSources(sources).slice(0, max);
+  const startedAt = Date.now();
+  if (uniqueSources.length > 0) {
+    emitStatus(onEvent, 'sources', `Fetching metadata for ${uniqueSources.length} source(s)...`, { count: uniqueSources.length });
+  }
+
+  const metadataList = await Promise.all(uniqueSources.map(async (source) => {
+    if (!source.url) return { source, metadata: null };
+    const metadata = await fetchUrlMetadata(source.url, { timeout: 8000, signal });
+    return { source, metadata };
+  }));
+  throwIfAborted(signal);
+
+  const enriched = [];
+
+  for (const { source, metadata } of metadataList) {
+    const merged = {
+      ...source,
+      title: source.title || metadata?.title || '',
+      description: metadata?.description || source.description || '',
+      image: metadata?.image || source.image || null
+    };
+
+    if (merged.image) {
+      const cached = await saveRemoteImage({ url: merged.image, signal });
+      throwIfAborted(signal);
+      if (cached?.url) {
+        merged.image_cached = cached.url;
+      }
+    }
+
+    merged.image_fallback = merged.image_cached || fallbackImageUrl(merged.title || merged.url);
+    enriched.push(merged);
+  }
+
+  if (uniqueSources.length > 0) {
+    const durationMs = Date.now() - startedAt;
+    const withImages = enriched.filter(source => source.image).length;
+    emitStatus(onEvent, 'sources', `Source metadata fetched: ${withImages}/${enriched.length} with images (${formatDuration(durationMs)})`, { count: enriched.length, withImages, durationMs });
+  }
+
+  return enriched;
+}
+
+export function attachImagesToPlan(plan, sources) {
+  if (!plan || !Array.isArray(plan.items)) return plan;
+
+  const usedUrls = new Set();
+  let updatedItems = plan.items.map((item) => {
+    const source = pickBestSourceForItem(item, sources, usedUrls);
+    if (source?.url) {
+      usedUrls.add(source.url);
+    }
+
+    const fallback = source?.image_fallback || fallbackImageUrl(item.title || item.source_title || item.source_url || 'news');
+    const urlChanged = source?.url && item.source_url && item.source_url !== source.url;
+    const hasSource = Boolean(source?.url);
+    const preferSource = urlChanged || !item.source_url || !item.title;
+    const title = preferSource ? (source?.title || item.title || item.source_title || '') : item.title;
+    const summary = (preferSource || !item.summary) ? (source?.description || item.summary || '') : item.summary;
+
+    return {
+      ...item,
+      source_url: hasSource ? source.url : item.source_url,
+      source_title: item.source_title || source?.title || item.title || '',
+      title,
+      summary,
+      image: source?.image || item.image || null,
+      image_fallback: fallback
+    };
+  });
+
+  if (updatedItems.length === 0 && sources?.length) {
+    updatedItems = sources.slice(0, 6).map((source) => ({
+      title: source.title || source.url || 'Source',
+      summary: source.description || '',
+      source_title: source.title || '',
+      source_url: source.url || '',
+      image: source.image || null,
+      image_fallback: source.image_fallback || fallbackImageUrl(source.title || source.url || 'news')
+    }));
+  }
+
+  return {
+    ...plan,
+    items: updatedItems
+  };
+}
+
+export function buildItemsFromSources(sources, max = 6) {
+  if (!Array.isArray(sources) || sources.length === 0) return [];
+  return sources.slice(0, max).map((source) => ({
+    title: source.title || source.url || 'Source',
+    summary: source.description || '',
+    source_title: source.title || '',
+    source_url: source.url || '',
+    image: source.image || null,
+    image_fallback: source.image_fallback || fallbackImageUrl(source.title || source.url || 'news')
+  }));
+}
+
+// Turn the planner's raw text plus grounding sources into the { plan, sources }
+// context shared by every provider's generate step.
+export async function buildGroundedContext({ planText, sources, messages, onEvent, signal }) {
+  const plan = parseJsonFromText(planText) || {
+    type: 'grounded_plan',
+    language: 'unknown',
+    summary: planText,
+    content: '',
+    items: [],
+    image_requests: [],
+    ui_intent: ''
+  };
+
+  const enrichedSources = await enrichSources(sources, { onEvent, signal });
+  const lastUserText = getLastUserText(messages);
+  const forceSourceItems = wantsWebSearchFromText(lastUserText);
+  const basePlan = forceSourceItems || !Array.isArray(plan.items) || plan.items.length === 0
+    ? { ...plan, items: buildItemsFromSources(enrichedSources, 6) }
+    : plan;
+  const planWithImages = attachImagesToPlan(basePlan, enrichedSources);
+
+  return {
+    plan: planWithImages,
+    sources: enrichedSources
+  };
+}
+
+// Validate a plan edited in the review panel. Removed items are simply absent;
+// image_requests marked `approved: false` are dropped, `approved: true` ones are
+// generated before the app. Returns { plan, sources } or null.
+export function normalizeReviewedPlan(plan, sources = []) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) return null;
+
+  const items = Array.isArray(plan.items)
+    ? plan.items.filter(item => item && typeof item === 'object')
+    : [];
+  const imageRequests = Array.isArray(plan.image_requests)
+    ? plan.image_requests.filter(request => typeof request?.prompt === 'string' && request.prompt.trim() && request.approved !== false)
+    : [];
+
+  return {
+    plan: {
+      ...plan,
+      type: 'grounded_plan',
+      items,
+      image_requests: imageRequests,
+      ui_intent: typeof plan.ui_intent === 'string' ? plan.ui_intent : ''
+    },
+    sources: Array.isArray(sources) ? sources.filter(source => typeof source?.url === 'string') : []
+  };
+}
+
+export function buildContextPrompt(context) {
+  return `Use this context JSON to build the GenUI response. The context is authoritative.\n- Use context.plan.items for cards/links.\n- Do NOT invent or alter URLs.\nContext:\n${JSON.stringify(context, null, 2)}`;
+}
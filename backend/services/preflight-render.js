@@ -0,0 +1,84 @@
+// Child-process side of the pre-flight render check (see preflight.js): run
+// the bundled app in a jsdom window and report what was thrown or logged with
+// console.error during the first render. The generated code can reach this
+// process through the jsdom window, so the parent starts it with an empty
+// environment and Node's permission model (no file writes, child processes or
+// workers, and reads limited to node_modules).
+
+const MAX_MESSAGE_LENGTH = 300;
+
+// React development warnings (keys, act, ...) and jsdom gaps (canvas, layout)
+// are not crashes, so they never trigger a repair
+const IGNORED_CONSOLE = [/^Warning:/, /^The above error occurred/, /Not implemented:/, /Error: Could not parse CSS stylesheet/];
+
+function firstLine(value) {
+  const text = value instanceof Error ? `${value.name}: ${value.message}` : String(value);
+  return text.split('\n')[0].slice(0, MAX_MESSAGE_LENGTH);
+}
+
+async function render(JSDOM, VirtualConsole, source, settleMs) {
+  const messages = [];
+  let component = null;
+  const record = (value) => {
+    const message = firstLine(value);
+    const inComponent = message.match(/^The above error occurred in the <(\w+)> component/);
+    if (inComponent) component = inComponent[1];
+    if (IGNORED_CONSOLE.some(pattern => pattern.test(message)) || messages.includes(message)) return;
+    messages.push(message);
+  };
+
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => record(args.map(arg => (arg instanceof Error ? firstLine(arg) : String(arg))).join(' ')));
+  virtualConsole.on('jsdomError', (error) => record(error.detail instanceof Error ? error.detail : error));
+
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body><div id="root"></div></body></html>', {
+    url: 'http://localhost/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+
+  // Browser APIs jsdom lacks that generated apps use on first render. Network
+  // requests never settle: the check is about rendering, not data.
+  window.ResizeObserver = window.ResizeObserver || class { observe() {} unobserve() {} disconnect() {} };
+  window.matchMedia = window.matchMedia || (() => ({ matches: false, addListener() {}, removeListener() {}, addEventListener() {}, removeEventListener() {} }));
+  window.fetch = () => new Promise(() => {});
+  window.scrollTo = () => {};
+
+  window.addEventListener('error', (event) => {
+    event.preventDefault();
+    record(event.error || event.message);
+  });
+  window.addEventListener('unhandledrejection', (event) => record(event.reason));
+
+  try {
+    window.eval(source);
+  } catch (error) {
+    record(error);
+  }
+  // Let effects and the first timers run
+  await new Promise(resolve => setTimeout(resolve, settleMs));
+  window.close();
+
+  return messages.map(message => ({
+    path: '$.render',
+    message: `${message}${component ? ` (in <${component}>)` : ''}`
+  }));
+}
+
+async function run({ source, settleMs }) {
+  let jsdom;
+  try {
+    jsdom = await import('jsdom');
+  } catch (error) {
+    return { unavailable: `jsdom is not installed (${error.message})` };
+  }
+  return { errors: await render(jsdom.JSDOM, jsdom.VirtualConsole, source, settleMs) };
+}
+
+process.once('message', (message) => {
+  run(message)
+    .then(result => process.send(result))
+    .catch(error => process.send({ skipped: `pre-flight check failed to run: ${error.message}` }));
+});
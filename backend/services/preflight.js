@@ -0,0 +1,241 @@
+import fs from 'fs';
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { throwIfAborted } from './http.js';
+
+// Pre-flight render check: before a generated app is returned, bundle it with
+// esbuild and render App once in jsdom on the server (preflight-render.js), so
+// first-render crashes ("x.map is not a function") go through the repair pass
+// instead of showing the Auto-fix banner on the user's first view.
+//
+// Rendering runs model-written code, and jsdom is not a security boundary: the
+// code can reach the Node process that hosts the window. So the check is off
+// unless PREFLIGHT_RENDER=true, and each render gets a separate Node process
+// with an empty environment (no API keys) under Node's permission model: it
+// may read node_modules and nothing else, and cannot write files or start
+// processes or workers. The permission model does not restrict the network.
+// Bundling stays here because esbuild does not execute the code.
+// PREFLIGHT_TIMEOUT_MS bounds each check.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const SETTLE_MS = 300;
+const RENDER_MEMORY_MB = 256;
+
+const RENDER_SCRIPT = fileURLToPath(new URL('./preflight-render.js', import.meta.url));
+// Bare imports (react, recharts, ...) resolve from the backend's node_modules
+const RESOLVE_DIR = path.join(path.dirname(RENDER_SCRIPT), '..');
+
+const ENTRY = '__preflight_entry__.js';
+const ENTRY_SOURCE = `import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { flushSync } from 'react-dom';
+import App from './App.js';
+
+const root = createRoot(document.getElementById('root'));
+flushSync(() => root.render(React.createElement(App)));
+`;
+
+const RESOLVE_EXTENSIONS = ['', '.js', '.jsx', '.json', '.css', '/index.js'];
+
+// Set once esbuild, jsdom or the permission model turns out to be missing, so
+// later turns skip the check
+let unavailableReason = null;
+
+function getTimeoutMs() {
+  const value = Number.parseInt(process.env.PREFLIGHT_TIMEOUT_MS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+export function isPreflightEnabled() {
+  return process.env.PREFLIGHT_RENDER === 'true' && !unavailableReason;
+}
+
+function disable(reason) {
+  unavailableReason = reason;
+  console.warn(`[Preflight] Disabled: ${reason}`);
+}
+
+function loaderFor(filePath) {
+  const extension = path.posix.extname(filePath).toLowerCase();
+  if (extension === '.json') return 'json';
+  if (extension === '.css') return 'empty';
+  return 'jsx';
+}
+
+// Serve the app's files from memory; everything else resolves from node_modules
+function appFilesPlugin(files) {
+  return {
+    name: 'preflight-app-files',
+    setup(build) {
+      build.onResolve({ filter: /^__preflight_entry__\.js$/ }, () => ({ path: ENTRY, namespace: 'app' }));
+      build.onResolve({ filter: /^\.{0,2}\// }, (args) => {
+        if (args.namespace !== 'app') return undefined;
+        const specifier = args.path.startsWith('/') ? `.${args.path}` : args.path;
+        const base = path.posix.normalize(path.posix.join(path.posix.dirname(args.importer), specifier));
+        const match = RESOLVE_EXTENSIONS.map(extension => `${base}${extension}`).find(candidate => files.has(candidate));
+        return match
+          ? { path: match, namespace: 'app' }
+          : { errors: [{ text: `Could not resolve "${args.path}" from ${args.importer}` }] };
+      });
+      build.onLoad({ filter: /.*/, namespace: 'app' }, (args) => ({
+        contents: args.path === ENTRY ? ENTRY_SOURCE : files.get(args.path),
+        loader: loaderFor(args.path),
+        resolveDir: RESOLVE_DIR
+      }));
+    }
+  };
+}
+
+// Resolves to { source } with the browser bundle, or { errors } / { skipped }
+async function bundle(esbuild, code) {
+  const files = new Map(Object.entries(code)
+    .filter(([, content]) => typeof content === 'string')
+    .map(([filePath, content]) => [filePath.replace(/^\/+/, ''), content]));
+
+  try {
+    const result = await esbuild.build({
+      entryPoints: [ENTRY],
+      bundle: true,
+      write: false,
+      format: 'iife',
+      platform: 'browser',
+      jsx: 'automatic',
+      loader: { '.css': 'empty' },
+      define: { 'process.env.NODE_ENV': '"development"' },
+      logLevel: 'silent',
+      plugins: [appFilesPlugin(files)]
+    });
+    return { source: result.outputFiles[0].text };
+  } catch (error) {
+    const failures = error.errors || [{ text: error.message }];
+    // An allowed library that is not installed on the server cannot be checked here
+    const missing = failures.filter(failure => /^Could not resolve "[^./]/.test(failure.text));
+    if (missing.length === failures.length) {
+      return { skipped: `libraries not installed on the server: ${missing.map(failure => failure.text.match(/"([^"]+)"/)[1]).join(', ')}` };
+    }
+    return {
+      errors: failures.filter(failure => !missing.includes(failure)).map(failure => ({
+        path: failure.location ? `$.code[${JSON.stringify(failure.location.file.replace(/^app:/, ''))}]` : '$.code',
+        message: `bundle error${failure.location ? ` at line ${failure.location.line}:${failure.location.column + 1}` : ''}: ${failure.text}`
+      }))
+    };
+  }
+}
+
+// Helper: Node flags that lock the render process down; null when this Node
+// has no permission model (before 20), since rendering unconfined is not an option
+function getSandboxFlags() {
+  const flags = process.allowedNodeEnvironmentFlags;
+  const permission = ['--permission', '--experimental-permission'].find(flag => flags.has(flag));
+  if (!permission) return null;
+
+  const readable = [RENDER_SCRIPT, path.join(RESOLVE_DIR, 'package.json')];
+  for (let dir = RESOLVE_DIR; ; dir = path.dirname(dir)) {
+    const modules = path.join(dir, 'node_modules');
+    if (fs.existsSync(modules)) readable.push(modules);
+    if (path.dirname(dir) === dir) break;
+  }
+  return [permission, ...readable.map(file => `--allow-fs-read=${file}`), `--max-old-space-size=${RENDER_MEMORY_MB}`];
+}
+
+// Helper: render a bundle in a fresh locked-down process
+function renderInSandbox(source, execArgv, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const child = fork(RENDER_SCRIPT, [], {
+      env: {},
+      execArgv,
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    });
+
+    let settled = false;
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      child.kill('SIGKILL');
+      callback();
+    };
+
+    // A synchronous infinite loop never yields, so the only way out is killing the process
+    const timer = setTimeout(() => finish(() => {
+      console.warn(`[Preflight] Render did not finish within ${getTimeoutMs()}ms`);
+      resolve([{ path: '$.render', message: `first render did not finish within ${getTimeoutMs()}ms (infinite loop or blocking work during render)` }]);
+    }), getTimeoutMs());
+
+    const onAbort = () => finish(() => reject(signal.reason));
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.once('message', (result) => finish(() => {
+      if (result.unavailable) {
+        disable(result.unavailable);
+        resolve([]);
+        return;
+      }
+      if (result.skipped) {
+        console.log(`[Preflight] Skipped: ${result.skipped}`);
+        resolve([]);
+        return;
+      }
+      console.log(`[Preflight] ${result.errors.length} error(s) in ${Date.now() - startedAt}ms`);
+      resolve(result.errors);
+    }));
+
+    child.once('exit', (code, exitSignal) => finish(() => {
+      if (code === 0) {
+        resolve([]);
+        return;
+      }
+      // Out of memory or a crash inside the process: report it like a render failure
+      console.warn(`[Preflight] Render process exited with ${exitSignal || `code ${code}`}`);
+      resolve([{ path: '$.render', message: `first render crashed the check (${exitSignal || `exit code ${code}`})` }]);
+    }));
+
+    child.once('error', (error) => finish(() => {
+      console.warn('[Preflight] Render process failed:', error.message);
+      resolve([]);
+    }));
+
+    child.send({ source, settleMs: SETTLE_MS });
+  });
+}
+
+// Bundle and render the flattened path -> content map once. Resolves to
+// [{ path, message }] (empty when the app rendered cleanly or the check could not run).
+export async function preflightRender(code, { signal } = {}) {
+  if (!isPreflightEnabled() || !code || typeof code !== 'object') return [];
+
+  const execArgv = getSandboxFlags();
+  if (!execArgv) {
+    disable(`Node ${process.version} has no permission model to confine the render`);
+    return [];
+  }
+
+  let esbuild;
+  try {
+    esbuild = await import('esbuild');
+  } catch (error) {
+    disable(`esbuild is not installed (${error.message})`);
+    return [];
+  }
+
+  const bundled = await bundle(esbuild, code);
+  throwIfAborted(signal);
+  if (bundled.skipped) {
+    console.log(`[Preflight] Skipped: ${bundled.skipped}`);
+    return [];
+  }
+  if (bundled.errors) {
+    console.log(`[Preflight] ${bundled.errors.length} bundle error(s)`);
+    return bundled.errors;
+  }
+  return renderInSandbox(bundled.source, execArgv, { signal });
+}
+
+// Pre-flight render of the sandbox item in a parsed response
+export function preflightParsedSandbox(parsed, options) {
+  const sandbox = Array.isArray(parsed) ? parsed.find(item => item.type === 'sandbox' && item.code) : null;
+  return sandbox ? preflightRender(sandbox.code, options) : Promise.resolve([]);
+}
@@ -0,0 +1,474 @@
+import { generateGeminiImage } from '../images.js';
+import { uploadGeminiFile } from '../files.js';
+import { fetchWithRetry, readSseStream, isAbortError } from '../http.js';
+import { SYSTEM_PROMPT, GEMINI_PLAN_PROMPT, SUMMARY_PROMPT } from '../prompts.js';
+import { createSandboxDeltaStream, parseResponse, SANDBOX_SCHEMA } from '../sandbox.js';
+import { toGeminiSchema } from '../schema.js';
+import {
+  emitStatus,
+  formatDuration,
+  traceToolCall,
+  buildAttachmentNote,
+  dedupeSources,
+  buildGroundedContext,
+  buildContextPrompt
+} from '../pipeline.js';
+import { getGeminiFunctionDeclarations, executeTool } from '../../tools/index.js';
+
+// Structured output for the final sandbox JSON
+const SANDBOX_GENERATION_CONFIG = {
+  temperature: 1.0,
+  maxOutputTokens: 8192,
+  responseMimeType: 'application/json',
+  responseSchema: toGeminiSchema(SANDBOX_SCHEMA)
+};
+
+// Models that answered 400 to responseSchema together with function
+// declarations; they get plain output from then on instead of a failed call first
+const schemaWithToolsRejected = new Set();
+
+function buildGeminiContents(messages, { includeAttachments = true } = {}) {
+  const contents = [];
+
+  for (const message of messages) {
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const parts = [];
+
+    if (includeAttachments && message.attachments?.length) {
+      const geminiAttachments = message.attachments.filter(att => !att.provider || att.provider === 'gemini');
+      for (const att of geminiAttachments) {
+        if (att.fileUri) {
+          parts.push({
+            file_data: {
+              mime_type: att.mimeType,
+              file_uri: att.fileUri
+            }
+          });
+        }
+      }
+
+      const note = buildAttachmentNote(message.attachments);
+      if (note) {
+        parts.push({ text: note });
+      }
+    }
+
+    if (message.content) {
+      parts.push({ text: message.content });
+    }
+
+    if (parts.length > 0) {
+      contents.push({ role, parts });
+    }
+  }
+
+  return contents;
+}
+
+// Extract sources from Gemini grounding metadata
+function extractGeminiSources(groundingMetadata) {
+  const sources = [];
+
+  if (!groundingMetadata?.groundingChunks) return sources;
+
+  for (const chunk of groundingMetadata.groundingChunks) {
+    if (chunk.web) {
+      sources.push({
+        title: chunk.web.title || '',
+        url: chunk.web.uri || '',
+        image: null
+      });
+    }
+  }
+
+  return dedupeSources(sources);
+}
+
+// Record the google_search / url_context grounding Gemini ran for a response
+function traceGeminiGrounding(toolsUsed, candidate, durationMs) {
+  const grounding = candidate?.groundingMetadata;
+  if (grounding?.webSearchQueries?.length) {
+    traceToolCall(toolsUsed, {
+      name: 'google_search',
+      source: 'grounding',
+      arguments: { queries: grounding.webSearchQueries },
+      durationMs,
+      status: 'ok',
+      result: { sources: grounding.groundingChunks?.length || 0 }
+    });
+  }
+
+  for (const entry of candidate?.urlContextMetadata?.urlMetadata || []) {
+    const succeeded = entry.urlRetrievalStatus === 'URL_RETRIEVAL_STATUS_SUCCESS';
+    traceToolCall(toolsUsed, {
+      name: 'url_context',
+      source: 'grounding',
+      arguments: { url: entry.retrievedUrl },
+      durationMs,
+      status: succeeded ? 'ok' : 'error',
+      error: succeeded ? undefined : entry.urlRetrievalStatus
+    });
+  }
+}
+
+// Fold streamed Gemini chunks back into a single generateContent-shaped response
+function mergeGeminiChunks(chunks) {
+  const parts = [];
+  let groundingMetadata;
+  let finishReason;
+  let usageMetadata;
+
+  for (const chunk of chunks) {
+    const candidate = chunk.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      const last = parts[parts.length - 1];
+      const isPlainText = typeof part.text === 'string' && Object.keys(part).length === 1;
+      const lastIsPlainText = last && typeof last.text === 'string' && Object.keys(last).length === 1;
+      if (isPlainText && lastIsPlainText) {
+        last.text += part.text;
+      } else {
+        parts.push({ ...part });
+      }
+    }
+    if (candidate?.groundingMetadata) groundingMetadata = candidate.groundingMetadata;
+    if (candidate?.finishReason) finishReason = candidate.finishReason;
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+  }
+
+  return {
+    candidates: [{
+      content: { role: 'model', parts },
+      groundingMetadata,
+      finishReason
+    }],
+    usageMetadata
+  };
+}
+
+async function callGeminiApi({ model, contents, tools, systemPrompt, generationConfig, onDelta, signal }) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) throw new Error('GEMINI_API_KEY not configured');
+
+  const body = {
+    contents,
+    system_instruction: {
+      parts: [{ text: systemPrompt }]
+    },
+    generationConfig: generationConfig || {
+      temperature: 1.0,
+      maxOutputTokens: 8192
+    }
+  };
+
+  if (tools) {
+    body.tools = tools;
+  }
+
+  const endpoint = onDelta
+    ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+    : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+  const response = await fetchWithRetry(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal
+  }, { maxRetries: 2, timeoutMs: 90000, provider: 'gemini' });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('[Gemini] API Error:', response.status, errorText);
+    const error = new Error(`Gemini API error (${response.status}): ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  if (!onDelta) {
+    return response.json();
+  }
+
+  const chunks = [];
+  let streamError = null;
+  await readSseStream(response.body, (event, data) => {
+    if (data.error) {
+      streamError = data.error.message || JSON.stringify(data.error);
+      return;
+    }
+    chunks.push(data);
+    for (const part of data.candidates?.[0]?.content?.parts || []) {
+      if (part.text && !part.thought) onDelta(part.text);
+    }
+  }, { signal });
+
+  if (streamError) {
+    console.error('[Gemini] Stream error:', streamError);
+    throw new Error(`Gemini API error (stream): ${streamError}`);
+  }
+
+  return mergeGeminiChunks(chunks);
+}
+
+function getGeminiText(data) {
+  let content = '';
+  const candidate = data.candidates?.[0];
+
+  if (candidate?.content?.parts) {
+    for (const part of candidate.content.parts) {
+      if (part.text) {
+        content += part.text;
+      }
+    }
+  }
+
+  return content;
+}
+
+function getGeminiFunctionCalls(data) {
+  const calls = [];
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  for (const part of parts) {
+    if (part.functionCall) {
+      calls.push(part.functionCall);
+    }
+  }
+  return calls;
+}
+
+async function callGeminiGroundedPlan({ messages, model, onEvent, toolsUsed, signal }) {
+  const contents = buildGeminiContents(messages);
+  const tools = [{ google_search: {} }, { url_context: {} }];
+  const startedAt = Date.now();
+  let data;
+
+  emitStatus(onEvent, 'plan', 'Grounded plan started (google_search + url_context)...');
+
+  try {
+    data = await callGeminiApi({
+      model,
+      contents,
+      tools,
+      systemPrompt: GEMINI_PLAN_PROMPT,
+      signal
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn('[Gemini] Plan tool combo failed, retrying with google_search only:', error.message);
+    emitStatus(onEvent, 'plan', 'Plan tool combo failed, retrying with google_search only...', { error: error.message });
+    traceToolCall(toolsUsed, {
+      name: 'google_search',
+      source: 'grounding',
+      arguments: { tools: ['google_search', 'url_context'] },
+      durationMs: Date.now() - startedAt,
+      status: 'error',
+      error: error.message
+    });
+    try {
+      data = await callGeminiApi({
+        model,
+        contents,
+        tools: [{ google_search: {} }],
+        systemPrompt: GEMINI_PLAN_PROMPT,
+        signal
+      });
+    } catch (retryError) {
+      if (isAbortError(retryError)) throw retryError;
+      console.warn('[Gemini] Plan tool retry failed, falling back to no tools:', retryError.message);
+      emitStatus(onEvent, 'plan', 'Plan retry failed, planning without tools...', { error: retryError.message });
+      traceToolCall(toolsUsed, {
+        name: 'google_search',
+        source: 'grounding',
+        arguments: { tools: ['google_search'] },
+        durationMs: Date.now() - startedAt,
+        status: 'error',
+        error: retryError.message
+      });
+      data = await callGeminiApi({
+        model,
+        contents,
+        systemPrompt: GEMINI_PLAN_PROMPT,
+        signal
+      });
+    }
+  }
+
+  const planText = getGeminiText(data);
+  const sources = extractGeminiSources(data.candidates?.[0]?.groundingMetadata);
+  const planDurationMs = Date.now() - startedAt;
+  traceGeminiGrounding(toolsUsed, data.candidates?.[0], planDurationMs);
+  emitStatus(onEvent, 'plan', `Plan ready: ${sources.length} source(s) found (${formatDuration(planDurationMs)})`, { sources: sources.length, durationMs: planDurationMs });
+
+  return buildGroundedContext({ planText, sources, messages, onEvent, signal });
+}
+
+async function callGeminiWithTools({ messages, model, context, imagePolicy, allowPatch = false, onEvent, toolsUsed, signal }) {
+  const baseContents = buildGeminiContents(messages, { includeAttachments: false });
+
+  const contextMessage = {
+    role: 'user',
+    parts: [{ text: buildContextPrompt(context) }]
+  };
+
+  let contents = [...baseContents, contextMessage];
+
+  const tools = [{ functionDeclarations: getGeminiFunctionDeclarations() }];
+  const deltaStream = onEvent ? createSandboxDeltaStream(onEvent) : null;
+  const startedAt = Date.now();
+  emitStatus(onEvent, 'generate', `Generating app with ${model}...`);
+
+  // Edit turns may answer with a sandbox_patch, which the sandbox responseSchema would forbid.
+  // Once dropped, the schema stays off for the rest of the tool loop.
+  let generationConfig = allowPatch || schemaWithToolsRejected.has(model) ? undefined : SANDBOX_GENERATION_CONFIG;
+  let data;
+  try {
+    data = await callGeminiApi({
+      model,
+      contents,
+      tools,
+      systemPrompt: SYSTEM_PROMPT,
+      generationConfig,
+      onDelta: deltaStream?.begin(),
+      signal
+    });
+  } catch (error) {
+    // Some models reject responseSchema together with function declarations
+    if (error.status !== 400 || !generationConfig) throw error;
+    console.warn('[Gemini] responseSchema rejected, retrying without structured output:', error.message);
+    generationConfig = undefined;
+    data = await callGeminiApi({
+      model,
+      contents,
+      tools,
+      systemPrompt: SYSTEM_PROMPT,
+      onDelta: deltaStream?.begin(),
+      signal
+    });
+    // The retry worked, so the schema was the problem: skip it for this model from now on
+    schemaWithToolsRejected.add(model);
+  }
+
+  const allowImageGeneration = imagePolicy?.mode !== 'none';
+  const imageState = { remaining: imagePolicy?.max ?? 0 };
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const functionCalls = getGeminiFunctionCalls(data);
+    if (functionCalls.length === 0) break;
+
+    const roundStartedAt = Date.now();
+    const toolNames = functionCalls.map(call => call.name);
+    emitStatus(onEvent, 'tools', `Tool loop round ${attempt + 1}: ${toolNames.join(', ')}`, { round: attempt + 1, tools: toolNames });
+    const functionResponses = [];
+    for (const call of functionCalls) {
+      const callStartedAt = Date.now();
+      const respond = (response, status, extra = {}) => {
+        functionResponses.push({
+          functionResponse: {
+            name: call.name,
+            response
+          }
+        });
+        traceToolCall(toolsUsed, {
+          name: call.name,
+          source: 'model',
+          arguments: call.args || {},
+          durationMs: Date.now() - callStartedAt,
+          status,
+          error: response.error,
+          ...extra
+        });
+      };
+
+      try {
+        const { output, status, result } = await executeTool({
+          name: call.name,
+          args: call.args || {},
+          provider: geminiProvider,
+          allowImageGeneration,
+          imageState,
+          signal
+        });
+        respond(output, status, result ? { result } : {});
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        respond({ error: error.message }, 'error');
+      }
+    }
+
+    contents = [...contents, data.candidates?.[0]?.content, { role: 'user', parts: functionResponses }];
+    const roundDurationMs = Date.now() - roundStartedAt;
+    emitStatus(onEvent, 'tools', `Tool loop round ${attempt + 1} finished (${formatDuration(roundDurationMs)}), continuing generation...`, { round: attempt + 1, durationMs: roundDurationMs });
+
+    data = await callGeminiApi({
+      model,
+      contents,
+      tools,
+      systemPrompt: SYSTEM_PROMPT,
+      generationConfig,
+      onDelta: deltaStream?.begin(),
+      signal
+    });
+  }
+
+  deltaStream?.end();
+  const generateDurationMs = Date.now() - startedAt;
+  emitStatus(onEvent, 'generate', `App response received (${formatDuration(generateDurationMs)})`, { durationMs: generateDurationMs });
+  const content = getGeminiText(data);
+
+  return {
+    content,
+    parsed: parseResponse(content),
+    sources: context.sources || [],
+    usage: data.usageMetadata
+  };
+}
+
+// Cheap single call used to fold old turns into the rolling conversation summary
+async function summarize({ text, signal }) {
+  const data = await callGeminiApi({
+    model: process.env.GEMINI_SUMMARY_MODEL || 'gemini-2.5-flash-lite',
+    contents: [{ role: 'user', parts: [{ text }] }],
+    systemPrompt: SUMMARY_PROMPT,
+    generationConfig: { temperature: 0.2, maxOutputTokens: 1024 },
+    signal
+  });
+  return getGeminiText(data);
+}
+
+async function uploadFile({ filePath, mimeType, filename, signal }) {
+  const uploadResult = await uploadGeminiFile({
+    filePath,
+    mimeType,
+    displayName: filename,
+    signal
+  });
+  return {
+    fileUri: uploadResult.fileUri,
+    mimeType: uploadResult.mimeType || mimeType,
+    fileName: uploadResult.name
+  };
+}
+
+export const geminiProvider = {
+  name: 'gemini',
+  describe() {
+    return {
+      name: 'gemini',
+      label: 'Google',
+      configured: Boolean(process.env.GEMINI_API_KEY),
+      defaultModel: 'gemini-3-flash-preview',
+      models: [
+        { id: 'gemini-3-flash-preview', name: 'Gemini 3 Flash' },
+        { id: 'gemini-3-pro-preview', name: 'Gemini 3 Pro' }
+      ],
+      capabilities: { webSearch: true, fileUpload: true, imageGeneration: true }
+    };
+  },
+  plan: callGeminiGroundedPlan,
+  generate: callGeminiWithTools,
+  summarize,
+  uploadFile,
+  generateImage({ prompt, aspectRatio, imageSize, quality = 'fast', signal }) {
+    return generateGeminiImage({ prompt, aspectRatio, imageSize, quality, signal });
+  }
+};
@@ -0,0 +1,39 @@
+import { openaiProvider } from './openai.js';
+import { geminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// Provider adapter registry.
+//
+// Every adapter is a plain object with:
+//   name                 registry key (also the `provider` value clients send)
+//   describe()           { name, label, configured, defaultModel, models: [{ id, name }], capabilities }
+//   plan(opts)           grounded plan -> { plan, sources }
+//                        opts: { messages, model, enableWebSearch, onEvent, toolsUsed, signal }
+//   generate(opts)       final sandbox generation including the function-calling tool loop
+//                        -> { content, parsed, sources, usage }
+//                        opts: { messages, model, context, imagePolicy, allowPatch, onEvent, toolsUsed, signal }
+//                        (allowPatch: the reply may be a sandbox_patch, so skip strict sandbox output)
+//   summarize(opts)      { text, model, signal } -> summary text from a cheap model, used to fold
+//                        old turns into the rolling conversation summary
+//   uploadFile(opts)     { filePath, filename, mimeType, kind, size, signal } -> fields merged into the
+//                        attachment (fileId, fileUri, analysisAvailable, warning, ...)
+//   generateImage(opts)  optional; { prompt, aspectRatio, imageSize, quality, signal } -> { url, filename }
+//
+// Adding a provider means writing one adapter and registering it here.
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  registry.set(adapter.name, adapter);
+}
+
+export function getProvider(name) {
+  return registry.get(name) || null;
+}
+
+export function listProviders() {
+  return Array.from(registry.values());
+}
+
+registerProvider(openaiProvider);
+registerProvider(geminiProvider);
+registerProvider(createOpenAICompatibleProvider({ name: 'local', envPrefix: 'LOCAL_LLM', label: 'Local' }));
@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import { webSearch } from '../../tools/search.js';
+import { fetchWithRetry, readSseStream, isAbortError } from '../http.js';
+import { UPLOADS_DIR } from '../media.js';
+import { SYSTEM_PROMPT, LOCAL_PLAN_PROMPT, SUMMARY_PROMPT } from '../prompts.js';
+import { createSandboxDeltaStream, parseResponse } from '../sandbox.js';
+import {
+  emitStatus,
+  formatDuration,
+  traceToolCall,
+  getLastUserText,
+  buildAttachmentNote,
+  dedupeSources,
+  buildGroundedContext,
+  buildContextPrompt
+} from '../pipeline.js';
+import { getChatCompletionTools, executeTool } from '../../tools/index.js';
+
+const MAX_INLINE_TEXT_CHARS = 20000;
+
+// Read an uploaded attachment back from disk so it can be inlined into the prompt
+function readUpload(att, encoding) {
+  if (!att?.id) return null;
+  try {
+    return fs.readFileSync(path.join(UPLOADS_DIR, path.basename(att.id)), encoding);
+  } catch {
+    return null;
+  }
+}
+
+function buildChatMessages(messages, providerName) {
+  const chatMessages = [];
+
+  for (const message of messages) {
+    const isAssistant = message.role === 'assistant';
+    const parts = [];
+
+    if (!isAssistant && message.attachments?.length) {
+      const ownAttachments = message.attachments.filter(att => !att.provider || att.provider === providerName);
+      for (const att of ownAttachments) {
+        if (att.analysisAvailable === false) continue;
+        if (att.kind === 'image') {
+          const data = readUpload(att, 'base64');
+          if (data) {
+            parts.push({ type: 'image_url', image_url: { url: `data:${att.mimeType};base64,${data}` } });
+          }
+        } else if (att.kind === 'text') {
+          const text = readUpload(att, 'utf8');
+          if (text) {
+            const clipped = text.length > MAX_INLINE_TEXT_CHARS ? `${text.slice(0, MAX_INLINE_TEXT_CHARS)}\n... (truncated)` : text;
+            parts.push({ type: 'text', text: `Attached file ${att.name}:\n${clipped}` });
+          }
+        }
+      }
+
+      const note = buildAttachmentNote(message.attachments);
+      if (note) {
+        parts.push({ type: 'text', text: note });
+      }
+    }
+
+    if (message.content) {
+      parts.push({ type: 'text', text: message.content });
+    }
+
+    if (parts.length === 0) continue;
+
+    // Plain string content is the most widely supported shape across local servers
+    const textOnly = parts.every(part => part.type === 'text');
+    chatMessages.push({
+      role: isAssistant ? 'assistant' : 'user',
+      content: textOnly ? parts.map(part => part.text).join('\n\n') : parts
+    });
+  }
+
+  return chatMessages;
+}
+
+// Create an adapter for any server that speaks the OpenAI chat-completions API
+// (Ollama, llama.cpp server, vLLM, LM Studio, ...). Settings are read from
+// `${envPrefix}_BASE_URL`, `_API_KEY`, `_MODELS` (comma separated), `_LABEL` and
+// `_SUMMARY_MODEL` on every call so they can come from .env.
+export function createOpenAICompatibleProvider({ name, envPrefix, label = 'OpenAI-compatible' }) {
+  const readConfig = () => {
+    const models = (process.env[`${envPrefix}_MODELS`] || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean);
+    return {
+      baseUrl: (process.env[`${envPrefix}_BASE_URL`] || '').replace(/\/+$/, ''),
+      apiKey: process.env[`${envPrefix}_API_KEY`] || '',
+      label: process.env[`${envPrefix}_LABEL`] || label,
+      summaryModel: process.env[`${envPrefix}_SUMMARY_MODEL`] || '',
+      models
+    };
+  };
+
+  async function callChatCompletion({ model, messages, tools, onDelta, signal }) {
+    const { baseUrl, apiKey } = readConfig();
+    if (!baseUrl) throw new Error(`${envPrefix}_BASE_URL not configured`);
+
+    const body = { model, messages };
+    if (tools?.length) body.tools = tools;
+    if (onDelta) body.stream = true;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetchWithRetry(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    }, { maxRetries: 1, timeoutMs: 300000, provider: name });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`[${name}] API Error:`, response.status, errorText);
+      const error = new Error(`${name} API error (${response.status}): ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    if (!onDelta) {
+      const data = await response.json();
+      return { message: data.choices?.[0]?.message || { role: 'assistant', content: '' }, usage: data.usage };
+    }
+
+    let content = '';
+    let usage;
+    const toolCalls = [];
+    await readSseStream(response.body, (event, data) => {
+      if (data.usage) usage = data.usage;
+      const delta = data.choices?.[0]?.delta;
+      if (!delta) return;
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    }, { signal });
+
+    const message = { role: 'assistant', content };
+    const completedCalls = toolCalls.filter(Boolean);
+    if (completedCalls.length > 0) message.tool_calls = completedCalls;
+    return { message, usage };
+  }
+
+  async function plan({ messages, model, enableWebSearch, onEvent, toolsUsed, signal }) {
+    const startedAt = Date.now();
+    let sources = [];
+    const chatMessages = buildChatMessages(messages, name);
+
+    if (enableWebSearch) {
+      const query = getLastUserText(messages);
+      emitStatus(onEvent, 'plan', 'Searching the web for the planner...');
+      const search = await webSearch(query, { signal });
+      sources = (search.results || []).map(result => ({
+        title: result.title || '',
+        url: result.url || '',
+        description: result.snippet || '',
+        image: null
+      }));
+      traceToolCall(toolsUsed, {
+        name: 'web_search',
+        source: 'grounding',
+        arguments: { query },
+        durationMs: Date.now() - startedAt,
+        status: search.error ? 'error' : 'ok',
+        error: search.error,
+        result: { engine: search.source, sources: sources.length }
+      });
+      if (sources.length > 0) {
+        chatMessages.push({
+          role: 'user',
+          content: `Web search results:\n${JSON.stringify(sources, null, 2)}`
+        });
+      }
+    }
+
+    emitStatus(onEvent, 'plan', `Grounded plan started (${sources.length} search result(s))...`);
+    const { message } = await callChatCompletion({
+      model,
+      messages: [{ role: 'system', content: LOCAL_PLAN_PROMPT }, ...chatMessages],
+      signal
+    });
+
+    const planDurationMs = Date.now() - startedAt;
+    emitStatus(onEvent, 'plan', `Plan ready: ${sources.length} source(s) found (${formatDuration(planDurationMs)})`, { sources: sources.length, durationMs: planDurationMs });
+
+    return buildGroundedContext({ planText: message.content || '', sources: dedupeSources(sources), messages, onEvent, signal });
+  }
+
+  async function generate({ messages, model, context, imagePolicy, onEvent, toolsUsed, signal }) {
+    let chatMessages = [
+      { role: 'system', content: SYSTEM_PROMPT },
+      ...buildChatMessages(messages, name),
+      { role: 'user', content: buildContextPrompt(context) }
+    ];
+
+    const allowImageGeneration = imagePolicy?.mode !== 'none';
+    const imageState = { remaining: imagePolicy?.max ?? 0 };
+    const deltaStream = onEvent ? createSandboxDeltaStream(onEvent) : null;
+    const startedAt = Date.now();
+    // These servers have no image generation adapter
+    let tools = getChatCompletionTools({ exclude: ['generate_image'] });
+    emitStatus(onEvent, 'generate', `Generating app with ${model}...`);
+
+    let data;
+    try {
+      data = await callChatCompletion({ model, messages: chatMessages, tools, onDelta: deltaStream?.begin(), signal });
+    } catch (error) {
+      // Many local models/servers reject the tools parameter; retry as plain chat.
+      if (error.status !== 400 && error.status !== 422) throw error;
+      console.warn(`[${name}] Tool calling rejected, retrying without tools:`, error.message);
+      tools = [];
+      data = await callChatCompletion({ model, messages: chatMessages, onDelta: deltaStream?.begin(), signal });
+    }
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const toolCalls = data.message.tool_calls || [];
+      if (toolCalls.length === 0) break;
+
+      const roundStartedAt = Date.now();
+      const toolNames = toolCalls.map(call => call.function?.name);
+      emitStatus(onEvent, 'tools', `Tool loop round ${attempt + 1}: ${toolNames.join(', ')}`, { round: attempt + 1, tools: toolNames });
+
+      const toolMessages = [];
+      for (const call of toolCalls) {
+        const callStartedAt = Date.now();
+        let args = {};
+        let output;
+        let status;
+        let result;
+        try {
+          args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+          ({ output, status, result } = await executeTool({
+            name: call.function?.name,
+            args,
+            provider: null,
+            allowImageGeneration,
+            imageState,
+            signal
+          }));
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          output = { error: error.message };
+          status = 'error';
+        }
+        toolMessages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+        traceToolCall(toolsUsed, {
+          name: call.function?.name,
+          source: 'model',
+          arguments: args,
+          durationMs: Date.now() - callStartedAt,
+          status,
+          error: output.error,
+          result
+        });
+      }
+
+      chatMessages = [...chatMessages, data.message, ...toolMessages];
+      const roundDurationMs = Date.now() - roundStartedAt;
+      emitStatus(onEvent, 'tools', `Tool loop round ${attempt + 1} finished (${formatDuration(roundDurationMs)}), continuing generation...`, { round: attempt + 1, durationMs: roundDurationMs });
+
+      data = await callChatCompletion({ model, messages: chatMessages, tools, onDelta: deltaStream?.begin(), signal });
+    }
+
+    deltaStream?.end();
+    const generateDurationMs = Date.now() - startedAt;
+    emitStatus(onEvent, 'generate', `App response received (${formatDuration(generateDurationMs)})`, { durationMs: generateDurationMs });
+    const content = data.message.content || '';
+
+    return {
+      content,
+      parsed: parseResponse(content),
+      sources: context.sources || [],
+      usage: data.usage
+    };
+  }
+
+  // Rolling conversation summary; uses the chat model unless _SUMMARY_MODEL is set
+  async function summarize({ text, model, signal }) {
+    const { message } = await callChatCompletion({
+      model: readConfig().summaryModel || model,
+      messages: [{ role: 'system', content: SUMMARY_PROMPT }, { role: 'user', content: text }],
+      signal
+    });
+    return message.content || '';
+  }
+
+  async function uploadFile({ kind }) {
+    if (kind === 'image' || kind === 'text') {
+      return {};
+    }
+    return {
+      analysisAvailable: false,
+      warning: `${readConfig().label} accepts image and text inputs only. File will be available for UI rendering but not analysis.`
+    };
+  }
+
+  return {
+    name,
+    describe() {
+      const config = readConfig();
+      return {
+        name,
+        label: config.label,
+        configured: Boolean(config.baseUrl && config.models.length > 0),
+        defaultModel: config.models[0] || '',
+        models: config.models.map(id => ({ id, name: id })),
+        capabilities: { webSearch: true, fileUpload: true, imageGeneration: false }
+      };
+    },
+    plan,
+    generate,
+    summarize,
+    uploadFile
+  };
+}
@@ -0,0 +1,456 @@
+import { generateOpenAIImage } from '../images.js';
+import { uploadOpenAIFile } from '../files.js';
+import { fetchWithRetry, readSseStream, isAbortError } from '../http.js';
+import { SYSTEM_PROMPT, OPENAI_PLAN_PROMPT, SUMMARY_PROMPT } from '../prompts.js';
+import { createSandboxDeltaStream, parseResponse, SANDBOX_SCHEMA } from '../sandbox.js';
+import {
+  emitStatus,
+  formatDuration,
+  traceToolCall,
+  buildAttachmentNote,
+  shouldIncludeContext,
+  dedupeSources,
+  buildGroundedContext,
+  buildContextPrompt
+} from '../pipeline.js';
+import { getOpenAIResponseTools, executeTool } from '../../tools/index.js';
+
+const OPENAI_MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+// Strict structured output for the final sandbox JSON
+const SANDBOX_TEXT_FORMAT = {
+  type: 'json_schema',
+  name: 'sandbox',
+  schema: SANDBOX_SCHEMA,
+  strict: true
+};
+
+function buildOpenAIInput(messages, { includeAttachments = true } = {}) {
+  const input = [];
+
+  for (const message of messages) {
+    const isAssistant = message.role === 'assistant';
+    const role = isAssistant ? 'assistant' : 'user';
+    const textType = isAssistant ? 'output_text' : 'input_text';
+    const parts = [];
+
+    if (!isAssistant && includeAttachments && message.attachments?.length) {
+      const openaiAttachments = message.attachments.filter(att => !att.provider || att.provider === 'openai');
+      for (const att of openaiAttachments) {
+        if (att.fileId && att.kind === 'image') {
+          parts.push({ type: 'input_image', file_id: att.fileId });
+        } else if (att.fileId && att.kind === 'pdf') {
+          parts.push({ type: 'input_file', file_id: att.fileId });
+        }
+      }
+
+      const note = buildAttachmentNote(message.attachments);
+      if (note) {
+        parts.push({ type: textType, text: note });
+      }
+    }
+
+    if (message.content) {
+      parts.push({ type: textType, text: message.content });
+    }
+
+    if (parts.length > 0) {
+      input.push({ role, content: parts });
+    }
+  }
+
+  return input;
+}
+
+function buildOpenAIContextMessage(context) {
+  if (!context) return null;
+
+  return {
+    role: 'user',
+    content: [{
+      type: 'input_text',
+      text: buildContextPrompt(context)
+    }]
+  };
+}
+
+// Extract sources and images from OpenAI web search response
+function extractOpenAISources(output) {
+  const sources = [];
+
+  if (!output || !Array.isArray(output)) return sources;
+
+  for (const item of output) {
+    if (item.type === 'web_search_call' && item.action?.sources) {
+      for (const source of item.action.sources) {
+        sources.push({
+          title: source.title || '',
+          url: source.url || '',
+          image: null
+        });
+      }
+    }
+
+    if (item.type === 'message' && item.content) {
+      for (const content of item.content) {
+        if (content.annotations) {
+          for (const annotation of content.annotations) {
+            if (annotation.type === 'url_citation') {
+              sources.push({
+                title: annotation.title || '',
+                url: annotation.url || '',
+                image: null
+              });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return dedupeSources(sources);
+}
+
+// Record the web_search calls OpenAI ran server-side as part of a response
+function traceOpenAIWebSearch(toolsUsed, output, durationMs) {
+  if (!output || !Array.isArray(output)) return;
+
+  for (const item of output) {
+    if (item.type !== 'web_search_call') continue;
+    traceToolCall(toolsUsed, {
+      name: 'web_search',
+      source: 'grounding',
+      arguments: { query: item.action?.query || null },
+      durationMs,
+      status: item.status === 'failed' ? 'error' : 'ok',
+      error: item.status === 'failed' ? 'web_search call failed' : undefined,
+      result: { sources: item.action?.sources?.length || 0 }
+    });
+  }
+}
+
+async function callOpenAIResponse({ model, instructions, input, tools, toolChoice, include, textFormat, onDelta, signal }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('OPENAI_API_KEY not configured');
+
+  const body = {
+    model,
+    input,
+    tools,
+    tool_choice: toolChoice,
+    include
+  };
+
+  if (instructions) {
+    body.instructions = instructions;
+  }
+
+  if (textFormat) {
+    body.text = { format: textFormat };
+  }
+
+  if (onDelta) {
+    body.stream = true;
+  }
+
+  const response = await fetchWithRetry('https://api.openai.com/v1/responses', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    },
+    body: JSON.stringify(body),
+    signal
+  }, { maxRetries: 2, timeoutMs: 180000, provider: 'openai' });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('[OpenAI] API Error:', errorText);
+    throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
+  }
+
+  if (!onDelta) {
+    return response.json();
+  }
+
+  let finalResponse = null;
+  let streamError = null;
+  await readSseStream(response.body, (event, data) => {
+    const type = data.type || event;
+    if (type === 'response.output_text.delta' && data.delta) {
+      onDelta(data.delta);
+    } else if (type === 'response.completed' || type === 'response.incomplete') {
+      finalResponse = data.response;
+    } else if (type === 'response.failed') {
+      streamError = data.response?.error?.message || 'Response failed';
+    } else if (type === 'error') {
+      streamError = data.message || data.error?.message || 'Stream error';
+    }
+  }, { signal });
+
+  if (streamError) {
+    console.error('[OpenAI] Stream error:', streamError);
+    throw new Error(`OpenAI API error (stream): ${streamError}`);
+  }
+  if (!finalResponse) {
+    throw new Error('OpenAI stream ended without a completed response');
+  }
+
+  return finalResponse;
+}
+
+function getOpenAIOutputText(data) {
+  if (data.output_text) return data.output_text;
+
+  let content = '';
+  if (data.output && Array.isArray(data.output)) {
+    for (const item of data.output) {
+      if (item.type === 'message' && item.content) {
+        for (const part of item.content) {
+          if (part.type === 'output_text' || part.text) {
+            content += part.text || part.output_text || '';
+          }
+        }
+      }
+    }
+  }
+
+  return content;
+}
+
+function extractOpenAIFunctionCalls(output) {
+  if (!output || !Array.isArray(output)) return [];
+  return output.filter(item => item.type === 'function_call');
+}
+
+async function executeOpenAIToolCalls(toolCalls, { allowImageGeneration = true, imageState, toolsUsed, signal } = {}) {
+  const outputs = [];
+
+  for (const call of toolCalls) {
+    const callId = call.call_id || call.id;
+    const startedAt = Date.now();
+    let args = {};
+
+    const respond = (output, status, extra = {}) => {
+      outputs.push({
+        type: 'function_call_output',
+        call_id: callId,
+        output: JSON.stringify(output)
+      });
+      traceToolCall(toolsUsed, {
+        name: call.name,
+        source: 'model',
+        arguments: args,
+        durationMs: Date.now() - startedAt,
+        status,
+        error: output.error,
+        ...extra
+      });
+    };
+
+    try {
+      args = typeof call.arguments === 'string' ? JSON.parse(call.arguments) : (call.arguments || {});
+      const { output, status, result } = await executeTool({
+        name: call.name,
+        args,
+        provider: openaiProvider,
+        allowImageGeneration,
+        imageState,
+        signal
+      });
+      respond(output, status, result ? { result } : {});
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      respond({ error: error.message }, 'error');
+    }
+  }
+
+  return outputs;
+}
+
+async function callOpenAIPlan({ messages, model, enableWebSearch, onEvent, toolsUsed, signal }) {
+  const input = buildOpenAIInput(messages);
+  const tools = enableWebSearch ? [{ type: 'web_search' }] : [];
+  const include = enableWebSearch ? ['web_search_call.action.sources'] : undefined;
+  const startedAt = Date.now();
+  emitStatus(onEvent, 'plan', 'Grounded plan started (web search)...');
+
+  let data;
+  try {
+    data = await callOpenAIResponse({
+      model,
+      instructions: OPENAI_PLAN_PROMPT,
+      input,
+      tools,
+      toolChoice: 'auto',
+      include,
+      signal
+    });
+  } catch (error) {
+    if (enableWebSearch && !isAbortError(error)) {
+      console.warn('[OpenAI] Plan web_search failed, retrying without tools:', error.message);
+      emitStatus(onEvent, 'plan', 'Web search failed, retrying plan without tools...', { error: error.message });
+      traceToolCall(toolsUsed, {
+        name: 'web_search',
+        source: 'grounding',
+        arguments: {},
+        durationMs: Date.now() - startedAt,
+        status: 'error',
+        error: error.message
+      });
+      data = await callOpenAIResponse({
+        model,
+        instructions: OPENAI_PLAN_PROMPT,
+        input,
+        tools: [],
+        toolChoice: 'auto',
+        signal
+      });
+    } else {
+      throw error;
+    }
+  }
+
+  const planText = getOpenAIOutputText(data);
+  const sources = extractOpenAISources(data.output);
+  const planDurationMs = Date.now() - startedAt;
+  traceOpenAIWebSearch(toolsUsed, data.output, planDurationMs);
+  emitStatus(onEvent, 'plan', `Plan ready: ${sources.length} source(s) found (${formatDuration(planDurationMs)})`, { sources: sources.length, durationMs: planDurationMs });
+
+  return buildGroundedContext({ planText, sources, messages, onEvent, signal });
+}
+
+async function callOpenAIWithTools({ messages, model, enableWebSearch, context, imagePolicy, allowPatch = false, onEvent, toolsUsed, signal }) {
+  let input = buildOpenAIInput(messages);
+  const contextMessage = shouldIncludeContext(context) ? buildOpenAIContextMessage(context) : null;
+  if (contextMessage) {
+    input = [...input, contextMessage];
+  }
+
+  // The hosted web_search tool replaces the registry's function of the same name
+  const tools = enableWebSearch
+    ? [{ type: 'web_search' }, ...getOpenAIResponseTools({ exclude: ['web_search'] })]
+    : getOpenAIResponseTools();
+
+  const include = enableWebSearch ? ['web_search_call.action.sources'] : undefined;
+  // Edit turns may answer with a sandbox_patch, which the strict sandbox schema would forbid
+  const textFormat = allowPatch ? undefined : SANDBOX_TEXT_FORMAT;
+  const allowImageGeneration = imagePolicy?.mode !== 'none';
+  const imageState = { remaining: imagePolicy?.max ?? 0 };
+  const deltaStream = onEvent ? createSandboxDeltaStream(onEvent) : null;
+  const startedAt = Date.now();
+  emitStatus(onEvent, 'generate', `Generating app with ${model}...`);
+  let callStartedAt = Date.now();
+  let data = await callOpenAIResponse({
+    model,
+    instructions: SYSTEM_PROMPT,
+    input,
+    tools,
+    toolChoice: 'auto',
+    include,
+    textFormat,
+    onDelta: deltaStream?.begin(),
+    signal
+  });
+  traceOpenAIWebSearch(toolsUsed, data.output, Date.now() - callStartedAt);
+
+  let sources = extractOpenAISources(data.output);
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const toolCalls = extractOpenAIFunctionCalls(data.output);
+    if (toolCalls.length === 0) break;
+
+    const roundStartedAt = Date.now();
+    const toolNames = toolCalls.map(call => call.name);
+    emitStatus(onEvent, 'tools', `Tool loop round ${attempt + 1}: ${toolNames.join(', ')}`, { round: attempt + 1, tools: toolNames });
+    const toolOutputs = await executeOpenAIToolCalls(toolCalls, { allowImageGeneration, imageState, toolsUsed, signal });
+    input = [...input, ...data.output, ...toolOutputs];
+    const roundDurationMs = Date.now() - roundStartedAt;
+    emitStatus(onEvent, 'tools', `Tool loop round ${attempt + 1} finished (${formatDuration(roundDurationMs)}), continuing generation...`, { round: attempt + 1, durationMs: roundDurationMs });
+
+    callStartedAt = Date.now();
+    data = await callOpenAIResponse({
+      model,
+      instructions: SYSTEM_PROMPT,
+      input,
+      tools,
+      toolChoice: 'auto',
+      include,
+      textFormat,
+      onDelta: deltaStream?.begin(),
+      signal
+    });
+    traceOpenAIWebSearch(toolsUsed, data.output, Date.now() - callStartedAt);
+
+    sources = dedupeSources([...sources, ...extractOpenAISources(data.output)]);
+  }
+
+  deltaStream?.end();
+  const generateDurationMs = Date.now() - startedAt;
+  emitStatus(onEvent, 'generate', `App response received (${formatDuration(generateDurationMs)})`, { durationMs: generateDurationMs });
+  const content = getOpenAIOutputText(data);
+  const finalSources = context?.sources ? dedupeSources([...sources, ...context.sources]) : sources;
+
+  return {
+    content,
+    parsed: parseResponse(content),
+    sources: finalSources,
+    usage: data.usage
+  };
+}
+
+// Cheap single call used to fold old turns into the rolling conversation summary
+async function summarize({ text, signal }) {
+  const data = await callOpenAIResponse({
+    model: process.env.OPENAI_SUMMARY_MODEL || 'gpt-5-mini-2025-08-07',
+    instructions: SUMMARY_PROMPT,
+    input: [{ role: 'user', content: [{ type: 'input_text', text }] }],
+    signal
+  });
+  return getOpenAIOutputText(data);
+}
+
+async function uploadFile({ filePath, filename, mimeType, kind, size, signal }) {
+  if (kind !== 'pdf' && kind !== 'image') {
+    return {
+      analysisAvailable: false,
+      warning: 'OpenAI supports PDF and image inputs only. File will be available for UI rendering but not analysis.'
+    };
+  }
+
+  if (size > OPENAI_MAX_FILE_BYTES) {
+    throw new Error('OpenAI file inputs must be 50MB or smaller');
+  }
+
+  const purpose = kind === 'image' ? 'vision' : 'user_data';
+  const uploadResult = await uploadOpenAIFile({ filePath, filename, mimeType, purpose, signal });
+  return {
+    fileId: uploadResult.fileId,
+    purpose: uploadResult.purpose
+  };
+}
+
+export const openaiProvider = {
+  name: 'openai',
+  describe() {
+    return {
+      name: 'openai',
+      label: 'OpenAI',
+      configured: Boolean(process.env.OPENAI_API_KEY),
+      defaultModel: 'gpt-5-mini-2025-08-07',
+      models: [
+        { id: 'gpt-5-mini-2025-08-07', name: 'GPT-5 Mini (2025-08-07)' },
+        { id: 'gpt-5.2-2025-12-11', name: 'GPT-5.2 (2025-12-11)' }
+      ],
+      capabilities: { webSearch: true, fileUpload: true, imageGeneration: true }
+    };
+  },
+  plan: callOpenAIPlan,
+  generate: (options) => callOpenAIWithTools({ ...options, enableWebSearch: false }),
+  summarize,
+  uploadFile,
+  generateImage({ prompt, aspectRatio, signal }) {
+    const finalPrompt = aspectRatio ? `${prompt} (aspect ratio ${aspectRatio})` : prompt;
+    return generateOpenAIImage({ prompt: finalPrompt, signal });
+  }
+};
@@ -0,0 +1,165 @@
+// Per-provider resilience shared by every upstream provider call (generation,
+// images, file uploads), applied by fetchWithRetry when it is given a `provider`:
+// - jittered exponential backoff for retryable statuses, honouring Retry-After
+// - a circuit breaker that fails fast after repeated failures and lets a single
+//   probe through once the cooldown has passed
+// - a concurrency cap; calls beyond it wait in a FIFO queue
+
+export const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Override with CIRCUIT_BREAKER_THRESHOLD / CIRCUIT_BREAKER_COOLDOWN_MS and
+// <PROVIDER>_MAX_CONCURRENCY (e.g. OPENAI_MAX_CONCURRENCY) or PROVIDER_MAX_CONCURRENCY
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN_MS = 30000;
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+const providers = new Map();
+
+function readIntEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getEntry(name) {
+  if (!providers.has(name)) {
+    providers.set(name, {
+      name,
+      state: 'closed',
+      failures: 0,
+      lastError: null,
+      openedAt: null,
+      probing: false,
+      active: 0,
+      queue: []
+    });
+  }
+  return providers.get(name);
+}
+
+function getMaxConcurrency(name) {
+  return readIntEnv(`${name.toUpperCase()}_MAX_CONCURRENCY`, readIntEnv('PROVIDER_MAX_CONCURRENCY', DEFAULT_MAX_CONCURRENCY));
+}
+
+// Helper: Retry-After is either delta-seconds or an HTTP date; returns ms or null
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Delay before retry `attempt` (1-based): the server's Retry-After when given,
+// otherwise exponential backoff with jitter over the upper half of the window
+export function getBackoffDelay(attempt, retryAfter) {
+  const hinted = parseRetryAfter(retryAfter);
+  if (hinted !== null) return Math.min(hinted, MAX_RETRY_AFTER_MS);
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Throws a CIRCUIT_OPEN error while the provider's breaker is open. Once the
+// cooldown has passed the breaker is half-open and one probe call may proceed.
+export function checkCircuit(name) {
+  const entry = getEntry(name);
+  if (entry.state === 'closed') return;
+
+  const retryInMs = entry.openedAt + readIntEnv('CIRCUIT_BREAKER_COOLDOWN_MS', DEFAULT_BREAKER_COOLDOWN_MS) - Date.now();
+  if (entry.state === 'open' && retryInMs <= 0) {
+    entry.state = 'half-open';
+  }
+  if (entry.state === 'half-open' && !entry.probing) {
+    entry.probing = true;
+    return;
+  }
+
+  const error = new Error(`${name} is unavailable: circuit breaker open after ${entry.failures} consecutive failure(s) (${entry.lastError}); retry in ${Math.ceil(Math.max(retryInMs, 0) / 1000)}s`);
+  error.code = 'CIRCUIT_OPEN';
+  error.status = 503;
+  throw error;
+}
+
+export function recordSuccess(name) {
+  const entry = getEntry(name);
+  if (entry.state !== 'closed') {
+    console.log(`[Resilience] ${name} circuit closed`);
+  }
+  entry.state = 'closed';
+  entry.failures = 0;
+  entry.probing = false;
+}
+
+export function recordFailure(name, message) {
+  const entry = getEntry(name);
+  entry.failures += 1;
+  entry.lastError = message;
+  entry.probing = false;
+
+  const threshold = readIntEnv('CIRCUIT_BREAKER_THRESHOLD', DEFAULT_BREAKER_THRESHOLD);
+  if (entry.state === 'half-open' || entry.failures >= threshold) {
+    if (entry.state !== 'open') {
+      console.warn(`[Resilience] ${name} circuit opened after ${entry.failures} failure(s): ${message}`);
+    }
+    entry.state = 'open';
+    entry.openedAt = Date.now();
+  }
+}
+
+// A call that was cancelled proves nothing either way; free the probe slot
+export function recordCancelled(name) {
+  getEntry(name).probing = false;
+}
+
+// Wait for one of the provider's concurrency slots. Resolves to a release
+// function (safe to call more than once); rejects when `signal` aborts first.
+export function acquireSlot(name, signal) {
+  const entry = getEntry(name);
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    const next = entry.queue.shift();
+    if (next) {
+      next.grant();
+    } else {
+      entry.active -= 1;
+    }
+  };
+
+  if (entry.active < getMaxConcurrency(name)) {
+    entry.active += 1;
+    return Promise.resolve(release);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.queue.splice(entry.queue.indexOf(waiter), 1);
+      reject(signal.reason);
+    };
+    const waiter = {
+      grant: () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(release);
+      }
+    };
+    entry.queue.push(waiter);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Breaker and concurrency state per provider, for /health
+export function getResilienceState() {
+  return Object.fromEntries(Array.from(providers.values()).map(entry => [entry.name, {
+    state: entry.state,
+    failures: entry.failures,
+    lastError: entry.lastError,
+    openedAt: entry.openedAt ? new Date(entry.openedAt).toISOString() : null,
+    active: entry.active,
+    queued: entry.queue.length,
+    maxConcurrency: getMaxConcurrency(entry.name)
+  }]));
+}
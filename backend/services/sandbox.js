@@ -0,0 +1,403 @@
+import { validateSchema, joinPath } from './schema.js';
+
+const STREAM_FIELDS = ['message', 'App.js'];
+
+const STREAM_FLUSH_MS = 120;
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Incrementally decode the "message" and "App.js" string values out of the
+// sandbox JSON while the model is still writing it, and emit them as `delta`
+// events (coalesced so the client is not flooded with one event per token).
+export function createSandboxDeltaStream(onEvent) {
+  let raw = '';
+  let fields = [];
+  let pending = {};
+  let emitted = false;
+  let flushTimer = null;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    for (const [field, text] of Object.entries(pending)) {
+      if (text) onEvent('delta', { field, text });
+    }
+    pending = {};
+  };
+
+  const queue = (field, text) => {
+    pending[field] = (pending[field] || '') + text;
+    emitted = true;
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, STREAM_FLUSH_MS);
+    }
+  };
+
+  const advance = (state) => {
+    if (state.done) return;
+
+    if (state.pos < 0) {
+      const keyIndex = raw.indexOf(`"${state.name}"`, state.searchFrom);
+      if (keyIndex === -1) {
+        state.searchFrom = Math.max(0, raw.length - state.name.length - 2);
+        return;
+      }
+      const valueMatch = raw.slice(keyIndex + state.name.length + 2).match(/^\s*:\s*"/);
+      if (!valueMatch) {
+        state.searchFrom = keyIndex;
+        return;
+      }
+      state.pos = keyIndex + state.name.length + 2 + valueMatch[0].length;
+    }
+
+    let text = '';
+    while (state.pos < raw.length) {
+      const ch = raw[state.pos];
+      if (ch === '"') {
+        state.done = true;
+        break;
+      }
+      if (ch !== '\\') {
+        text += ch;
+        state.pos += 1;
+        continue;
+      }
+      const next = raw[state.pos + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = raw.slice(state.pos + 2, state.pos + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        state.pos += 6;
+        continue;
+      }
+      text += JSON_ESCAPES[next] ?? next;
+      state.pos += 2;
+    }
+
+    if (text) queue(state.name, text);
+  };
+
+  return {
+    // Start decoding a fresh model response; returns the raw-text delta handler.
+    begin() {
+      flush();
+      if (emitted) {
+        onEvent('delta', { reset: true });
+        emitted = false;
+      }
+      raw = '';
+      fields = STREAM_FIELDS.map(name => ({ name, pos: -1, searchFrom: 0, done: false }));
+      return (chunk) => {
+        raw += chunk;
+        fields.forEach(advance);
+      };
+    },
+    end() {
+      flush();
+    }
+  };
+}
+
+// Contract for the final generation response. Sent to OpenAI as a strict
+// json_schema text format and to Gemini as responseSchema, and used to
+// validate whatever comes back before it reaches the client.
+export const SANDBOX_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['sandbox'] },
+    message: { type: 'string', description: '2-3 short lines: summary, usage, optional note.' },
+    code: {
+      type: 'object',
+      properties: {
+        'App.js': { type: 'string', description: 'React component with a default export.' },
+        'styles.css': { type: 'string' }
+      },
+      required: ['App.js', 'styles.css'],
+      additionalProperties: false
+    },
+    files: {
+      type: 'array',
+      description: 'Additional modules imported from App.js with relative paths (components, hooks, data).',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Relative path such as components/Chart.js or data/items.json.' },
+          content: { type: 'string' }
+        },
+        required: ['path', 'content'],
+        additionalProperties: false
+      }
+    },
+    sources: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string' },
+          image: { type: ['string', 'null'] }
+        },
+        required: ['title', 'url', 'image'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['type', 'message', 'code', 'files', 'sources'],
+  additionalProperties: false
+};
+
+// Incremental edit of the current app: search/replace hunks or unified diffs per file.
+// Not sent as a structured-output schema (OpenAI requires a single root object shape),
+// so it is only validated after the fact.
+export const SANDBOX_PATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['sandbox_patch'] },
+    message: { type: 'string' },
+    patches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          search: { type: 'string', description: 'Exact text that occurs once in the current file; empty to create a new file.' },
+          replace: { type: 'string' },
+          diff: { type: 'string', description: 'Unified diff for this file, instead of search/replace.' }
+        },
+        required: ['path'],
+        additionalProperties: false
+      }
+    },
+    sources: SANDBOX_SCHEMA.properties.sources
+  },
+  required: ['type', 'message', 'patches'],
+  additionalProperties: false
+};
+
+const SANDBOX_FILE_EXTENSIONS = ['.js', '.jsx', '.css', '.json'];
+const RESERVED_SANDBOX_PATHS = new Set(['app.js', 'styles.css', 'index.js', 'package.json', 'public/index.html']);
+const MAX_SANDBOX_FILES = 30;
+const MAX_SANDBOX_PATH_LENGTH = 120;
+
+function describeSandboxPathProblem(filePath) {
+  if (!filePath) return 'must not be empty';
+  if (filePath.length > MAX_SANDBOX_PATH_LENGTH) return `must be at most ${MAX_SANDBOX_PATH_LENGTH} characters`;
+  if (filePath.startsWith('/') || /^[A-Za-z]:/.test(filePath)) return 'must be relative, e.g. "components/Chart.js"';
+  if (filePath.includes('\\')) return 'must use forward slashes';
+  const segments = filePath.split('/');
+  if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return 'must not contain empty, "." or ".." segments';
+  }
+  if (!/^[A-Za-z0-9._\-/]+$/.test(filePath)) return 'may only contain letters, digits, ".", "_", "-" and "/"';
+  if (segments[0] === 'node_modules') return 'must not be inside node_modules';
+  const extension = filePath.slice(filePath.lastIndexOf('.')).toLowerCase();
+  if (!filePath.includes('.') || !SANDBOX_FILE_EXTENSIONS.includes(extension)) {
+    return `must end with one of ${SANDBOX_FILE_EXTENSIONS.join(', ')}`;
+  }
+  if (RESERVED_SANDBOX_PATHS.has(filePath.toLowerCase())) {
+    return 'is reserved; App.js and styles.css belong in "code", index.js is the sandbox entry point';
+  }
+  return null;
+}
+
+// Patches may target the entry files as well as any valid extra file path
+function validatePatchHunks(patches) {
+  const errors = [];
+  if (!Array.isArray(patches)) return errors;
+
+  if (patches.length === 0) {
+    errors.push({ path: '$.patches', message: 'must contain at least one patch' });
+  }
+
+  patches.forEach((patch, index) => {
+    const location = joinPath('$.patches', index);
+    if (typeof patch?.path !== 'string') return;
+    if (patch.path !== 'App.js' && patch.path !== 'styles.css') {
+      const problem = describeSandboxPathProblem(patch.path);
+      if (problem) errors.push({ path: joinPath(location, 'path'), message: problem });
+    }
+    const hasDiff = typeof patch.diff === 'string';
+    const hasSearchReplace = typeof patch.search === 'string' && typeof patch.replace === 'string';
+    if (hasDiff === hasSearchReplace) {
+      errors.push({ path: location, message: 'must have either "search" and "replace", or "diff"' });
+    }
+  });
+
+  return errors;
+}
+
+// Path rules for the extra files of a multi-file app
+export function validateSandboxFiles(files, basePath = '$.files') {
+  const errors = [];
+  if (!Array.isArray(files)) return errors;
+
+  if (files.length > MAX_SANDBOX_FILES) {
+    errors.push({ path: basePath, message: `must contain at most ${MAX_SANDBOX_FILES} files` });
+  }
+
+  const seen = new Set();
+  files.forEach((file, index) => {
+    if (typeof file?.path !== 'string') return;
+    const location = joinPath(joinPath(basePath, index), 'path');
+    const problem = describeSandboxPathProblem(file.path);
+    if (problem) {
+      errors.push({ path: location, message: problem });
+    }
+    const key = file.path.toLowerCase();
+    if (seen.has(key)) {
+      errors.push({ path: location, message: `duplicates another file (${file.path})` });
+    }
+    seen.add(key);
+  });
+
+  return errors;
+}
+
+// Flatten code + files into the single path -> content map the client mounts
+function buildSandboxCode(payload) {
+  const code = { ...payload.code };
+  for (const file of payload.files || []) {
+    code[file.path] = file.content;
+  }
+  return code;
+}
+
+// Check a flattened path -> content map (e.g. after patching) is still a valid app
+export function validateSandboxCode(code) {
+  const errors = [];
+  for (const entry of ['App.js', 'styles.css']) {
+    if (typeof code[entry] !== 'string') {
+      errors.push({ path: joinPath('$.code', entry), message: 'is required' });
+    }
+  }
+  if (typeof code['App.js'] === 'string' && !/export\s+default\b/.test(code['App.js'])) {
+    errors.push({ path: joinPath('$.code', 'App.js'), message: 'must keep a default export' });
+  }
+
+  const extraPaths = Object.keys(code).filter(filePath => filePath !== 'App.js' && filePath !== 'styles.css');
+  if (extraPaths.length > MAX_SANDBOX_FILES) {
+    errors.push({ path: '$.code', message: `must contain at most ${MAX_SANDBOX_FILES} extra files` });
+  }
+  for (const filePath of extraPaths) {
+    const problem = describeSandboxPathProblem(filePath);
+    if (problem) errors.push({ path: joinPath('$.code', filePath), message: problem });
+  }
+
+  return errors;
+}
+
+function stripJsonFences(content) {
+  let cleaned = content.trim();
+
+  cleaned = cleaned.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
+  cleaned = cleaned.replace(/^```\s*/i, '').replace(/\s*```$/i, '');
+
+  const jsonMatch = cleaned.match(/```json\s*([\s\S]*?)\s*```/i);
+  if (jsonMatch) {
+    cleaned = jsonMatch[1].trim();
+  }
+
+  return cleaned.trim();
+}
+
+// Parse the model output as JSON and validate it against SANDBOX_SCHEMA
+// (or SANDBOX_PATCH_SCHEMA for "sandbox_patch" responses).
+// Returns { payload, errors } where errors are [{ path, message }].
+export function validateSandboxResponse(content) {
+  if (!content || typeof content !== 'string') {
+    return { payload: null, errors: [{ path: '$', message: 'response is empty' }] };
+  }
+
+  const cleaned = stripJsonFences(content);
+  const startIdx = cleaned.indexOf('{');
+  const endIdx = cleaned.lastIndexOf('}');
+  if (startIdx === -1 || endIdx <= startIdx) {
+    return { payload: null, errors: [{ path: '$', message: 'response is not a JSON object' }] };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(cleaned.substring(startIdx, endIdx + 1));
+  } catch (error) {
+    return { payload: null, errors: [{ path: '$', message: `invalid JSON (${error.message})` }] };
+  }
+
+  if (payload?.type === 'sandbox_patch') {
+    const errors = validateSchema(SANDBOX_PATCH_SCHEMA, payload);
+    return { payload, errors: [...errors, ...validatePatchHunks(payload.patches)] };
+  }
+
+  // "files" is only listed as required because strict structured output demands it;
+  // single-file answers may leave it out.
+  if (payload && typeof payload === 'object' && !Array.isArray(payload) && payload.files === undefined) {
+    payload = { ...payload, files: [] };
+  }
+
+  const errors = validateSchema(SANDBOX_SCHEMA, payload);
+  return { payload, errors: [...errors, ...validateSandboxFiles(payload?.files)] };
+}
+
+export function formatSchemaErrors(errors, limit = 20) {
+  const lines = errors.slice(0, limit).map(error => `- ${error.path}: ${error.message}`);
+  if (errors.length > limit) {
+    lines.push(`- ...and ${errors.length - limit} more`);
+  }
+  return lines.join('\n');
+}
+
+// Repair instruction listing each schema violation by path
+export function buildSandboxRepairPrompt(errors) {
+  return `Your previous response did not match the required sandbox JSON schema:\n${formatSchemaErrors(errors)}\nOutput ONLY valid JSON with type "sandbox" that fixes these errors, and keep the code concise.`;
+}
+
+// Parse LLM response
+export function parseResponse(content) {
+  if (!content || typeof content !== 'string') {
+    return [{ type: 'message', content: content || '' }];
+  }
+
+  const { payload, errors } = validateSandboxResponse(content);
+
+  if (payload && errors.length === 0) {
+    console.log('[Parse] Sandbox JSON matches schema');
+    const items = [];
+    if (payload.message.trim()) {
+      items.push({ type: 'message', content: payload.message });
+    }
+    if (payload.type === 'sandbox_patch') {
+      items.push({ type: 'sandbox_patch', patches: payload.patches, sources: payload.sources || [] });
+      return items;
+    }
+    const { message, files, ...sandbox } = payload;
+    items.push({ ...sandbox, code: buildSandboxCode(payload) });
+    return items;
+  }
+
+  if (payload?.type && payload.type !== 'sandbox' && payload.type !== 'sandbox_patch') {
+    return [payload];
+  }
+
+  const cleaned = stripJsonFences(content);
+  if (payload || cleaned.startsWith('{') || cleaned.startsWith('[')) {
+    console.warn(`[Parse] Sandbox response failed validation:\n${formatSchemaErrors(errors)}`);
+    return [{ type: 'message', content: 'Failed to parse app response. Please try again.' }];
+  }
+
+  return [{ type: 'message', content }];
+}
+
+export function parseJsonFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  let cleaned = text.trim();
+  cleaned = cleaned.replace(/^```json\s*/i, '').replace(/\s*```$/i, '');
+  const match = cleaned.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,129 @@
+// Minimal JSON Schema support for the subset used by the sandbox contract:
+// type (including type arrays and "null"), enum, properties, required,
+// additionalProperties, items and minLength.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// Helper: append a key to a JSONPath-style location ($.code["App.js"])
+export function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Validate a value against a schema; returns [{ path, message }] (empty when valid)
+export function validateSchema(schema, value, path = '$', errors = []) {
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} character(s)` });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateSchema(properties[key], child, joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(schema.additionalProperties, child, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateSchema(schema.items, item, joinPath(path, index), errors));
+  }
+
+  return errors;
+}
+
+// Convert a JSON Schema to Gemini's responseSchema dialect (OpenAPI subset):
+// upper-case types, `nullable` instead of type arrays, explicit property order.
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  let types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+  if (types.includes('null')) {
+    converted.nullable = true;
+    types = types.filter(type => type !== 'null');
+  }
+  if (types.length > 0) converted.type = types[0].toUpperCase();
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toGeminiSchema(child)])
+    );
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) converted.required = schema.required;
+
+  return converted;
+}
+
+// Convert a JSON Schema to OpenAI's strict function-calling form: every property
+// listed in `required`, optional ones made nullable, no additional properties.
+export function toStrictSchema(schema, isRequired = true) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = { ...schema };
+  if (!isRequired) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+    if (!types.includes('null')) converted.type = [...types, 'null'];
+    if (schema.enum && !schema.enum.includes(null)) converted.enum = [...schema.enum, null];
+  }
+  if (schema.items) converted.items = toStrictSchema(schema.items);
+  if (schema.properties) {
+    const required = new Set(schema.required || []);
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toStrictSchema(child, required.has(key))])
+    );
+    converted.required = Object.keys(schema.properties);
+    converted.additionalProperties = false;
+  }
+
+  return converted;
+}
+
+// Whether toStrictSchema can express a schema: strict mode needs a type on
+// every node, declared properties on every object and items on every array
+export function supportsStrictSchema(schema) {
+  if (!schema || typeof schema !== 'object' || !schema.type) return false;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('object') && !schema.properties) return false;
+  if (types.includes('array') && !schema.items) return false;
+  if (schema.items && !supportsStrictSchema(schema.items)) return false;
+  return Object.values(schema.properties || {}).every(supportsStrictSchema);
+}
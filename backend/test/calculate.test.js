@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculate } from '../tools/utils.js';
+
+test('calculate evaluates arithmetic with precedence and functions', () => {
+  assert.equal(calculate('sqrt(16) + pow(2, 3)').result, 12);
+  assert.equal(calculate('-2 + 3 * 4').result, 10);
+  assert.equal(calculate('(1 + 2) * 3').result, 9);
+  assert.equal(calculate('2 ** 3 ** 2').result, 512);
+  assert.equal(calculate('10 % 4').result, 2);
+  assert.equal(calculate('max(1, 5, 3)').result, 5);
+  assert.equal(calculate('1e3 / 4').result, 250);
+  assert.equal(calculate('PI * 2').formatted, '6.283185');
+  assert.equal(calculate('pi').result, Math.PI);
+});
+
+test('calculate reports malformed expressions as errors', () => {
+  for (const expression of ['2 +', '(1 + 2', '1 / 0', 'sqrt', 'PI(2)', '3; 1', '']) {
+    const output = calculate(expression);
+    assert.equal(output.result, null, expression);
+    assert.ok(output.error, expression);
+  }
+});
+
+test('calculate cannot reach anything outside the math functions', () => {
+  const attempts = [
+    'abs.constructor(abs.name.constructor.fromCharCode(114,101,116,117,114,110,32,49))()',
+    'constructor',
+    'process',
+    '__proto__',
+    'toString()',
+    'this',
+    'globalThis'
+  ];
+  for (const expression of attempts) {
+    const output = calculate(expression);
+    assert.equal(output.result, null, expression);
+    assert.match(output.error, /Invalid character|Unknown name/, expression);
+  }
+});
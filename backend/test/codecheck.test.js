@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSandboxCode } from '../services/codecheck.js';
+
+// Helper: App.js importing `specifier`, with the messages of its import errors
+function importErrors(specifier) {
+  const code = { 'App.js': `import x from '${specifier}';\nexport default function App() { return null; }\n` };
+  return checkSandboxCode(code).map(error => error.message);
+}
+
+test('registered import specifiers pass', () => {
+  for (const specifier of ['react', 'react-dom/client', 'recharts', 'chart.js/auto']) {
+    assert.deepEqual(importErrors(specifier), [], specifier);
+  }
+});
+
+test('unregistered specifiers are rejected, including subpaths of allowed packages', () => {
+  for (const specifier of ['lucide-react', 'react-dom/server', 'recharts/lib/chart/LineChart', 'date-fns/locale']) {
+    const [message] = importErrors(specifier);
+    assert.match(message ?? '', new RegExp(`imports "${specifier}" at line 1:15, which is not an allowed library import`), specifier);
+  }
+});
+
+test('relative imports must resolve to a file in the app', () => {
+  const code = {
+    'App.js': "import Card from './components/Card';\nimport Row from './Row';\nexport default function App() { return null; }\n",
+    'Row.jsx': 'export default function Row() { return null; }\n'
+  };
+  assert.deepEqual(checkSandboxCode(code).map(error => error.message), [
+    'imports "./components/Card" at line 1:18, but no such file is in the app'
+  ]);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createJob, getJobEvents, subscribeJob } from '../services/jobs.js';
+
+// Helper: start a job that emits `events` and resolve once it has finished
+function runJob(events) {
+  return new Promise((resolve) => {
+    const job = createJob(async ({ onEvent }) => {
+      for (const [event, data] of events) onEvent(event, data);
+      return { ok: true };
+    });
+    subscribeJob(job, (entry) => {
+      if (entry === null) resolve(job);
+    });
+  });
+}
+
+const summarize = entries => entries.map(({ id, event, data }) => [id, event, data.text ?? data.reset ?? data.message ?? null]);
+
+test('deltas are not stored one by one and replay as a reset plus the draft', async () => {
+  const job = await runJob([
+    ['status', { message: 'thinking' }],
+    ['delta', { field: 'content', text: 'stale' }],
+    ['delta', { reset: true }],
+    ['delta', { field: 'content', text: 'Hel' }],
+    ['delta', { field: 'content', text: 'lo' }],
+    ['status', { message: 'checking' }]
+  ]);
+
+  assert.deepEqual(job.events.map(entry => entry.event), ['status', 'status', 'result']);
+  assert.deepEqual(summarize(getJobEvents(job, 0)), [
+    [1, 'status', 'thinking'],
+    [5, 'delta', true],
+    [5, 'delta', 'Hello'],
+    [6, 'status', 'checking'],
+    [7, 'result', null]
+  ]);
+});
+
+test('replay after the last delta skips the draft', async () => {
+  const job = await runJob([
+    ['delta', { field: 'content', text: 'Hi' }],
+    ['status', { message: 'checking' }]
+  ]);
+
+  assert.deepEqual(summarize(getJobEvents(job, 1)), [[2, 'status', 'checking'], [3, 'result', null]]);
+  assert.deepEqual(getJobEvents(job, 3), []);
+});
+
+test('a job keeps a bounded number of events, dropping the oldest status first', async () => {
+  const job = await runJob(Array.from({ length: 600 }, (_, index) => ['status', { message: `step ${index}` }]));
+
+  assert.equal(job.events.length, 500);
+  assert.equal(job.events.at(-1).event, 'result');
+  assert.equal(job.events[0].data.message, 'step 101');
+  assert.equal(job.lastEventId, 601);
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applySandboxPatch, parseUnifiedDiff } from '../services/patch.js';
+
+const APP = [
+  'export default function App() {',
+  '  const label = "Count";',
+  '  return <div>{label}: {label}</div>;',
+  '}'
+].join('\n');
+
+const CURRENT_CODE = { 'App.js': APP, 'styles.css': 'body { margin: 0; }' };
+
+test('a search that matches exactly once is applied', () => {
+  const { code, changedFiles, errors } = applySandboxPatch(CURRENT_CODE, [
+    { path: 'App.js', search: 'const label = "Count";', replace: 'const label = "Total";' }
+  ]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(changedFiles, ['App.js']);
+  assert.match(code['App.js'], /const label = "Total";/);
+});
+
+test('a search with no match fails the whole patch', () => {
+  const { code, errors } = applySandboxPatch(CURRENT_CODE, [
+    { path: 'App.js', search: 'const label = "Count";', replace: 'const label = "Total";' },
+    { path: 'App.js', search: 'const missing = 1;', replace: '' }
+  ]);
+  assert.equal(code, null);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /search text was not found in App\.js/);
+});
+
+test('a search that matches more than once is rejected', () => {
+  const { code, errors } = applySandboxPatch(CURRENT_CODE, [
+    { path: 'App.js', search: '{label}', replace: '{label.toUpperCase()}' }
+  ]);
+  assert.equal(code, null);
+  assert.match(errors[0].message, /matches more than once/);
+});
+
+test('unified diff hunks are located by their context, not line numbers', () => {
+  const diff = [
+    '--- a/App.js',
+    '+++ b/App.js',
+    '@@ -40,3 +40,3 @@',
+    ' export default function App() {',
+    '-  const label = "Count";',
+    '+  const label = "Total";',
+    ''
+  ].join('\n');
+  assert.deepEqual(parseUnifiedDiff(diff), [{
+    search: 'export default function App() {\n  const label = "Count";',
+    replace: 'export default function App() {\n  const label = "Total";'
+  }]);
+
+  const { code, errors } = applySandboxPatch(CURRENT_CODE, [{ path: 'App.js', diff }]);
+  assert.deepEqual(errors, []);
+  assert.match(code['App.js'], /"Total"/);
+});
+
+test('an empty search creates a new file but cannot overwrite an existing one', () => {
+  const created = applySandboxPatch(CURRENT_CODE, [{ path: 'utils.js', search: '', replace: 'export const x = 1;' }]);
+  assert.deepEqual(created.errors, []);
+  assert.equal(created.code['utils.js'], 'export const x = 1;');
+
+  const overwritten = applySandboxPatch(CURRENT_CODE, [{ path: 'App.js', search: '', replace: 'x' }]);
+  assert.equal(overwritten.code, null);
+  assert.match(overwritten.errors[0].message, /must not be empty because App\.js already exists/);
+});
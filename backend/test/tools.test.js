@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { executeTool } from '../tools/index.js';
+
+test('executeTool rejects unknown tools', async () => {
+  const { status, output } = await executeTool({ name: 'no_such_tool', args: {} });
+  assert.equal(status, 'error');
+  assert.match(output.error, /Unknown tool/);
+});
+
+test('executeTool validates arguments against the tool schema', async () => {
+  const missing = await executeTool({ name: 'calculate', args: {} });
+  assert.equal(missing.status, 'error');
+  assert.deepEqual(missing.output.errors.map(error => error.path), ['$.expression']);
+
+  const wrongType = await executeTool({ name: 'convert', args: { value: 'ten', conversion: 'km_to_mi' } });
+  assert.equal(wrongType.status, 'error');
+  assert.deepEqual(wrongType.output.errors.map(error => error.path), ['$.value']);
+
+  const badEnum = await executeTool({ name: 'format_date', args: { format: 'weekday' } });
+  assert.equal(badEnum.status, 'error');
+  assert.deepEqual(badEnum.output.errors.map(error => error.path), ['$.format']);
+});
+
+test('executeTool drops null placeholders for omitted optional arguments', async () => {
+  const { status, output } = await executeTool({ name: 'format_date', args: { date: '2024-01-02T12:00:00Z', format: null } });
+  assert.equal(status, 'ok');
+  assert.equal(output.formatted, '01/02/2024');
+});
+
+test('executeTool runs a valid call and marks error outputs', async () => {
+  const ok = await executeTool({ name: 'calculate', args: { expression: '6 * 7' } });
+  assert.equal(ok.status, 'ok');
+  assert.equal(ok.output.result, 42);
+  assert.deepEqual(ok.result, { result: 42 });
+
+  const failed = await executeTool({ name: 'calculate', args: { expression: 'process.exit()' } });
+  assert.equal(failed.status, 'error');
+  assert.equal(failed.output.result, null);
+});
@@ -1,6 +1,6 @@
-import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
 import TurndownService from 'turndown';
+import { fetchWithTimeout } from '../services/http.js';
 
 const turndownService = new TurndownService({
   headingStyle: 'atx',
@@ -15,7 +15,7 @@ turndownService.addRule('removeScripts', {
 
 // Fetch page and convert to markdown
 export async function fetchPage(url, options = {}) {
-  const { timeout = 8000, maxLength = 10000 } = options;
+  const { timeout = 8000, maxLength = 10000, signal } = options;
 
   try {
     // Validate URL
@@ -24,18 +24,13 @@ export async function fetchPage(url, options = {}) {
       throw new Error('Invalid URL protocol');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const response = await fetch(url, {
-      signal: controller.signal,
+    const response = await fetchWithTimeout(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-      }
-    });
-
-    clearTimeout(timeoutId);
+      },
+      signal
+    }, timeout);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -119,7 +114,7 @@ function resolveUrl(baseUrl, maybeRelative) {
 
 // Fetch page metadata (title/description/image)
 export async function fetchUrlMetadata(url, options = {}) {
-  const { timeout = 8000 } = options;
+  const { timeout = 8000, signal } = options;
 
   try {
     const parsedUrl = new URL(url);
@@ -127,18 +122,13 @@ export async function fetchUrlMetadata(url, options = {}) {
       throw new Error('Invalid URL protocol');
     }
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const response = await fetch(url, {
-      signal: controller.signal,
+    const response = await fetchWithTimeout(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-      }
-    });
-
-    clearTimeout(timeoutId);
+      },
+      signal
+    }, timeout);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
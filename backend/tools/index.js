@@ -1,51 +1,307 @@
 import { webSearch } from './search.js';
-import { fetchPage } from './fetch.js';
-import { calculate, formatDate, formatTable } from './utils.js';
+import { fetchPage, fetchUrlMetadata } from './fetch.js';
+import { calculate, formatDate, formatTable, convert } from './utils.js';
+import { runJs } from './run-js.js';
+import { saveRemoteImage } from '../services/media.js';
+import { fallbackImageUrl } from '../services/pipeline.js';
+import { throwIfAborted } from '../services/http.js';
+import { validateSchema, toStrictSchema, supportsStrictSchema, toGeminiSchema } from '../services/schema.js';
+import { formatSchemaErrors } from '../services/sandbox.js';
 
-// Tool registry
+// Tool registry: every function the model may call during generation. Each tool
+// declares a JSON Schema for its arguments, which is rendered into the OpenAI
+// Responses, Chat Completions and Gemini formats below, and an `execute(args, ctx)`
+// that returns { output, status?, result? }:
+//   output  sent back to the model
+//   status  'ok' (default, or 'error' when output.error is set) or 'skipped'
+//   result  short summary recorded in the tool trace
+// ctx is { provider, allowImageGeneration, imageState, signal }. Tools with
+// `exposeToLLM: false` are only reachable through /api/tools. Plugins loaded
+// from the plugins directory (plugins.js) and MCP server tools (mcp.js) are
+// added with registerTool().
 const TOOLS = {
-  web_search: async (args) => await webSearch(args.query),
-  fetch_page: async (args) => await fetchPage(args.url),
-  calculate: (args) => calculate(args.expression),
-  format_date: (args) => formatDate(args.date, args.format),
-  format_table: (args) => formatTable(args.data)
-};
+  web_search: {
+    description: 'Search the web and return the top results (title, url, snippet).',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query.' }
+      },
+      required: ['query']
+    },
+    execute: async (args, { signal }) => {
+      const output = await webSearch(args.query, { signal });
+      return { output, result: { engine: output.source, results: output.results.length } };
+    }
+  },
 
-// Execute tool calls from LLM
-export async function executeTools(toolCalls) {
-  const results = [];
-
-  for (const call of toolCalls) {
-    const toolName = call.function.name;
-    const toolFn = TOOLS[toolName];
-
-    if (!toolFn) {
-      results.push({
-        id: call.id,
-        name: toolName,
-        result: { error: `Unknown tool: ${toolName}` }
-      });
-      continue;
+  fetch_page: {
+    description: 'Fetch a web page and return its main content as markdown.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Page URL (http or https).' },
+        max_length: { type: 'integer', description: 'Maximum characters of content to return (default 10000).' },
+        timeout_ms: { type: 'integer', description: 'Request timeout in milliseconds (default 8000).' }
+      },
+      required: ['url']
+    },
+    execute: async (args, { signal }) => {
+      const output = await fetchPage(args.url, { timeout: args.timeout_ms ?? 8000, maxLength: args.max_length, signal });
+      throwIfAborted(signal);
+      return { output, result: { title: output.title, chars: output.content?.length || 0 } };
     }
+  },
+
+  fetch_url_metadata: {
+    description: 'Fetch title, description, and image metadata for URLs.',
+    parameters: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Single URL to fetch metadata for.' },
+        urls: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'List of URLs to fetch metadata for.'
+        }
+      }
+    },
+    execute: async (args, { signal }) => {
+      let urls = [];
+      if (Array.isArray(args.urls) && args.urls.length > 0) {
+        urls = args.urls;
+      } else if (typeof args.url === 'string' && args.url) {
+        urls = [args.url];
+      }
+      const metadata = [];
+      for (const url of urls.slice(0, 6)) {
+        const info = await fetchUrlMetadata(url, { timeout: 8000, signal });
+        throwIfAborted(signal);
+        if (info.image) {
+          const cached = await saveRemoteImage({ url: info.image, signal });
+          if (cached?.url) {
+            info.image_cached = cached.url;
+          }
+        }
+        info.image_fallback = info.image_cached || fallbackImageUrl(info.title || info.url);
+        metadata.push(info);
+      }
+      return {
+        output: { results: metadata },
+        result: { fetched: metadata.length, withImages: metadata.filter(info => info.image).length }
+      };
+    }
+  },
+
+  calculate: {
+    description: 'Evaluate a math expression, e.g. "sqrt(16) + pow(2, 3)". Supports + - * / % ** and abs, ceil, floor, round, sqrt, pow, sin, cos, tan, log, log10, exp, min, max, PI, E.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'Expression to evaluate.' }
+      },
+      required: ['expression']
+    },
+    execute: (args) => {
+      const output = calculate(args.expression);
+      return { output, result: { result: output.result } };
+    }
+  },
+
+  run_js: {
+    description: 'Run JavaScript in an isolated sandbox to crunch data or numbers (aggregate rows, build a schedule, simulate a loan) before building the app. Use `return` for the result and console.log for extra output. No network, filesystem, imports or timers; a few seconds of CPU at most. The optional `input` text (e.g. CSV) is available as the global `input`.',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Body of an async function, e.g. "const rows = input.split(\'\\n\'); return rows.length;".' },
+        input: { type: 'string', description: 'Text made available to the code as the global `input`.' }
+      },
+      required: ['code']
+    },
+    execute: async (args, { signal }) => {
+      const output = await runJs(args.code, { input: args.input, signal });
+      return { output, result: { durationMs: output.durationMs, chars: output.result?.length || 0 } };
+    }
+  },
+
+  format_date: {
+    description: 'Format a date (default: now) in a given style.',
+    parameters: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', description: 'Date string or ISO timestamp; omit for the current time.' },
+        format: {
+          type: 'string',
+          enum: ['short', 'long', 'time', 'datetime', 'iso', 'relative'],
+          description: 'Output style (default short).'
+        }
+      }
+    },
+    execute: (args) => ({ output: formatDate(args.date, args.format) })
+  },
+
+  format_table: {
+    description: 'Render rows of data as a fixed-width text table.',
+    parameters: {
+      type: 'object',
+      properties: {
+        data: { type: 'string', description: 'JSON array of row objects, e.g. [{"name":"A","value":1}].' }
+      },
+      required: ['data']
+    },
+    execute: (args) => ({ output: formatTable(typeof args.data === 'string' ? JSON.parse(args.data) : args.data) })
+  },
+
+  convert: {
+    description: 'Convert a value between units: km_to_mi, mi_to_km, m_to_ft, ft_to_m, kg_to_lb, lb_to_kg, c_to_f, f_to_c, l_to_gal, gal_to_l.',
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number', description: 'Value to convert.' },
+        conversion: { type: 'string', description: 'Conversion name, e.g. km_to_mi.' }
+      },
+      required: ['value', 'conversion']
+    },
+    execute: (args) => ({ output: convert(args.value, args.conversion) })
+  },
+
+  // Image generation goes through the calling provider's adapter
+  generate_image: {
+    description: 'Generate an image for the GenUI app and return a public URL.',
+    parameters: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', description: 'Detailed image prompt.' },
+        aspect_ratio: { type: 'string', description: 'Preferred aspect ratio like 1:1, 16:9, 4:3.' },
+        image_size: { type: 'string', description: 'Image size: 1K, 2K, or 4K.' },
+        quality: { type: 'string', description: 'fast or pro.' }
+      },
+      required: ['prompt']
+    },
+    execute: async (args, { provider, allowImageGeneration = true, imageState, signal }) => {
+      if (!allowImageGeneration || !provider?.generateImage) {
+        return { status: 'skipped', output: { error: 'Image generation disabled for this request.' } };
+      }
+      if (imageState && imageState.remaining <= 0) {
+        return { status: 'skipped', output: { error: 'Image generation limit reached for this request.' } };
+      }
+      if (!args.prompt) {
+        throw new Error('generate_image requires a prompt');
+      }
+      try {
+        const image = await provider.generateImage({
+          prompt: args.prompt,
+          aspectRatio: args.aspect_ratio,
+          imageSize: args.image_size,
+          quality: args.quality,
+          signal
+        });
+        return {
+          output: { url: image.url, filename: image.filename },
+          result: { url: image.url }
+        };
+      } finally {
+        if (imageState) imageState.remaining -= 1;
+      }
+    }
+  }
+};
+
+export function hasTool(name) {
+  return Object.hasOwn(TOOLS, name);
+}
 
-    try {
-      const args = JSON.parse(call.function.arguments);
-      const result = await toolFn(args);
-      results.push({
-        id: call.id,
-        name: toolName,
-        result
-      });
-    } catch (error) {
-      results.push({
-        id: call.id,
-        name: toolName,
-        result: { error: error.message }
-      });
+// Add a tool at runtime; names are unique, so a plugin cannot replace a built-in
+export function registerTool(name, tool) {
+  if (hasTool(name)) {
+    throw new Error(`Tool "${name}" is already registered`);
+  }
+  TOOLS[name] = tool;
+}
+
+// Every registered tool with its description and argument schema (GET /api/tools)
+export function describeTools() {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    parameters: tool.parameters,
+    source: tool.source || 'builtin',
+    ...(tool.server ? { server: tool.server } : {}),
+    exposeToLLM: tool.exposeToLLM !== false
+  }));
+}
+
+// Check arguments against the tool's schema; returns [{ path, message }]
+function validateToolArgs(name, args) {
+  return validateSchema(TOOLS[name].parameters, args);
+}
+
+// Helper: tools offered to the model, as [name, tool], minus the excluded names
+function listTools(exclude = []) {
+  return Object.entries(TOOLS).filter(([name, tool]) => tool.exposeToLLM !== false && !exclude.includes(name));
+}
+
+// OpenAI Responses API `tools` entries (strict function calling where the
+// schema allows it; free-form plugin schemas are sent as-is)
+export function getOpenAIResponseTools({ exclude } = {}) {
+  return listTools(exclude).map(([name, tool]) => {
+    const strict = supportsStrictSchema(tool.parameters);
+    return {
+      type: 'function',
+      name,
+      description: tool.description,
+      strict,
+      parameters: strict ? toStrictSchema(tool.parameters) : tool.parameters
+    };
+  });
+}
+
+// Chat Completions `tools` entries (OpenAI-compatible servers)
+export function getChatCompletionTools({ exclude } = {}) {
+  return listTools(exclude).map(([name, tool]) => ({
+    type: 'function',
+    function: {
+      name,
+      description: tool.description,
+      parameters: tool.parameters
     }
+  }));
+}
+
+// Gemini `functionDeclarations`; Gemini rejects an OBJECT without properties,
+// so argument-less tools declare no parameters
+export function getGeminiFunctionDeclarations({ exclude } = {}) {
+  return listTools(exclude).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    ...(Object.keys(tool.parameters.properties || {}).length > 0 ? { parameters: toGeminiSchema(tool.parameters) } : {})
+  }));
+}
+
+// Run one tool call, from a provider's tool loop or the /api/tools routes.
+// Strict-mode null placeholders for omitted optional arguments are dropped and
+// the rest is validated against the tool's schema (failures come back as an
+// error output with `errors`). Resolves to { status, output, result? }; throws
+// only on abort or when a tool fails.
+export async function executeTool({ name, args = {}, provider, allowImageGeneration = true, imageState, signal }) {
+  if (!hasTool(name)) {
+    return { status: 'error', output: { error: `Unknown tool: ${name}` } };
+  }
+
+  const cleanArgs = args && typeof args === 'object' && !Array.isArray(args)
+    ? Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null && value !== undefined))
+    : args;
+  const errors = validateToolArgs(name, cleanArgs);
+  if (errors.length > 0) {
+    return { status: 'error', output: { error: `Invalid arguments for ${name}:\n${formatSchemaErrors(errors)}`, errors } };
   }
 
-  return results;
+  const { output, status, result } = await TOOLS[name].execute(cleanArgs, { provider, allowImageGeneration, imageState, signal });
+  return {
+    status: status || (output?.error ? 'error' : 'ok'),
+    output,
+    result
+  };
 }
 
 export { TOOLS };
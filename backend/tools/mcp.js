@@ -0,0 +1,401 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { registerTool } from './index.js';
+import { fetchWithTimeout, readSseStream, createAbortError, throwIfAborted } from '../services/http.js';
+
+// Model Context Protocol client: connects to the MCP servers listed in
+// MCP_CONFIG (default backend/mcp.json) over stdio or streamable HTTP, lists
+// their tools and registers the allowlisted ones in the tool registry, so they
+// reach every provider's tool loop and /api/tools. Calls go back to the server
+// that owns the tool. The file uses the usual mcpServers layout:
+//
+//   { "mcpServers": {
+//       "files": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem", "/data"],
+//                  "env": {}, "cwd": ".", "allowedTools": ["read_file", "list_directory"] },
+//       "docs":  { "url": "http://localhost:8931/mcp", "headers": { "Authorization": "Bearer ..." },
+//                  "allowedTools": ["*"] } } }
+//
+// `allowedTools` is required: a server without it stays connected but none of
+// its tools are registered. "*" allows all of them. Registered names are
+// "<server>__<tool>". A server that fails to start or initialize is logged and
+// skipped; there is no reconnect, so restart the backend after fixing it.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'mcp.json');
+const DEFAULT_TIMEOUT_MS = 30000;
+const PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'genui-chat', version: '1.0.0' };
+const MAX_TOOL_NAME_LENGTH = 64;
+
+// Variables a stdio server inherits from the backend (as in the official MCP
+// SDK); API keys and everything else must be passed explicitly in its `env`
+const INHERITED_ENV_VARS = process.platform === 'win32'
+  ? ['APPDATA', 'HOMEDRIVE', 'HOMEPATH', 'LOCALAPPDATA', 'PATH', 'PROCESSOR_ARCHITECTURE', 'SYSTEMDRIVE', 'SYSTEMROOT', 'TEMP', 'USERNAME', 'USERPROFILE', 'PROGRAMFILES']
+  : ['HOME', 'LOGNAME', 'PATH', 'SHELL', 'TERM', 'USER'];
+
+// Connection state per configured server, for GET /api/tools
+const servers = new Map();
+
+function getConfigPath() {
+  return process.env.MCP_CONFIG ? path.resolve(process.env.MCP_CONFIG) : DEFAULT_CONFIG_PATH;
+}
+
+function getTimeoutMs() {
+  const value = Number.parseInt(process.env.MCP_TIMEOUT_MS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+// Helper: "<server>__<tool>" limited to the characters and length both providers accept
+function toRegistryName(serverName, toolName) {
+  return `${serverName}__${toolName}`.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, MAX_TOOL_NAME_LENGTH);
+}
+
+function getInheritedEnv() {
+  const env = {};
+  for (const name of INHERITED_ENV_VARS) {
+    const value = process.env[name];
+    // Skip exported shell functions, which can carry code
+    if (value !== undefined && !value.startsWith('()')) env[name] = value;
+  }
+  return env;
+}
+
+// Newline-delimited JSON-RPC over a child process's stdin/stdout
+function createStdioTransport(serverName, { command, args = [], env = {}, cwd }, { onMessage, onClose }) {
+  const child = spawn(command, args, {
+    cwd: cwd ? path.resolve(path.dirname(getConfigPath()), cwd) : undefined,
+    env: { ...getInheritedEnv(), ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  // Writes after the process died fail with EPIPE; the exit handler reports it
+  child.stdin.on('error', () => {});
+  const killChild = () => child.kill();
+  process.once('exit', killChild);
+
+  let buffer = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let newlineIndex = buffer.indexOf('\n');
+    while (newlineIndex !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          console.warn(`[MCP] ${serverName}: ignoring non-JSON output: ${line.slice(0, 200)}`);
+        }
+        if (message) onMessage(message);
+      }
+      newlineIndex = buffer.indexOf('\n');
+    }
+  });
+
+  // Servers log to stderr; surface it with the server name
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (chunk) => {
+    for (const line of chunk.split('\n')) {
+      if (line.trim()) console.log(`[MCP] ${serverName}: ${line.trim()}`);
+    }
+  });
+
+  child.on('error', error => onClose(new Error(`failed to start "${command}": ${error.message}`)));
+  child.on('exit', (code, signal) => {
+    process.removeListener('exit', killChild);
+    onClose(new Error(`server process exited (${signal || `code ${code}`})`));
+  });
+
+  return {
+    async send(message) {
+      if (!child.stdin.writable) throw new Error('server process is not running');
+      child.stdin.write(`${JSON.stringify(message)}\n`);
+    },
+    close() {
+      child.stdin.end();
+      child.kill();
+    }
+  };
+}
+
+// Streamable HTTP: each message is a POST; the reply is JSON or an SSE stream
+function createHttpTransport({ url, headers = {} }, { onMessage }) {
+  let sessionId = null;
+  let protocolVersion = null;
+
+  const buildHeaders = () => ({
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...(protocolVersion ? { 'MCP-Protocol-Version': protocolVersion } : {}),
+    ...headers
+  });
+
+  // One POST and its whole reply. The timeout and the caller's signal cover
+  // reading the body too, so a server that sends headers and then holds an
+  // SSE stream open is cut off (aborting destroys the body).
+  async function post(message, signal) {
+    const response = await fetchWithTimeout(url, {
+      method: 'POST',
+      headers: buildHeaders(),
+      body: JSON.stringify(message),
+      signal
+    });
+
+    sessionId = response.headers.get('mcp-session-id') || sessionId;
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      await readSseStream(response.body, (event, data) => onMessage(data), { signal });
+      return;
+    }
+    const text = await response.text();
+    if (!text.trim()) return;
+    const data = JSON.parse(text);
+    (Array.isArray(data) ? data : [data]).forEach(onMessage);
+  }
+
+  return {
+    async send(message, { signal, timeoutMs = getTimeoutMs() } = {}) {
+      throwIfAborted(signal);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      try {
+        await post(message, controller.signal);
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        if (controller.signal.aborted) throw new Error(`no complete reply within ${timeoutMs}ms`);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    },
+    setProtocolVersion(version) {
+      protocolVersion = version;
+    },
+    close() {
+      if (!sessionId) return;
+      fetchWithTimeout(url, { method: 'DELETE', headers: buildHeaders() }, 5000).catch(() => {});
+    }
+  };
+}
+
+// JSON-RPC client over either transport: matches responses to requests by id,
+// applies the timeout and the caller's AbortSignal (sending notifications/cancelled).
+// `onDisconnect(error)` runs when the connection closes (a stdio server exiting).
+function createMcpClient(serverName, config, { onDisconnect } = {}) {
+  let nextId = 1;
+  let closedError = null;
+  const pending = new Map();
+
+  const onMessage = (message) => {
+    if (message?.id === undefined || message.id === null) return;
+    if (message.method) {
+      // Server-to-client request: answer pings, decline everything else
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } };
+      transport.send(reply).catch(() => {});
+      return;
+    }
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    if (message.error) {
+      entry.reject(new Error(`${message.error.message || 'MCP error'} (code ${message.error.code})`));
+    } else {
+      entry.resolve(message.result);
+    }
+  };
+
+  const onClose = (error) => {
+    if (closedError) return;
+    closedError = error;
+    for (const entry of pending.values()) entry.reject(error);
+    onDisconnect?.(error);
+  };
+
+  const transport = config.url
+    ? createHttpTransport(config, { onMessage, onClose })
+    : createStdioTransport(serverName, config, { onMessage, onClose });
+
+  function notify(method, params) {
+    return transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  function request(method, params, { signal, timeoutMs = getTimeoutMs() } = {}) {
+    throwIfAborted(signal);
+    if (closedError) return Promise.reject(new Error(`MCP server "${serverName}" is not connected: ${closedError.message}`));
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const finish = (callback, cancelReason) => {
+        if (!pending.has(id)) return;
+        pending.delete(id);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        if (cancelReason && !closedError) {
+          notify('notifications/cancelled', { requestId: id, reason: cancelReason }).catch(() => {});
+        }
+        callback();
+      };
+      const timer = setTimeout(() => finish(
+        () => reject(new Error(`${method} on MCP server "${serverName}" timed out after ${timeoutMs}ms`)),
+        'timeout'
+      ), timeoutMs);
+      const onAbort = () => finish(() => reject(createAbortError()), 'request cancelled');
+
+      pending.set(id, {
+        resolve: value => finish(() => resolve(value)),
+        reject: error => finish(() => reject(error))
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      transport.send({ jsonrpc: '2.0', id, method, params }, { signal, timeoutMs })
+        .catch(error => finish(() => reject(error)));
+    });
+  }
+
+  return {
+    async connect() {
+      const init = await request('initialize', {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      });
+      transport.setProtocolVersion?.(init.protocolVersion || PROTOCOL_VERSION);
+      await notify('notifications/initialized');
+      return init;
+    },
+    async listTools() {
+      const tools = [];
+      let cursor;
+      do {
+        const page = await request('tools/list', cursor ? { cursor } : {});
+        tools.push(...(page.tools || []));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return tools;
+    },
+    callTool(name, args, { signal } = {}) {
+      return request('tools/call', { name, arguments: args }, { signal });
+    },
+    close() {
+      transport.close();
+    }
+  };
+}
+
+// Helper: MCP inputSchema -> registry parameters (always an object schema)
+function toToolParameters(inputSchema) {
+  const { $schema, ...schema } = inputSchema && typeof inputSchema === 'object' ? inputSchema : {};
+  return { ...schema, type: 'object', properties: schema.properties || {} };
+}
+
+// Helper: tools/call result -> registry { status, output, result }. Text parts
+// are joined; other content types are noted but not forwarded.
+function toToolResult(serverName, callResult) {
+  const text = (callResult?.content || [])
+    .map(part => (part.type === 'text' ? part.text : `[${part.type} content omitted]`))
+    .join('\n');
+  if (callResult?.isError) {
+    return { status: 'error', output: { error: text || 'The MCP tool reported an error' } };
+  }
+  return {
+    output: {
+      content: text,
+      ...(callResult?.structuredContent ? { structuredContent: callResult.structuredContent } : {})
+    },
+    result: { server: serverName, chars: text.length }
+  };
+}
+
+function filterAllowed(tools, allowedTools) {
+  if (!Array.isArray(allowedTools)) return [];
+  if (allowedTools.includes('*')) return tools;
+  return tools.filter(tool => allowedTools.includes(tool.name));
+}
+
+async function connectServer(serverName, config) {
+  const state = { name: serverName, transport: config?.url ? 'http' : 'stdio', status: 'connecting', tools: [], error: null };
+  servers.set(serverName, state);
+
+  let client = null;
+  try {
+    if (!config || (typeof config.command !== 'string' && typeof config.url !== 'string')) {
+      throw new Error('needs a "command" (stdio) or a "url" (streamable HTTP)');
+    }
+    client = createMcpClient(serverName, config, {
+      // A server that goes away later stays listed, with its tools failing until a restart
+      onDisconnect: (error) => {
+        if (state.status !== 'connected') return;
+        state.status = 'disconnected';
+        state.error = error.message;
+        console.warn(`[MCP] ${serverName}: disconnected: ${error.message}`);
+      }
+    });
+    await client.connect();
+    const tools = await client.listTools();
+    const allowed = filterAllowed(tools, config.allowedTools);
+    if (!Array.isArray(config.allowedTools)) {
+      console.warn(`[MCP] ${serverName}: no allowedTools configured, none of its ${tools.length} tool(s) are exposed`);
+    }
+
+    for (const tool of allowed) {
+      const name = toRegistryName(serverName, tool.name);
+      try {
+        registerTool(name, {
+          description: `[${serverName}] ${tool.description || tool.title || tool.name}`,
+          parameters: toToolParameters(tool.inputSchema),
+          execute: async (args, { signal }) => toToolResult(serverName, await client.callTool(tool.name, args, { signal })),
+          source: 'mcp',
+          server: serverName
+        });
+        state.tools.push(name);
+      } catch (error) {
+        console.warn(`[MCP] ${serverName}: skipped tool ${tool.name}: ${error.message}`);
+      }
+    }
+
+    state.status = 'connected';
+    console.log(`[MCP] ${serverName}: connected (${state.transport}), ${state.tools.length}/${tools.length} tool(s) allowed`);
+  } catch (error) {
+    state.status = 'error';
+    state.error = error.message;
+    client?.close();
+    console.warn(`[MCP] ${serverName}: not connected: ${error.message}`);
+  }
+}
+
+// Connect every configured server in parallel. Never rejects; a missing
+// config file simply means no MCP servers.
+export async function connectMcpServers({ configPath = getConfigPath() } = {}) {
+  if (!fs.existsSync(configPath)) {
+    if (process.env.MCP_CONFIG) {
+      console.warn(`[MCP] Config not found: ${configPath}`);
+    }
+    return;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.warn(`[MCP] Could not read ${configPath}: ${error.message}`);
+    return;
+  }
+
+  await Promise.all(Object.entries(config?.mcpServers || {}).map(([serverName, serverConfig]) => connectServer(serverName, serverConfig)));
+}
+
+export function getMcpServerStatus() {
+  return Array.from(servers.values()).map(state => ({ ...state, tools: [...state.tools] }));
+}
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { registerTool } from './index.js';
+import { throwIfAborted } from '../services/http.js';
+
+// Drop-in tool plugins: every .js/.mjs file in TOOL_PLUGINS_DIR (default
+// backend/plugins) is imported once at startup and registered like a built-in
+// tool, for /api/tools and, unless exposeToLLM is false, every provider's
+// function-calling loop. A plugin default-exports:
+//   name         tool name (letters, digits, _ and -; unique)
+//   description  shown to the model and in GET /api/tools
+//   parameters   JSON Schema of the arguments (type: 'object')
+//   handler      async (args, { signal }) => output
+//   timeoutMs    optional, default 15000
+//   exposeToLLM  optional, default true
+// A file that fails to import or validate is logged and skipped.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, '..', 'plugins');
+const DEFAULT_TIMEOUT_MS = 15000;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function getPluginsDir() {
+  return process.env.TOOL_PLUGINS_DIR ? path.resolve(process.env.TOOL_PLUGINS_DIR) : DEFAULT_PLUGINS_DIR;
+}
+
+// Helper: the reason a plugin export cannot be registered, or null
+function describeInvalidPlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') return 'no default export';
+  if (typeof plugin.name !== 'string' || !NAME_PATTERN.test(plugin.name)) return 'name must be 1-64 letters, digits, _ or -';
+  if (typeof plugin.description !== 'string' || !plugin.description.trim()) return 'description is required';
+  if (plugin.parameters?.type !== 'object') return 'parameters must be a JSON Schema with type "object"';
+  if (typeof plugin.handler !== 'function') return 'handler must be a function';
+  if (plugin.timeoutMs !== undefined && !(Number.isFinite(plugin.timeoutMs) && plugin.timeoutMs > 0)) return 'timeoutMs must be a positive number';
+  if (plugin.exposeToLLM !== undefined && typeof plugin.exposeToLLM !== 'boolean') return 'exposeToLLM must be a boolean';
+  return null;
+}
+
+// Wrap a plugin handler as a registry `execute`: the handler gets a signal
+// that aborts on its timeout or when the request is cancelled, and a timeout
+// becomes an error result. Non-object outputs are wrapped as { result }
+// because Gemini function responses must be objects.
+function createExecute({ name, handler, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return async (args, { signal }) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        resolve({ timedOut: true });
+      }, timeoutMs);
+    });
+
+    try {
+      const outcome = await Promise.race([
+        Promise.resolve().then(() => handler(args, { signal: controller.signal })).then(output => ({ output })),
+        timeout
+      ]);
+      throwIfAborted(signal);
+      if (outcome.timedOut) {
+        return { status: 'error', output: { error: `${name} timed out after ${timeoutMs}ms` } };
+      }
+      const output = outcome.output && typeof outcome.output === 'object' && !Array.isArray(outcome.output)
+        ? outcome.output
+        : { result: outcome.output ?? null };
+      return { output };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Import and register every plugin in the directory. Resolves to the names
+// that were registered; never rejects.
+export async function loadToolPlugins({ dir = getPluginsDir() } = {}) {
+  if (!fs.existsSync(dir)) {
+    if (process.env.TOOL_PLUGINS_DIR) {
+      console.warn(`[Plugins] Directory not found: ${dir}`);
+    }
+    return [];
+  }
+
+  const files = fs.readdirSync(dir).filter(file => /\.m?js$/.test(file)).sort();
+  const loaded = [];
+
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      const plugin = module.default;
+      const invalid = describeInvalidPlugin(plugin);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+
+      registerTool(plugin.name, {
+        description: plugin.description,
+        parameters: plugin.parameters,
+        execute: createExecute(plugin),
+        exposeToLLM: plugin.exposeToLLM !== false,
+        source: 'plugin'
+      });
+      loaded.push(plugin.name);
+      console.log(`[Plugins] Loaded ${plugin.name} from ${file}${plugin.exposeToLLM === false ? ' (API only)' : ''}`);
+    } catch (error) {
+      console.warn(`[Plugins] Skipped ${file}: ${error.message}`);
+    }
+  }
+
+  return loaded;
+}
@@ -0,0 +1,93 @@
+import vm from 'vm';
+import { parentPort, workerData } from 'worker_threads';
+
+// Worker side of run_js (see run-js.js). The code runs in a fresh vm context
+// whose global has no prototype and holds nothing from this thread: no
+// require/import, process, fetch, timers or host functions, and string code
+// generation (eval, new Function) is disabled. console and the bookkeeping
+// live inside the context, and only strings cross back out.
+
+const PRELUDE = `
+(() => {
+  const maxStdout = ${Number(workerData.maxStdoutChars)};
+  const lines = [];
+  let length = 0;
+  let truncated = false;
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch {
+      return String(value);
+    }
+  };
+  const write = (...args) => {
+    const line = args.map(format).join(' ');
+    if (length + line.length > maxStdout) {
+      truncated = true;
+      return;
+    }
+    length += line.length + 1;
+    lines.push(line);
+  };
+  const state = { settled: false, value: undefined, error: null };
+  Object.defineProperty(globalThis, 'console', { value: { log: write, info: write, warn: write, error: write, debug: write } });
+  Object.defineProperty(globalThis, '__runjs', {
+    value: {
+      resolve(value) { state.settled = true; state.value = value; },
+      reject(error) { state.settled = true; state.error = error && error.stack ? String(error.stack).split('\\n').slice(0, 3).join('\\n') : String(error); },
+      report() {
+        let result = null;
+        if (state.value !== undefined) {
+          try { result = JSON.stringify(state.value) ?? String(state.value); } catch { result = String(state.value); }
+        }
+        return JSON.stringify({ settled: state.settled, result, error: state.error, stdout: lines.join('\\n'), stdoutTruncated: truncated });
+      }
+    }
+  });
+})();
+`;
+
+function run({ code, input, timeoutMs }) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  if (typeof input === 'string') context.input = input;
+
+  vm.runInContext(PRELUDE, context);
+
+  // Compile first so a syntax error is reported as such, not as a runtime error
+  let script;
+  try {
+    script = new vm.Script(`(async () => {\n${code}\n})().then(__runjs.resolve, __runjs.reject);`, { filename: 'run_js.js' });
+  } catch (error) {
+    return { error: `SyntaxError: ${error.message}` };
+  }
+
+  try {
+    // The timeout covers the synchronous part and the promise jobs it queues
+    script.runInContext(context, { timeout: timeoutMs });
+  } catch (error) {
+    const report = JSON.parse(vm.runInContext('__runjs.report()', context));
+    const message = error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+      ? `Code did not finish within ${timeoutMs}ms of CPU time`
+      : String(error?.message || error);
+    return { ...report, error: message };
+  }
+
+  const report = JSON.parse(vm.runInContext('__runjs.report()', context));
+  if (!report.settled) {
+    report.error = 'Code is still waiting on a promise; there are no timers, network or I/O in this sandbox';
+  }
+  return report;
+}
+
+let outcome;
+try {
+  outcome = run(workerData);
+} catch (error) {
+  outcome = { error: `run_js failed: ${error.message}` };
+}
+parentPort.postMessage(outcome);
@@ -0,0 +1,81 @@
+import { Worker } from 'worker_threads';
+import { createAbortError } from '../services/http.js';
+
+// run_js: execute model-supplied JavaScript so it can aggregate data or run
+// numbers before building the UI. Each call gets its own worker thread with a
+// small heap (run-js-worker.js runs the code in an empty vm context), a CPU
+// time limit on the code, and a wall-clock limit after which the worker is
+// terminated. The vm context is the isolation for APIs; the worker bounds
+// memory and runaway code. RUN_JS_TIMEOUT_MS overrides the CPU limit.
+
+const DEFAULT_TIMEOUT_MS = 3000;
+// Extra wall-clock time for starting the worker before it is terminated
+const STARTUP_GRACE_MS = 2000;
+const WORKER_MEMORY_MB = 64;
+const MAX_STDOUT_CHARS = 10000;
+const MAX_RESULT_CHARS = 10000;
+
+const WORKER_URL = new URL('./run-js-worker.js', import.meta.url);
+
+function getTimeoutMs() {
+  const value = Number.parseInt(process.env.RUN_JS_TIMEOUT_MS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+// Helper: cap the JSON-encoded return value so a huge array cannot flood the model
+function limitResult(result) {
+  if (typeof result !== 'string' || result.length <= MAX_RESULT_CHARS) return result;
+  return `${result.slice(0, MAX_RESULT_CHARS)}... (truncated, ${result.length} characters)`;
+}
+
+// Resolves to { result, stdout, stdoutTruncated, error?, durationMs }; `result`
+// is the JSON of the value the code returned (null when nothing). Rejects only
+// when `signal` aborts.
+export function runJs(code, { input, signal } = {}) {
+  const timeoutMs = getTimeoutMs();
+
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const worker = new Worker(WORKER_URL, {
+      workerData: { code, input, timeoutMs, maxStdoutChars: MAX_STDOUT_CHARS },
+      resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB, maxYoungGenerationSizeMb: 16, stackSizeMb: 4 },
+      env: {},
+      stdout: true,
+      stderr: true
+    });
+
+    let settled = false;
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      callback();
+    };
+    const done = (report) => finish(() => resolve({
+      result: limitResult(report.result ?? null),
+      stdout: report.stdout || '',
+      stdoutTruncated: Boolean(report.stdoutTruncated),
+      ...(report.error ? { error: report.error } : {}),
+      durationMs: Date.now() - startedAt
+    }));
+
+    const timer = setTimeout(() => done({ error: `Code did not finish within ${timeoutMs}ms` }), timeoutMs + STARTUP_GRACE_MS);
+
+    const onAbort = () => finish(() => reject(createAbortError()));
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.once('message', done);
+    worker.once('error', (error) => done({
+      error: error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Code ran out of memory (limit ${WORKER_MEMORY_MB}MB)`
+        : `Code crashed the sandbox: ${error.message}`
+    }));
+    worker.once('exit', () => done({ error: 'Sandbox exited without a result' }));
+  });
+}
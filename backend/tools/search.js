@@ -1,25 +1,15 @@
-import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
-
-async function fetchWithTimeout(url, options, timeoutMs = 8000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    return await fetch(url, { ...options, signal: controller.signal });
-  } finally {
-    clearTimeout(timeout);
-  }
-}
+import { fetchWithTimeout, isAbortError } from '../services/http.js';
 
 // DuckDuckGo HTML search (no API key required)
-async function searchDuckDuckGo(query) {
+async function searchDuckDuckGo(query, signal) {
   const url = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
 
   const response = await fetchWithTimeout(url, {
     headers: {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    }
+    },
+    signal
   }, 8000);
 
   if (!response.ok) {
@@ -59,7 +49,7 @@ async function searchDuckDuckGo(query) {
 }
 
 // Brave Search API (free tier)
-async function searchBrave(query) {
+async function searchBrave(query, signal) {
   const apiKey = process.env.BRAVE_SEARCH_API_KEY;
   if (!apiKey) {
     throw new Error('Brave Search API key not configured');
@@ -71,7 +61,8 @@ async function searchBrave(query) {
     headers: {
       'Accept': 'application/json',
       'X-Subscription-Token': apiKey
-    }
+    },
+    signal
   }, 8000);
 
   if (!response.ok) {
@@ -87,13 +78,13 @@ async function searchBrave(query) {
   }));
 }
 
-// Main search function with fallback
-export async function webSearch(query) {
+// Main search function with fallback; a cancelled `signal` rejects instead of returning an error result
+export async function webSearch(query, { signal } = {}) {
   try {
     // Try Brave first if API key is available
     if (process.env.BRAVE_SEARCH_API_KEY) {
       try {
-        const results = await searchBrave(query);
+        const results = await searchBrave(query, signal);
         if (results.length > 0) {
           return { source: 'brave', results };
         }
@@ -103,10 +94,11 @@ export async function webSearch(query) {
     }
 
     // Fall back to DuckDuckGo
-    const results = await searchDuckDuckGo(query);
+    const results = await searchDuckDuckGo(query, signal);
     return { source: 'duckduckgo', results };
 
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Search error:', error);
     return {
       source: 'error',
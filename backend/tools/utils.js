@@ -1,4 +1,4 @@
-// Safe math expression evaluator (no eval)
+// Functions and constants allowed in calculate() expressions
 const MATH_FUNCTIONS = {
   abs: Math.abs,
   ceil: Math.ceil,
@@ -19,30 +19,148 @@ const MATH_FUNCTIONS = {
   E: Math.E
 };
 
-// Simple expression tokenizer and evaluator
-export function calculate(expression) {
-  try {
-    // Sanitize input - only allow safe characters
-    const sanitized = expression.replace(/\s/g, '');
-    if (!/^[0-9+\-*/().,%a-zA-Z]+$/.test(sanitized)) {
-      throw new Error('Invalid characters in expression');
+const MAX_EXPRESSION_LENGTH = 1000;
+
+// Numbers (with optional exponent), names, operators and punctuation
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/%(),]))/y;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid character "${expression.slice(position).trim()[0]}" in expression`);
+    }
+    const [, number, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else tokens.push({ type: 'op', value: operator });
+  }
+  return tokens;
+}
+
+// Helper: MATH_FUNCTIONS entry by name; constants are also accepted in lower case (pi, e)
+function lookupName(name) {
+  if (Object.hasOwn(MATH_FUNCTIONS, name)) return MATH_FUNCTIONS[name];
+  const upper = name.toUpperCase();
+  if (Object.hasOwn(MATH_FUNCTIONS, upper) && typeof MATH_FUNCTIONS[upper] === 'number') return MATH_FUNCTIONS[upper];
+  throw new Error(`Unknown name: ${name}`);
+}
+
+// Recursive-descent evaluator over the tokens. The only names are the
+// MATH_FUNCTIONS entries and there is no property access, so the expression
+// cannot reach anything but arithmetic.
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := ("+" | "-") unary | power
+//   power      := primary ("**" unary)?
+//   primary    := number | name | name "(" [expression ("," expression)*] ")" | "(" expression ")"
+function evaluateTokens(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(peek() ? `Unexpected token "${peek().value}"` : `Expected "${value}"`);
     }
+    index++;
+  };
+
+  function expression() {
+    let value = term();
+    while (isOp('+') || isOp('-')) {
+      const operator = tokens[index++].value;
+      const right = term();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  }
 
-    // Replace function names and constants
-    let processed = sanitized;
-    for (const [name, fn] of Object.entries(MATH_FUNCTIONS)) {
-      if (typeof fn === 'number') {
-        processed = processed.replace(new RegExp(`\\b${name}\\b`, 'gi'), fn.toString());
+  function term() {
+    let value = unary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const operator = tokens[index++].value;
+      const right = unary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  }
+
+  function unary() {
+    if (isOp('-')) {
+      index++;
+      return -unary();
+    }
+    if (isOp('+')) {
+      index++;
+      return unary();
+    }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (isOp('**')) {
+      index++;
+      return base ** unary();
+    }
+    return base;
+  }
+
+  function primary() {
+    const token = tokens[index++];
+    if (!token) throw new Error('Unexpected end of expression');
+    if (token.type === 'number') return token.value;
+    if (token.type === 'op' && token.value === '(') {
+      const value = expression();
+      expect(')');
+      return value;
+    }
+    if (token.type === 'name') {
+      const entry = lookupName(token.value);
+      if (!isOp('(')) {
+        if (typeof entry !== 'number') throw new Error(`${token.value} must be called, e.g. ${token.value}(2)`);
+        return entry;
       }
+      if (typeof entry !== 'function') throw new Error(`${token.value} is not a function`);
+      index++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(expression());
+        while (isOp(',')) {
+          index++;
+          args.push(expression());
+        }
+      }
+      expect(')');
+      return entry(...args);
     }
+    throw new Error(`Unexpected token "${token.value}"`);
+  }
 
-    // Use Function constructor with restricted scope (safer than eval)
-    const safeEval = new Function(
-      ...Object.keys(MATH_FUNCTIONS),
-      `"use strict"; return (${processed});`
-    );
+  const value = expression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected token "${tokens[index].value}"`);
+  }
+  return value;
+}
+
+// Evaluate an arithmetic expression with a small parser (no eval or Function)
+export function calculate(expression) {
+  try {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Expression required');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
 
-    const result = safeEval(...Object.values(MATH_FUNCTIONS));
+    const result = evaluateTokens(tokenize(expression));
 
     if (typeof result !== 'number' || !isFinite(result)) {
       throw new Error('Invalid result');
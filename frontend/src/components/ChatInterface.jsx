@@ -4,6 +4,8 @@ import MessageList from './MessageList';
 import SandboxPreview from './SandboxPreview';
 import ExecutionLog from './ExecutionLog';
 import ModelSelector from './ModelSelector';
+import PlanPanel from './PlanPanel';
+import ComparePanel from './ComparePanel';
 
 export default function ChatInterface() {
   const [input, setInput] = useState('');
@@ -15,11 +17,26 @@ export default function ChatInterface() {
   const fileInputRef = useRef(null);
   const containerRef = useRef(null);
   const isDragging = useRef(false);
-  const { sendMessage, isLoading, resetChat, messages, currentSandbox } = useChat();
+  const {
+    sendMessage,
+    stopGeneration,
+    isLoading,
+    resetChat,
+    messages,
+    currentSandbox,
+    pendingPlan,
+    planReviewEnabled,
+    setPlanReviewEnabled,
+    compareEnabled,
+    setCompareEnabled,
+    compareTarget,
+    setCompareTarget,
+    comparison
+  } = useChat();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (isLoading) return;
+    if (isLoading || pendingPlan) return;
     if (!input.trim() && pendingFiles.length === 0) return;
 
     const message = input.trim() || 'Please analyze the attached file(s).';
@@ -113,6 +130,23 @@ export default function ChatInterface() {
         <h1>GenUI Chat</h1>
         <div className="header-actions">
           <ModelSelector />
+          <label className="plan-review-toggle" title="Stop after planning so you can edit the plan before the app is generated">
+            <input
+              type="checkbox"
+              checked={planReviewEnabled}
+              onChange={(e) => setPlanReviewEnabled(e.target.checked)}
+            />
+            Review plan
+          </label>
+          <label className="plan-review-toggle" title="Run each turn on a second provider/model and compare the results side by side">
+            <input
+              type="checkbox"
+              checked={compareEnabled}
+              onChange={(e) => setCompareEnabled(e.target.checked)}
+            />
+            Compare
+          </label>
+          {compareEnabled && <ModelSelector target={compareTarget} onChange={setCompareTarget} />}
           {messages.length > 0 && (
             <button className="btn btn-secondary" onClick={resetChat}>
               New Chat
@@ -146,6 +180,7 @@ export default function ChatInterface() {
           style={{ width: `${leftWidth}%` }}
         >
           <MessageList />
+          <PlanPanel />
         </div>
 
         {/* Resize Handle */}
@@ -161,7 +196,7 @@ export default function ChatInterface() {
           className={`sandbox-panel glass ${activePanel === 'sandbox' ? '' : 'panel-hidden'}`}
           style={{ width: `${100 - leftWidth}%` }}
         >
-          <SandboxPreview />
+          {comparison ? <ComparePanel /> : <SandboxPreview />}
           <ExecutionLog />
         </div>
       </div>
@@ -195,14 +230,25 @@ export default function ChatInterface() {
             placeholder="Ask me to create an interactive app... (calculator, chart, map, form)"
             disabled={isLoading}
           />
-          <button
-            type="submit"
-            className="btn btn-primary btn-icon"
-            disabled={isLoading || (!input.trim() && pendingFiles.length === 0)}
-            title="Send message"
-          >
-            <SendIcon />
-          </button>
+          {isLoading ? (
+            <button
+              type="button"
+              className="btn btn-secondary btn-icon btn-stop"
+              onClick={stopGeneration}
+              title="Stop generating"
+            >
+              <StopIcon />
+            </button>
+          ) : (
+            <button
+              type="submit"
+              className="btn btn-primary btn-icon"
+              disabled={Boolean(pendingPlan) || Boolean(comparison) || (!input.trim() && pendingFiles.length === 0)}
+              title="Send message"
+            >
+              <SendIcon />
+            </button>
+          )}
         </div>
         {pendingFiles.length > 0 && (
           <div className="attachments-preview">
@@ -234,6 +280,14 @@ function SendIcon() {
   );
 }
 
+function StopIcon() {
+  return (
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+      <rect x="6" y="6" width="12" height="12" rx="2" />
+    </svg>
+  );
+}
+
 function AttachIcon() {
   return (
     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
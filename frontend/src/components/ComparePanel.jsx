@@ -0,0 +1,76 @@
+import React from 'react';
+import { useChat } from '../context/ChatContext';
+import SandboxPreview from './SandboxPreview';
+
+// Compare mode: one pane per provider/model with its app, latency, token usage
+// and tool trace. Promoting a pane makes it the assistant's answer.
+export default function ComparePanel() {
+  const { comparison, promoteComparison, discardComparison, isLoading } = useChat();
+
+  if (!comparison) return null;
+
+  return (
+    <div className="compare-panel">
+      <div className="compare-header">
+        <span>Pick the answer to keep in the conversation</span>
+        <button type="button" className="btn btn-secondary" onClick={discardComparison} disabled={isLoading}>
+          Discard
+        </button>
+      </div>
+      <div className="compare-panes">
+        {comparison.panes.map((pane, index) => (
+          <ComparePane
+            key={`${pane.provider}-${pane.model}-${index}`}
+            pane={pane}
+            onPromote={() => promoteComparison(index)}
+            disabled={isLoading}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ComparePane({ pane, onPromote, disabled }) {
+  const sandbox = pane.parsed?.find(item => item.type === 'sandbox')?.code || null;
+  const tokens = pane.tokens;
+
+  return (
+    <div className="compare-pane">
+      <div className="compare-pane-header">
+        <span className="compare-pane-title">{pane.provider}/{pane.model || 'default'}</span>
+        <span className="compare-pane-stats">
+          {(pane.latencyMs / 1000).toFixed(1)}s
+          {tokens && ` · ${tokens.input ?? '?'} in / ${tokens.output ?? '?'} out tokens`}
+        </span>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={onPromote}
+          disabled={disabled || pane.status !== 'ok'}
+          title="Keep this answer in the conversation"
+        >
+          Promote
+        </button>
+      </div>
+
+      {pane.status === 'ok' ? (
+        sandbox ? <SandboxPreview sandbox={sandbox} /> : <div className="compare-pane-empty">No app in this response</div>
+      ) : (
+        <div className="compare-pane-error">{pane.error}</div>
+      )}
+
+      {pane.toolsUsed?.length > 0 && (
+        <details className="compare-tools">
+          <summary>{pane.toolsUsed.length} tool call(s)</summary>
+          {pane.toolsUsed.map((tool, index) => (
+            <div key={index} className={`compare-tool ${tool.status === 'ok' ? '' : 'failed'}`}>
+              <span>{tool.name}{tool.source && tool.source !== 'model' ? ` [${tool.source}]` : ''}</span>
+              <span>{tool.status}{typeof tool.durationMs === 'number' ? ` · ${(tool.durationMs / 1000).toFixed(1)}s` : ''}</span>
+            </div>
+          ))}
+        </details>
+      )}
+    </div>
+  );
+}
@@ -33,7 +33,21 @@ export default function ExecutionLog() {
         return (
           <div key={index} className={`log-entry ${entry.type}`}>
             <Icon className="log-icon" />
-            <span className="log-message">{entry.message}</span>
+            {entry.toolCall ? (
+              <details className="log-message log-details">
+                <summary>{entry.message}</summary>
+                <pre>{JSON.stringify({
+                  arguments: entry.toolCall.arguments,
+                  result: entry.toolCall.result,
+                  error: entry.toolCall.error
+                }, null, 2)}</pre>
+              </details>
+            ) : (
+              <span className="log-message">{entry.message}</span>
+            )}
+            {typeof entry.elapsedMs === 'number' && (
+              <span className="log-time">{(entry.elapsedMs / 1000).toFixed(1)}s</span>
+            )}
           </div>
         );
       })}
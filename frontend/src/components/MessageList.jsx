@@ -3,7 +3,7 @@ import ReactMarkdown from 'react-markdown';
 import { useChat } from '../context/ChatContext';
 
 export default function MessageList() {
-  const { messages, isLoading } = useChat();
+  const { messages, isLoading, streamDraft } = useChat();
   const containerRef = useRef(null);
 
   // Auto-scroll to bottom
@@ -11,7 +11,7 @@ export default function MessageList() {
     if (containerRef.current) {
       containerRef.current.scrollTop = containerRef.current.scrollHeight;
     }
-  }, [messages, isLoading]);
+  }, [messages, isLoading, streamDraft]);
 
   if (messages.length === 0 && !isLoading) {
     return (
@@ -26,7 +26,7 @@ export default function MessageList() {
       {messages.map((message, index) => (
         <Message key={index} message={message} />
       ))}
-      {isLoading && <LoadingIndicator />}
+      {isLoading && <LoadingIndicator draft={streamDraft} />}
     </div>
   );
 }
@@ -106,16 +106,31 @@ function WelcomeMessage() {
   );
 }
 
-function LoadingIndicator() {
+function LoadingIndicator({ draft }) {
+  const codeTail = draft?.code ? draft.code.split('\n').slice(-12).join('\n') : '';
+
   return (
-    <div className="loading-indicator">
-      <div className="loading-dots">
-        <span></span>
-        <span></span>
-        <span></span>
+    <>
+      {draft?.message && (
+        <div className="message assistant streaming">
+          <div className="message-content">{draft.message}</div>
+        </div>
+      )}
+      {codeTail && (
+        <div className="stream-code">
+          <div className="stream-code-header">Writing App.js ({draft.code.length.toLocaleString()} chars)</div>
+          <pre>{codeTail}</pre>
+        </div>
+      )}
+      <div className="loading-indicator">
+        <div className="loading-dots">
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+        <span>Generating...</span>
       </div>
-      <span>Generating...</span>
-    </div>
+    </>
   );
 }
 
@@ -1,53 +1,88 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useChat } from '../context/ChatContext';
 
-const PROVIDERS = {
-  openai: {
-    name: 'OpenAI',
-    models: [
-      { id: 'gpt-5-mini-2025-08-07', name: 'GPT-5 Mini (2025-08-07)' },
-      { id: 'gpt-5.2-2025-12-11', name: 'GPT-5.2 (2025-12-11)' }
-    ]
-  },
-  gemini: {
-    name: 'Google',
-    models: [
-      { id: 'gemini-3-flash-preview', name: 'Gemini 3 Flash' },
-      { id: 'gemini-3-pro-preview', name: 'Gemini 3 Pro' }
-    ]
-  }
-};
+// The backend caps variants at 4
+const VARIANT_OPTIONS = [1, 2, 3, 4];
 
-export default function ModelSelector() {
-  const { provider, model, setProvider, setModel } = useChat();
+// Edits the chat's provider/model, or `target` via `onChange` when given
+// (the second pair in compare mode, which has no variants option)
+export default function ModelSelector({ target, onChange }) {
+  const chat = useChat();
+  const { variantCount, setVariantCount } = chat;
+  const provider = target ? target.provider : chat.provider;
+  const model = target ? target.model : chat.model;
+  const [providers, setProviders] = useState([]);
+
+  // Load the provider registry from the backend
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/providers')
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then((data) => {
+        if (!cancelled) setProviders(data.providers || []);
+      })
+      .catch((error) => {
+        console.warn('Failed to load providers:', error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const current = providers.find((p) => p.name === provider);
+  const models = current?.models?.length ? current.models : [{ id: model, name: model }];
 
   const handleProviderChange = (e) => {
     const newProvider = e.target.value;
-    setProvider(newProvider);
+    const config = providers.find((p) => p.name === newProvider);
     // Set default model for new provider
-    setModel(PROVIDERS[newProvider].models[0].id);
+    const newModel = config?.defaultModel || config?.models?.[0]?.id || '';
+    if (target) {
+      onChange({ provider: newProvider, model: newModel });
+      return;
+    }
+    chat.setProvider(newProvider);
+    chat.setModel(newModel);
   };
 
   const handleModelChange = (e) => {
-    setModel(e.target.value);
+    if (target) {
+      onChange({ ...target, model: e.target.value });
+      return;
+    }
+    chat.setModel(e.target.value);
   };
 
   return (
     <div className="model-selector">
       <select value={provider} onChange={handleProviderChange}>
-        {Object.entries(PROVIDERS).map(([key, config]) => (
-          <option key={key} value={key}>
-            {config.name}
+        {!current && <option value={provider}>{provider}</option>}
+        {providers.map((config) => (
+          <option key={config.name} value={config.name} disabled={!config.configured && config.name !== provider}>
+            {config.configured ? config.label : `${config.label} (not configured)`}
           </option>
         ))}
       </select>
       <select value={model} onChange={handleModelChange}>
-        {PROVIDERS[provider].models.map((m) => (
+        {models.map((m) => (
           <option key={m.id} value={m.id}>
             {m.name}
           </option>
         ))}
       </select>
+      {!target && (
+        <select
+          value={variantCount}
+          onChange={(e) => setVariantCount(Number(e.target.value))}
+          title="Generate several alternative apps in parallel and pick one"
+        >
+          {VARIANT_OPTIONS.map((count) => (
+            <option key={count} value={count}>
+              {count === 1 ? '1 variant' : `${count} variants`}
+            </option>
+          ))}
+        </select>
+      )}
     </div>
   );
 }
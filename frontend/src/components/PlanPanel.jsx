@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { useChat } from '../context/ChatContext';
+
+// Review step between planning and generation: remove plan items, edit the
+// layout intent and approve or reject each image request before the app is built.
+export default function PlanPanel() {
+  const { pendingPlan, approvePlan, discardPlan, isLoading } = useChat();
+  const [items, setItems] = useState([]);
+  const [uiIntent, setUiIntent] = useState('');
+  const [imageRequests, setImageRequests] = useState([]);
+
+  useEffect(() => {
+    const plan = pendingPlan?.plan;
+    setItems(Array.isArray(plan?.items) ? plan.items : []);
+    setUiIntent(plan?.ui_intent || '');
+    setImageRequests(Array.isArray(plan?.image_requests) ? plan.image_requests : []);
+  }, [pendingPlan]);
+
+  if (!pendingPlan) return null;
+
+  const plan = pendingPlan.plan || {};
+
+  const handleRemoveItem = (index) => {
+    setItems((prev) => prev.filter((_, idx) => idx !== index));
+  };
+
+  // Clicking the active decision again returns the request to undecided
+  const handleImageDecision = (index, approved) => {
+    setImageRequests((prev) => prev.map((request, idx) => (
+      idx === index ? { ...request, approved: request.approved === approved ? undefined : approved } : request
+    )));
+  };
+
+  const handleApprove = () => {
+    approvePlan({ ...plan, items, ui_intent: uiIntent, image_requests: imageRequests });
+  };
+
+  return (
+    <div className="plan-panel">
+      <div className="plan-header">
+        <h3>Review plan</h3>
+        {plan.summary && <p className="plan-summary">{plan.summary}</p>}
+      </div>
+
+      <div className="plan-section">
+        <div className="plan-section-title">Items ({items.length})</div>
+        {items.length === 0 && <div className="plan-empty">No items; the app is built from the prompt alone.</div>}
+        {items.map((item, index) => (
+          <div key={`${item.title}-${index}`} className="plan-item">
+            <div className="plan-item-text">
+              <span className="plan-item-title">{item.title || item.source_title || `Item ${index + 1}`}</span>
+              {item.summary && <span className="plan-item-summary">{item.summary}</span>}
+              {item.source_url && (
+                <a className="plan-item-source" href={item.source_url} target="_blank" rel="noreferrer">
+                  {item.source_title || item.source_url}
+                </a>
+              )}
+            </div>
+            <button
+              type="button"
+              className="attachment-remove"
+              onClick={() => handleRemoveItem(index)}
+              title="Remove item"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="plan-section">
+        <label className="plan-section-title" htmlFor="plan-ui-intent">Layout intent</label>
+        <textarea
+          id="plan-ui-intent"
+          className="plan-intent"
+          value={uiIntent}
+          onChange={(e) => setUiIntent(e.target.value)}
+          rows={2}
+          placeholder="e.g. grid of cards with a hero chart"
+        />
+      </div>
+
+      {imageRequests.length > 0 && (
+        <div className="plan-section">
+          <div className="plan-section-title">Image requests</div>
+          {imageRequests.map((request, index) => (
+            <div key={request.id || index} className="plan-item">
+              <div className="plan-item-text">
+                <span className="plan-item-summary">{request.prompt}</span>
+                {request.usage && <span className="plan-item-meta">{request.usage}{request.aspect_ratio ? ` · ${request.aspect_ratio}` : ''}</span>}
+              </div>
+              <div className="plan-image-actions">
+                <button
+                  type="button"
+                  className={`plan-toggle ${request.approved === true ? 'approved' : ''}`}
+                  onClick={() => handleImageDecision(index, true)}
+                  title="Generate this image before building the app"
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  className={`plan-toggle ${request.approved === false ? 'rejected' : ''}`}
+                  onClick={() => handleImageDecision(index, false)}
+                  title="Do not generate this image"
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="plan-actions">
+        <button type="button" className="btn btn-secondary" onClick={discardPlan} disabled={isLoading}>
+          Discard
+        </button>
+        <button type="button" className="btn btn-primary" onClick={handleApprove} disabled={isLoading}>
+          Generate app
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -43,17 +43,22 @@ body {
 }`
 };
 
-// Dependencies available in sandbox
-const SANDBOX_DEPENDENCIES = {
-  'react': '^18.2.0',
-  'react-dom': '^18.2.0',
-  'react-leaflet': '^4.2.1',
-  'leaflet': '^1.9.4',
-  'chart.js': '^4.4.1',
-  'react-chartjs-2': '^5.2.0',
-  'recharts': '^2.10.3',
-  'date-fns': '^3.0.6'
-};
+// Dependencies and stylesheets come from the backend's library registry.
+// Loaded once and shared by every preview (compare mode renders two).
+let sandboxConfigPromise = null;
+
+function loadSandboxConfig() {
+  if (!sandboxConfigPromise) {
+    sandboxConfigPromise = fetch('/api/sandbox/config')
+      .then((response) => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .catch((error) => {
+        // Retry on the next mount instead of caching the failure
+        sandboxConfigPromise = null;
+        throw error;
+      });
+  }
+  return sandboxConfigPromise;
+}
 
 const LOCAL_MEDIA_PREFIXES = [
   'http://localhost:5173/media/',
@@ -143,35 +148,67 @@ async function replaceLocalMediaUrls(code, cache) {
   return updated;
 }
 
-export default function SandboxPreview() {
-  const { currentSandbox, addLog, repairError } = useChat();
+// Map the generated file tree (App.js, styles.css, components/*, data/*, ...) to Sandpack paths
+function toSandpackFiles(sandbox) {
+  if (typeof sandbox === 'string') {
+    return { '/App.js': sandbox, '/styles.css': DEFAULT_FILES['/styles.css'] };
+  }
+
+  const files = {};
+  for (const [filePath, content] of Object.entries(sandbox)) {
+    if (typeof content !== 'string') continue;
+    const normalized = filePath.replace(/^\/+/, '');
+    if (!normalized || normalized.split('/').includes('..')) continue;
+    const target = normalized.toLowerCase() === 'app.js' ? '/App.js' : `/${normalized}`;
+    // index.js is the template entry point that mounts App
+    if (target === '/index.js') continue;
+    files[target] = content;
+  }
+
+  if (!files['/styles.css']) {
+    files['/styles.css'] = DEFAULT_FILES['/styles.css'];
+  }
+  return files;
+}
+
+// Shows the chat's current app, or `sandbox` when given (compare panes), in
+// which case variant tabs and Auto-fix are left out
+export default function SandboxPreview({ sandbox }) {
+  const { currentSandbox: chatSandbox, messages, selectVariant, addLog, repairError } = useChat();
+  const standalone = sandbox !== undefined;
+  const currentSandbox = standalone ? sandbox : chatSandbox;
   const [files, setFiles] = useState(DEFAULT_FILES);
   const [key, setKey] = useState(0);
+  const [sandboxConfig, setSandboxConfig] = useState(null);
   const mediaCacheRef = useRef(new Map());
 
+  useEffect(() => {
+    let cancelled = false;
+    loadSandboxConfig()
+      .then((config) => {
+        if (!cancelled) setSandboxConfig(config);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        // Apps still run on the template's react/react-dom
+        addLog('warning', `Failed to load sandbox libraries: ${error.message}`);
+        setSandboxConfig({ dependencies: {}, externalResources: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [addLog]);
+
   useEffect(() => {
     let cancelled = false;
 
     async function prepareSandbox() {
       if (!currentSandbox) return;
-      const newFiles = {
-        '/styles.css': currentSandbox['styles.css'] || DEFAULT_FILES['/styles.css']
-      };
-
-      // Handle App.js
-      if (currentSandbox['App.js']) {
-        newFiles['/App.js'] = currentSandbox['App.js'];
-      } else if (currentSandbox['app.js']) {
-        newFiles['/App.js'] = currentSandbox['app.js'];
-      } else if (typeof currentSandbox === 'string') {
-        newFiles['/App.js'] = currentSandbox;
-      }
+      const newFiles = toSandpackFiles(currentSandbox);
 
-      if (newFiles['/App.js']) {
-        newFiles['/App.js'] = await replaceLocalMediaUrls(newFiles['/App.js'], mediaCacheRef.current);
-      }
-      if (newFiles['/styles.css']) {
-        newFiles['/styles.css'] = await replaceLocalMediaUrls(newFiles['/styles.css'], mediaCacheRef.current);
+      // Inline local media in every file (components and data files can reference it too)
+      for (const [filePath, content] of Object.entries(newFiles)) {
+        newFiles[filePath] = await replaceLocalMediaUrls(content, mediaCacheRef.current);
       }
 
       if (cancelled) return;
@@ -191,20 +228,33 @@ export default function SandboxPreview() {
     }
   };
 
+  // Variants of the latest app, when it was generated with `variants`
+  const latest = messages.findLast(message => message.sandbox);
+  const variants = (!standalone && latest?.variants) || [];
+
+  if (!sandboxConfig) {
+    return (
+      <div className="sandbox-container">
+        <div className="sandbox-placeholder">Loading sandbox...</div>
+      </div>
+    );
+  }
+
   return (
     <div className="sandbox-container">
+      {variants.length > 1 && (
+        <VariantTabs variants={variants} selected={latest.selectedVariant || 0} onSelect={selectVariant} />
+      )}
       <SandpackProvider
         key={key}
         template="react"
         files={files}
         customSetup={{
-          dependencies: SANDBOX_DEPENDENCIES,
+          dependencies: sandboxConfig.dependencies,
           entry: '/index.js'
         }}
         options={{
-          externalResources: [
-            'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css'
-          ],
+          externalResources: sandboxConfig.externalResources,
           classes: {
             'sp-wrapper': 'sandbox-wrapper',
             'sp-layout': 'sandbox-layout',
@@ -219,12 +269,41 @@ export default function SandboxPreview() {
             showRefreshButton={true}
           />
         </SandpackLayout>
-        <ErrorHandler onError={handleError} onRepair={repairError} />
+        <ErrorHandler onError={handleError} onRepair={standalone ? null : repairError} />
       </SandpackProvider>
     </div>
   );
 }
 
+// One tab per variant: number, style direction and file count
+function VariantTabs({ variants, selected, onSelect }) {
+  return (
+    <div className="variant-tabs" role="tablist">
+      {variants.map((variant, index) => {
+        const fileCount = typeof variant.sandbox === 'string' ? 1 : Object.keys(variant.sandbox).length;
+        const [styleName] = (variant.style || '').split(':');
+        return (
+          <button
+            key={index}
+            type="button"
+            role="tab"
+            aria-selected={index === selected}
+            className={`variant-tab ${index === selected ? 'active' : ''}`}
+            onClick={() => index !== selected && onSelect(index)}
+            title={variant.style}
+          >
+            <span className="variant-thumb">{index + 1}</span>
+            <span className="variant-text">
+              <span className="variant-style">{styleName || `Variant ${index + 1}`}</span>
+              <span className="variant-meta">{fileCount} file{fileCount === 1 ? '' : 's'}</span>
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
 // Error handler component
 function ErrorHandler({ onError, onRepair }) {
   const { sandpack } = useSandpack();
@@ -263,12 +342,14 @@ function ErrorHandler({ onError, onRepair }) {
     <div className="error-banner">
       <ErrorIcon className="error-icon" />
       <span className="error-message">{error.message}</span>
-      <button
-        className="btn btn-repair"
-        onClick={() => onRepairRef.current?.(error.message)}
-      >
-        Auto-fix
-      </button>
+      {onRepair && (
+        <button
+          className="btn btn-repair"
+          onClick={() => onRepairRef.current?.(error.message)}
+        >
+          Auto-fix
+        </button>
+      )}
     </div>
   );
 }
@@ -10,7 +10,7 @@ export default function SessionModal() {
 
   const handleRestore = () => {
     if (sessionData?.messages) {
-      loadMessages(sessionData.messages);
+      loadMessages(sessionData.messages, sessionData.sessionId);
     }
     closeModal();
   };
@@ -1,22 +1,142 @@
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useRef, useEffect } from 'react';
 import { useSession } from './SessionContext';
 
 const ChatContext = createContext(null);
 
+// Log entry type used for each backend `status` phase
+const STATUS_LOG_TYPES = {
+  tools: 'tool',
+  images: 'tool',
+  repair: 'repair',
+  patch: 'sandbox',
+  preflight: 'sandbox',
+  fallback: 'warning'
+};
+
+// Reattach attempts after a job's event stream drops before the result
+const JOB_RECONNECT_ATTEMPTS = 5;
+const JOB_RECONNECT_DELAY_MS = 2000;
+
+// Identifies the conversation to the backend (rolling summary cache)
+function createSessionId() {
+  return window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
 const initialState = {
+  sessionId: createSessionId(),
   messages: [],
   isLoading: false,
   error: null,
   currentSandbox: null,
+  streamDraft: null,
   executionLog: [],
+  // Plan review: stop after planning so the user can edit the plan before generation
+  planReviewEnabled: false,
+  pendingPlan: null,
+  // Alternative apps generated per turn; the user picks one in the preview
+  variantCount: 1,
+  // Compare mode: each turn also runs on compareTarget; the user promotes one pane
+  compareEnabled: false,
+  compareTarget: { provider: 'openai', model: 'gpt-5-mini-2025-08-07' },
+  comparison: null,
   provider: 'gemini',
   model: 'gemini-3-flash-preview'
 };
 
+// One-line summary of a `toolsUsed` trace entry for the execution log
+function describeToolCall(tool) {
+  const origin = tool.source && tool.source !== 'model' ? ` [${tool.source}]` : '';
+  const duration = typeof tool.durationMs === 'number' ? ` in ${(tool.durationMs / 1000).toFixed(1)}s` : '';
+  const outcome = tool.status === 'ok' ? 'ok' : `${tool.status || 'error'}${tool.error ? `: ${tool.error}` : ''}`;
+  return `${tool.name}${origin} → ${outcome}${duration}`;
+}
+
+async function readErrorMessage(response) {
+  let errorMessage = `Server error: ${response.status}`;
+  try {
+    const errorData = await response.json();
+    errorMessage = errorData?.error || errorData?.message || errorMessage;
+  } catch {
+    try {
+      const text = await response.text();
+      if (text) errorMessage = text;
+    } catch {
+      // keep default
+    }
+  }
+  return errorMessage;
+}
+
+function createCodedError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function parseSseEvent(rawEvent) {
+  if (!rawEvent) return null;
+  const lines = rawEvent.split('\n');
+  let event = 'message';
+  let id = null;
+  const dataLines = [];
+  for (const line of lines) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    } else if (line.startsWith('id:')) {
+      id = Number(line.slice(3).trim()) || null;
+    }
+  }
+  if (dataLines.length === 0) return null;
+  const dataText = dataLines.join('\n');
+  let data = dataText;
+  try {
+    data = JSON.parse(dataText);
+  } catch {
+    // keep as string
+  }
+  return { id, event, data };
+}
+
+// Read a text/event-stream body, calling onEvent({ id, event, data }) for each event
+async function readSseEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let separatorIndex = buffer.indexOf('\n\n');
+    while (separatorIndex !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex + 2);
+      const parsedEvent = parseSseEvent(rawEvent);
+      if (parsedEvent) onEvent(parsedEvent);
+      separatorIndex = buffer.indexOf('\n\n');
+    }
+  }
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
 function chatReducer(state, action) {
   switch (action.type) {
     case 'SET_MESSAGES':
       return { ...state, messages: action.payload };
+    case 'SET_SESSION_ID':
+      return { ...state, sessionId: action.payload };
     case 'ADD_MESSAGE':
       return { ...state, messages: [...state.messages, action.payload] };
     case 'UPDATE_LAST_MESSAGE':
@@ -32,6 +152,16 @@ function chatReducer(state, action) {
       return { ...state, error: action.payload };
     case 'SET_SANDBOX':
       return { ...state, currentSandbox: action.payload };
+    case 'STREAM_DELTA': {
+      if (action.payload?.reset) {
+        return { ...state, streamDraft: null };
+      }
+      const draft = state.streamDraft || { message: '', code: '' };
+      const key = action.payload?.field === 'message' ? 'message' : 'code';
+      return { ...state, streamDraft: { ...draft, [key]: draft[key] + (action.payload?.text || '') } };
+    }
+    case 'CLEAR_STREAM':
+      return { ...state, streamDraft: null };
     case 'ADD_LOG':
       return {
         ...state,
@@ -43,8 +173,29 @@ function chatReducer(state, action) {
       return { ...state, provider: action.payload };
     case 'SET_MODEL':
       return { ...state, model: action.payload };
+    case 'SET_PLAN_REVIEW_ENABLED':
+      return { ...state, planReviewEnabled: action.payload };
+    case 'SET_PENDING_PLAN':
+      return { ...state, pendingPlan: action.payload };
+    case 'SET_VARIANT_COUNT':
+      return { ...state, variantCount: action.payload };
+    case 'SET_COMPARE_ENABLED':
+      return { ...state, compareEnabled: action.payload };
+    case 'SET_COMPARE_TARGET':
+      return { ...state, compareTarget: action.payload };
+    case 'SET_COMPARISON':
+      return { ...state, comparison: action.payload };
     case 'RESET':
-      return { ...initialState, provider: state.provider, model: state.model };
+      return {
+        ...initialState,
+        sessionId: createSessionId(),
+        provider: state.provider,
+        model: state.model,
+        planReviewEnabled: state.planReviewEnabled,
+        variantCount: state.variantCount,
+        compareEnabled: state.compareEnabled,
+        compareTarget: state.compareTarget
+      };
     default:
       return state;
   }
@@ -52,10 +203,13 @@ function chatReducer(state, action) {
 
 export function ChatProvider({ children }) {
   const [state, dispatch] = useReducer(chatReducer, initialState);
-  const { saveSession } = useSession();
+  const { saveSession, pendingJob, savePendingJob, clearPendingJob } = useSession();
+  const abortRef = useRef(null);
+  const jobRef = useRef(null);
+  const reattachedRef = useRef(false);
 
-  const addLog = useCallback((type, message) => {
-    dispatch({ type: 'ADD_LOG', payload: { type, message } });
+  const addLog = useCallback((type, message, details = {}) => {
+    dispatch({ type: 'ADD_LOG', payload: { ...details, type, message } });
   }, []);
 
   const uploadFiles = useCallback(async (files) => {
@@ -77,267 +231,495 @@ export function ChatProvider({ children }) {
     return data.files || [];
   }, [state.provider]);
 
-  const sendMessage = useCallback(async (content, files = []) => {
-    const userMessage = { role: 'user', content, timestamp: Date.now() };
-    dispatch({ type: 'ADD_MESSAGE', payload: userMessage });
-    dispatch({ type: 'SET_LOADING', payload: true });
-    dispatch({ type: 'CLEAR_LOG' });
-    dispatch({ type: 'SET_ERROR', payload: null });
-
-    addLog('info', 'Sending message to AI...');
-
-    try {
-      let attachments = [];
-      if (files.length > 0) {
-        addLog('info', `Uploading ${files.length} file(s)...`);
-        attachments = await uploadFiles(files);
-        const failed = attachments.filter(item => item.error);
-        if (failed.length > 0) {
-          addLog('warning', `${failed.length} file(s) uploaded with warnings`);
-        }
+  // Live progress shared by the stream and job endpoints: status lines go to the log,
+  // deltas to the streaming draft
+  const handleProgressEvent = useCallback(({ event, data }) => {
+    if (event === 'status') {
+      if (data?.message) {
+        const logType = data.error ? 'warning' : (STATUS_LOG_TYPES[data.phase] || 'info');
+        addLog(logType, data.message, { phase: data.phase, elapsedMs: data.elapsedMs });
       }
+    } else if (event === 'delta') {
+      dispatch({ type: 'STREAM_DELTA', payload: data });
+    }
+  }, [addLog]);
 
-      const userMessageWithFiles = { ...userMessage, attachments };
-      dispatch({ type: 'UPDATE_LAST_MESSAGE', payload: { attachments } });
-
-      const payload = {
-        messages: [...state.messages, userMessageWithFiles].map(m => ({
-          role: m.role,
-          content: m.content,
-          attachments: m.attachments
-        })),
-        provider: state.provider,
-        model: state.model
-      };
-
-      const readErrorMessage = async (response) => {
-        let errorMessage = `Server error: ${response.status}`;
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData?.error || errorData?.message || errorMessage;
-        } catch {
-          try {
-            const text = await response.text();
-            if (text) errorMessage = text;
-          } catch {
-            // keep default
-          }
-        }
-        return errorMessage;
-      };
-
-      const parseSseEvent = (rawEvent) => {
-        if (!rawEvent) return null;
-        const lines = rawEvent.split('\n');
-        let event = 'message';
-        const dataLines = [];
-        for (const line of lines) {
-          if (line.startsWith('event:')) {
-            event = line.slice(6).trim();
-          } else if (line.startsWith('data:')) {
-            dataLines.push(line.slice(5).trimStart());
-          }
-        }
-        if (dataLines.length === 0) return null;
-        const dataText = dataLines.join('\n');
-        let data = dataText;
-        try {
-          data = JSON.parse(dataText);
-        } catch {
-          // keep as string
-        }
-        return { event, data };
-      };
-
-      const fetchChatJson = async () => {
-        const response = await fetch('/api/chat', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload)
-        });
+  // Follow a job's events until its result. A dropped connection reattaches with
+  // Last-Event-ID so only the events that were missed are replayed.
+  const followJob = useCallback(async (jobId, signal) => {
+    let lastEventId = 0;
+    let failures = 0;
 
-        if (!response.ok) {
-          throw new Error(await readErrorMessage(response));
-        }
+    while (true) {
+      let result = null;
+      let jobError = null;
+      const resumeFrom = lastEventId;
 
-        return response.json();
-      };
-
-      const fetchChatStream = async () => {
-        const response = await fetch('/api/chat/stream', {
-          method: 'POST',
+      try {
+        const response = await fetch(`/api/chat/jobs/${jobId}/events`, {
           headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'text/event-stream'
+            'Accept': 'text/event-stream',
+            ...(lastEventId > 0 ? { 'Last-Event-ID': String(lastEventId) } : {})
           },
-          body: JSON.stringify(payload)
+          signal
         });
 
         if (response.status === 404) {
-          const err = new Error('SSE_UNSUPPORTED');
-          err.code = 'SSE_UNSUPPORTED';
-          throw err;
+          throw createCodedError('The generation is no longer available on the server', 'JOB_NOT_FOUND');
         }
 
         if (!response.ok) {
           throw new Error(await readErrorMessage(response));
         }
 
-        const contentType = response.headers.get('content-type') || '';
-        if (!contentType.includes('text/event-stream')) {
-          try {
-            return await response.json();
-          } catch {
-            const err = new Error('SSE_UNSUPPORTED');
-            err.code = 'SSE_UNSUPPORTED';
-            throw err;
+        await readSseEvents(response, (parsedEvent) => {
+          if (parsedEvent.id) lastEventId = parsedEvent.id;
+          if (parsedEvent.event === 'result') {
+            result = parsedEvent.data;
+          } else if (parsedEvent.event === 'error') {
+            jobError = parsedEvent.data?.error || 'Server error';
+          } else {
+            handleProgressEvent(parsedEvent);
           }
-        }
+        });
+      } catch (error) {
+        if (signal.aborted || error.code === 'JOB_NOT_FOUND') throw error;
+        console.warn('Job stream error:', error);
+      }
+
+      if (result) return result;
+      if (jobError) throw new Error(jobError);
+
+      failures = lastEventId > resumeFrom ? 1 : failures + 1;
+      if (failures > JOB_RECONNECT_ATTEMPTS) {
+        throw new Error('Lost connection to the generation job');
+      }
+      addLog('warning', `Connection lost, reattaching to the generation (attempt ${failures}/${JOB_RECONNECT_ATTEMPTS})...`);
+      await delay(JOB_RECONNECT_DELAY_MS, signal);
+    }
+  }, [addLog, handleProgressEvent]);
+
+  // Turn a chat result into the assistant message, sandbox update and log entries.
+  // `baseMessages` is the conversation up to and including the prompt.
+  const applyChatResult = useCallback((data, baseMessages, sessionId) => {
+    // Report which provider/model answered (differs from the selection after a fallback)
+    if (data.provider && data.model) {
+      const fallbackNote = data.fallbacks?.length ? ` after ${data.fallbacks.length} fallback(s)` : '';
+      addLog(data.fallbacks?.length ? 'warning' : 'info', `Answered by ${data.provider}/${data.model}${fallbackNote}`, { provider: data.provider, model: data.model });
+    }
 
-        if (!response.body) {
-          const err = new Error('SSE_UNSUPPORTED');
-          err.code = 'SSE_UNSUPPORTED';
-          throw err;
+    if (data.checkErrors?.length) {
+      addLog('warning', `App still fails ${data.checkErrors.length} check(s): ${data.checkErrors[0].path}: ${data.checkErrors[0].message}`);
+    }
+
+    // Process web search sources
+    if (data.sources && data.sources.length > 0) {
+      addLog('tool', `Web search: Found ${data.sources.length} sources`);
+    }
+
+    // Process tool usage
+    if (data.toolsUsed) {
+      data.toolsUsed.forEach(tool => {
+        addLog(tool.status === 'ok' ? 'tool' : 'warning', describeToolCall(tool), { toolCall: tool });
+      });
+    }
+
+    // Process parsed responses
+    const parsed = data.parsed || [];
+    let assistantContent = '';
+    let sandboxCode = null;
+    let sources = data.sources || [];
+
+    for (const item of parsed) {
+      if (item.type === 'thinking') {
+        addLog('thinking', item.content?.substring(0, 100) + '...');
+      } else if (item.type === 'sandbox') {
+        addLog('sandbox', item.patch ? `Patched ${item.patch.files.join(', ')}` : 'Building interactive app...');
+        sandboxCode = item.code;
+        // Check for sources in sandbox item
+        if (item.sources) {
+          sources = item.sources;
         }
+      } else if (item.type === 'message') {
+        assistantContent = item.content || '';
+      }
+    }
+
+    // Alternatives from a `variants` request; the primary one is shown first
+    const variants = (data.variants || [])
+      .map(variant => ({ style: variant.style, sandbox: variant.parsed?.find(item => item.type === 'sandbox')?.code }))
+      .filter(variant => variant.sandbox);
+    if (variants.length > 1) {
+      addLog('info', `Generated ${variants.length} variants, pick one in the preview`);
+    }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        let resultData = null;
-
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) break;
-          buffer += decoder.decode(value, { stream: true });
-
-          let separatorIndex = buffer.indexOf('\n\n');
-          while (separatorIndex !== -1) {
-            const rawEvent = buffer.slice(0, separatorIndex);
-            buffer = buffer.slice(separatorIndex + 2);
-            const parsedEvent = parseSseEvent(rawEvent);
-            if (parsedEvent) {
-              if (parsedEvent.event === 'result') {
-                resultData = parsedEvent.data;
-              } else if (parsedEvent.event === 'error') {
-                const message = parsedEvent.data?.error || parsedEvent.data?.message || 'Server error';
-                throw new Error(message);
-              } else if (parsedEvent.event === 'status') {
-                if (parsedEvent.data?.message) {
-                  addLog('info', parsedEvent.data.message);
-                }
-              }
-            }
-            separatorIndex = buffer.indexOf('\n\n');
+    // If sandbox code was generated, show a confirmation message
+    if (sandboxCode) {
+      assistantContent = assistantContent || 'Interactive app generated! You can interact with it on the right panel.';
+    }
+
+    // If still no content, check if it was a raw response
+    if (!assistantContent && !sandboxCode && data.content) {
+      // Check if raw content is JSON-like
+      const rawContent = data.content.trim();
+      if (rawContent.startsWith('{') || rawContent.startsWith('[')) {
+        // It's JSON that wasn't parsed properly, try to extract useful info
+        try {
+          const jsonData = JSON.parse(rawContent);
+          if (jsonData.type === 'sandbox' && jsonData.code) {
+            sandboxCode = jsonData.code;
+            assistantContent = 'Interactive app generated!';
+          } else if (jsonData.type === 'message') {
+            assistantContent = jsonData.content || '';
+          } else if (jsonData.content) {
+            assistantContent = jsonData.content;
           }
+        } catch {
+          // Not valid JSON, show as is but truncated
+          assistantContent = 'App generation in progress...';
         }
+      } else {
+        assistantContent = rawContent;
+      }
+    }
 
-        if (!resultData) {
-          throw new Error('No response from server');
-        }
+    const assistantMessage = {
+      role: 'assistant',
+      content: assistantContent,
+      sandbox: sandboxCode,
+      ...(variants.length > 1 && { variants, selectedVariant: 0 }),
+      provider: data.provider,
+      model: data.model,
+      timestamp: Date.now()
+    };
+
+    dispatch({ type: 'ADD_MESSAGE', payload: assistantMessage });
+
+    if (sandboxCode) {
+      dispatch({ type: 'SET_SANDBOX', payload: sandboxCode });
+      addLog('success', 'App ready!');
+    }
 
-        return resultData;
-      };
+    // Save session
+    saveSession([...baseMessages, assistantMessage], sessionId);
+  }, [addLog, saveSession]);
 
-      let data;
-      try {
-        data = await fetchChatStream();
-      } catch (error) {
-        if (error.code === 'SSE_UNSUPPORTED') {
-          data = await fetchChatJson();
-        } else {
-          throw error;
-        }
+  // Send one turn to the backend: a durable job when available, else the SSE
+  // stream, else plain JSON. Resolves to the chat result.
+  const requestChatTurn = useCallback(async (payload, baseMessages, signal) => {
+    const fetchChatJson = async () => {
+      const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
       }
 
-      // Process web search sources
-      if (data.sources && data.sources.length > 0) {
-        addLog('tool', `Web search: Found ${data.sources.length} sources`);
+      return response.json();
+    };
+
+    const fetchChatStream = async () => {
+      const response = await fetch('/api/chat/stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (response.status === 404) {
+        throw createCodedError('SSE_UNSUPPORTED', 'SSE_UNSUPPORTED');
       }
 
-      // Process tool usage
-      if (data.toolsUsed) {
-        data.toolsUsed.forEach(tool => {
-          addLog('tool', `Used tool: ${tool.name}`);
-        });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
       }
 
-      // Process parsed responses
-      const parsed = data.parsed || [];
-      let assistantContent = '';
-      let sandboxCode = null;
-      let sources = data.sources || [];
-
-      for (const item of parsed) {
-        if (item.type === 'thinking') {
-          addLog('thinking', item.content?.substring(0, 100) + '...');
-        } else if (item.type === 'sandbox') {
-          addLog('sandbox', 'Building interactive app...');
-          sandboxCode = item.code;
-          // Check for sources in sandbox item
-          if (item.sources) {
-            sources = item.sources;
-          }
-        } else if (item.type === 'message') {
-          assistantContent = item.content || '';
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('text/event-stream')) {
+        try {
+          return await response.json();
+        } catch {
+          throw createCodedError('SSE_UNSUPPORTED', 'SSE_UNSUPPORTED');
         }
       }
 
-      // If sandbox code was generated, show a confirmation message
-      if (sandboxCode) {
-        assistantContent = assistantContent || 'Interactive app generated! You can interact with it on the right panel.';
+      if (!response.body) {
+        throw createCodedError('SSE_UNSUPPORTED', 'SSE_UNSUPPORTED');
       }
 
-      // If still no content, check if it was a raw response
-      if (!assistantContent && !sandboxCode && data.content) {
-        // Check if raw content is JSON-like
-        const rawContent = data.content.trim();
-        if (rawContent.startsWith('{') || rawContent.startsWith('[')) {
-          // It's JSON that wasn't parsed properly, try to extract useful info
-          try {
-            const jsonData = JSON.parse(rawContent);
-            if (jsonData.type === 'sandbox' && jsonData.code) {
-              sandboxCode = jsonData.code;
-              assistantContent = 'Interactive app generated!';
-            } else if (jsonData.type === 'message') {
-              assistantContent = jsonData.content || '';
-            } else if (jsonData.content) {
-              assistantContent = jsonData.content;
-            }
-          } catch {
-            // Not valid JSON, show as is but truncated
-            assistantContent = 'App generation in progress...';
-          }
+      let resultData = null;
+      await readSseEvents(response, (parsedEvent) => {
+        if (parsedEvent.event === 'result') {
+          resultData = parsedEvent.data;
+        } else if (parsedEvent.event === 'error') {
+          const message = parsedEvent.data?.error || parsedEvent.data?.message || 'Server error';
+          throw new Error(message);
         } else {
-          assistantContent = rawContent;
+          handleProgressEvent(parsedEvent);
+        }
+      });
+
+      if (!resultData) {
+        throw new Error('No response from server');
+      }
+
+      return resultData;
+    };
+
+    // Preferred: a durable job that survives dropped connections and reloads
+    const fetchChatJob = async () => {
+      const response = await fetch('/api/chat/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (response.status === 404) {
+        throw createCodedError('JOBS_UNSUPPORTED', 'JOBS_UNSUPPORTED');
+      }
+
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+      }
+
+      const { jobId } = await response.json();
+      jobRef.current = jobId;
+      savePendingJob({ jobId, sessionId: payload.sessionId, messages: baseMessages });
+      return followJob(jobId, signal);
+    };
+
+    try {
+      return await fetchChatJob();
+    } catch (error) {
+      if (error.code !== 'JOBS_UNSUPPORTED') throw error;
+    }
+    try {
+      return await fetchChatStream();
+    } catch (error) {
+      if (error.code !== 'SSE_UNSUPPORTED') throw error;
+    }
+    return fetchChatJson();
+  }, [followJob, handleProgressEvent, savePendingJob]);
+
+  // Plan review step: the grounded plan and sources for this payload
+  const fetchPlan = useCallback(async (payload, signal) => {
+    const response = await fetch('/api/chat/plan', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    return response.json();
+  }, []);
+
+  const fetchComparison = useCallback(async (payload, signal) => {
+    const response = await fetch('/api/chat/compare', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    return response.json();
+  }, []);
+
+  // Error/stop handling for a turn whose prompt is already in the conversation
+  const failTurn = useCallback((error, controller, previousMessages) => {
+    if (controller.signal.aborted) {
+      // Drop the unanswered prompt so the next request starts from the last complete turn
+      dispatch({ type: 'SET_MESSAGES', payload: previousMessages });
+      addLog('warning', 'Generation stopped');
+      return;
+    }
+    console.error('Chat error:', error);
+    dispatch({ type: 'SET_ERROR', payload: error.message });
+    addLog('error', `Error: ${error.message}`);
+  }, [addLog]);
+
+  const endTurn = useCallback((controller) => {
+    if (abortRef.current === controller) abortRef.current = null;
+    jobRef.current = null;
+    clearPendingJob();
+    dispatch({ type: 'CLEAR_STREAM' });
+    dispatch({ type: 'SET_LOADING', payload: false });
+  }, [clearPendingJob]);
+
+  const sendMessage = useCallback(async (content, files = []) => {
+    const userMessage = { role: 'user', content, timestamp: Date.now() };
+    const controller = new AbortController();
+    abortRef.current = controller;
+    dispatch({ type: 'ADD_MESSAGE', payload: userMessage });
+    dispatch({ type: 'SET_LOADING', payload: true });
+    dispatch({ type: 'CLEAR_LOG' });
+    dispatch({ type: 'SET_ERROR', payload: null });
+
+    addLog('info', 'Sending message to AI...');
+
+    try {
+      let attachments = [];
+      if (files.length > 0) {
+        addLog('info', `Uploading ${files.length} file(s)...`);
+        attachments = await uploadFiles(files);
+        const failed = attachments.filter(item => item.error);
+        if (failed.length > 0) {
+          addLog('warning', `${failed.length} file(s) uploaded with warnings`);
         }
       }
 
-      const assistantMessage = {
-        role: 'assistant',
-        content: assistantContent,
-        sandbox: sandboxCode,
-        timestamp: Date.now()
+      const userMessageWithFiles = { ...userMessage, attachments };
+      dispatch({ type: 'UPDATE_LAST_MESSAGE', payload: { attachments } });
+      const baseMessages = [...state.messages, userMessageWithFiles];
+
+      const payload = {
+        messages: baseMessages.map(m => ({
+          role: m.role,
+          content: m.content,
+          attachments: m.attachments,
+          sandbox: m.role === 'assistant' ? m.sandbox || undefined : undefined
+        })),
+        provider: state.provider,
+        model: state.model,
+        sessionId: state.sessionId,
+        // Lets the model answer follow-up edits with a sandbox_patch against this app
+        sandbox: state.currentSandbox,
+        variants: state.variantCount > 1 ? state.variantCount : undefined
       };
 
-      dispatch({ type: 'ADD_MESSAGE', payload: assistantMessage });
+      if (state.compareEnabled) {
+        const targets = [{ provider: state.provider, model: state.model }, state.compareTarget];
+        addLog('info', `Comparing ${targets.map(target => `${target.provider}/${target.model}`).join(' vs ')}...`);
+        const { panes } = await fetchComparison({ ...payload, variants: undefined, targets }, controller.signal);
+        panes.forEach(pane => {
+          const label = `${pane.provider}/${pane.model || 'default'}`;
+          if (pane.status === 'ok') {
+            addLog('info', `${label}: ${(pane.latencyMs / 1000).toFixed(1)}s, ${pane.tokens?.total ?? '?'} tokens, ${pane.toolsUsed.length} tool call(s)`);
+          } else {
+            addLog('error', `${label}: ${pane.error}`);
+          }
+        });
+        dispatch({ type: 'SET_COMPARISON', payload: { panes, baseMessages, previousMessages: state.messages, sessionId: state.sessionId } });
+        return;
+      }
 
-      if (sandboxCode) {
-        dispatch({ type: 'SET_SANDBOX', payload: sandboxCode });
-        addLog('success', 'App ready!');
+      if (state.planReviewEnabled) {
+        addLog('info', 'Planning (review before generating)...');
+        const planned = await fetchPlan(payload, controller.signal);
+        dispatch({ type: 'SET_PENDING_PLAN', payload: { ...planned, payload, baseMessages, previousMessages: state.messages } });
+        addLog('info', `Plan ready for review: ${planned.plan?.items?.length || 0} item(s)`);
+        return;
       }
 
-      // Save session
-      const updatedMessages = [...state.messages, userMessageWithFiles, assistantMessage];
-      saveSession(updatedMessages);
+      const data = await requestChatTurn(payload, baseMessages, controller.signal);
+      applyChatResult(data, baseMessages, state.sessionId);
+    } catch (error) {
+      failTurn(error, controller, state.messages);
+    } finally {
+      endTurn(controller);
+    }
+  }, [state.messages, state.provider, state.model, state.currentSandbox, state.sessionId, state.planReviewEnabled, state.variantCount, state.compareEnabled, state.compareTarget, addLog, uploadFiles, requestChatTurn, fetchPlan, fetchComparison, applyChatResult, failTurn, endTurn]);
+
+  // Generate from the reviewed plan; the backend uses it as-is instead of re-planning
+  const approvePlan = useCallback(async (plan) => {
+    const review = state.pendingPlan;
+    if (!review) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    dispatch({ type: 'SET_PENDING_PLAN', payload: null });
+    dispatch({ type: 'SET_LOADING', payload: true });
+    addLog('info', 'Plan approved, generating app...');
 
+    try {
+      const data = await requestChatTurn({ ...review.payload, plan, sources: review.sources }, review.baseMessages, controller.signal);
+      applyChatResult(data, review.baseMessages, review.payload.sessionId);
     } catch (error) {
-      console.error('Chat error:', error);
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      addLog('error', `Error: ${error.message}`);
+      failTurn(error, controller, review.previousMessages);
     } finally {
-      dispatch({ type: 'SET_LOADING', payload: false });
+      endTurn(controller);
     }
-  }, [state.messages, state.provider, state.model, addLog, saveSession, uploadFiles]);
+  }, [state.pendingPlan, addLog, requestChatTurn, applyChatResult, failTurn, endTurn]);
+
+  const discardPlan = useCallback(() => {
+    if (!state.pendingPlan) return;
+    dispatch({ type: 'SET_MESSAGES', payload: state.pendingPlan.previousMessages });
+    dispatch({ type: 'SET_PENDING_PLAN', payload: null });
+    addLog('warning', 'Plan discarded');
+  }, [state.pendingPlan, addLog]);
+
+  const setPlanReviewEnabled = useCallback((enabled) => {
+    dispatch({ type: 'SET_PLAN_REVIEW_ENABLED', payload: enabled });
+  }, []);
+
+  // Keep one compare pane as the assistant's answer; the other is dropped
+  const promoteComparison = useCallback((index) => {
+    const comparison = state.comparison;
+    const pane = comparison?.panes[index];
+    if (!pane || pane.status !== 'ok') return;
+    dispatch({ type: 'SET_COMPARISON', payload: null });
+    addLog('success', `Promoted ${pane.provider}/${pane.model}`);
+    applyChatResult(pane, comparison.baseMessages, comparison.sessionId);
+  }, [state.comparison, addLog, applyChatResult]);
+
+  const discardComparison = useCallback(() => {
+    if (!state.comparison) return;
+    dispatch({ type: 'SET_MESSAGES', payload: state.comparison.previousMessages });
+    dispatch({ type: 'SET_COMPARISON', payload: null });
+    addLog('warning', 'Comparison discarded');
+  }, [state.comparison, addLog]);
+
+  const setCompareEnabled = useCallback((enabled) => {
+    dispatch({ type: 'SET_COMPARE_ENABLED', payload: enabled });
+  }, []);
+
+  const setCompareTarget = useCallback((target) => {
+    dispatch({ type: 'SET_COMPARE_TARGET', payload: target });
+  }, []);
+
+  const setVariantCount = useCallback((count) => {
+    dispatch({ type: 'SET_VARIANT_COUNT', payload: count });
+  }, []);
+
+  // Make variant `index` of the latest message with variants its sandbox, so
+  // follow-up turns and saved sessions use the chosen app
+  const selectVariant = useCallback((index) => {
+    const messageIndex = state.messages.findLastIndex(message => message.variants?.length);
+    const variant = state.messages[messageIndex]?.variants[index];
+    if (!variant) return;
+
+    const updatedMessages = state.messages.map((message, idx) => (
+      idx === messageIndex ? { ...message, sandbox: variant.sandbox, selectedVariant: index } : message
+    ));
+    dispatch({ type: 'SET_MESSAGES', payload: updatedMessages });
+    dispatch({ type: 'SET_SANDBOX', payload: variant.sandbox });
+    addLog('info', `Selected variant ${index + 1}${variant.style ? ` (${variant.style.split(':')[0]})` : ''}`);
+    saveSession(updatedMessages, state.sessionId);
+  }, [state.messages, state.sessionId, addLog, saveSession]);
+
+  // Abort the in-flight request; the server cancels its provider, tool and image calls.
+  // Jobs outlive their connection, so they are cancelled explicitly.
+  const stopGeneration = useCallback(() => {
+    if (jobRef.current) {
+      fetch(`/api/chat/jobs/${jobRef.current}`, { method: 'DELETE' }).catch(() => {});
+    }
+    abortRef.current?.abort();
+  }, []);
 
   const repairError = useCallback(async (errorMessage) => {
     dispatch({ type: 'SET_LOADING', payload: true });
@@ -385,7 +767,7 @@ export function ChatProvider({ children }) {
         const updatedMessages = state.messages.map((msg, idx) =>
           idx === state.messages.length - 1 ? { ...msg, sandbox: sandboxItem.code } : msg
         );
-        saveSession(updatedMessages);
+        saveSession(updatedMessages, state.sessionId);
       } else {
         throw new Error('No valid fix generated');
       }
@@ -396,7 +778,7 @@ export function ChatProvider({ children }) {
     } finally {
       dispatch({ type: 'SET_LOADING', payload: false });
     }
-  }, [state.messages, state.provider, state.model, addLog, saveSession]);
+  }, [state.messages, state.provider, state.model, state.sessionId, addLog, saveSession]);
 
   const resetChat = useCallback(() => {
     dispatch({ type: 'RESET' });
@@ -410,17 +792,56 @@ export function ChatProvider({ children }) {
     dispatch({ type: 'SET_MODEL', payload: model });
   }, []);
 
-  const loadMessages = useCallback((messages) => {
+  const loadMessages = useCallback((messages, sessionId) => {
     dispatch({ type: 'SET_MESSAGES', payload: messages });
+    if (sessionId) {
+      dispatch({ type: 'SET_SESSION_ID', payload: sessionId });
+    }
     const lastSandbox = [...messages].reverse().find(m => m.sandbox);
     if (lastSandbox?.sandbox) {
       dispatch({ type: 'SET_SANDBOX', payload: lastSandbox.sandbox });
     }
   }, []);
 
+  // Reattach to a job that was still running when the page was closed or reloaded
+  useEffect(() => {
+    if (!pendingJob || reattachedRef.current) return;
+    reattachedRef.current = true;
+
+    const reattach = async () => {
+      const controller = new AbortController();
+      abortRef.current = controller;
+      jobRef.current = pendingJob.jobId;
+      loadMessages(pendingJob.messages, pendingJob.sessionId);
+      dispatch({ type: 'SET_LOADING', payload: true });
+      addLog('info', 'Reattaching to an unfinished generation...');
+
+      try {
+        const data = await followJob(pendingJob.jobId, controller.signal);
+        applyChatResult(data, pendingJob.messages, pendingJob.sessionId);
+      } catch (error) {
+        failTurn(error, controller, pendingJob.messages.slice(0, -1));
+      } finally {
+        endTurn(controller);
+      }
+    };
+
+    reattach();
+  }, [pendingJob, loadMessages, followJob, applyChatResult, addLog, failTurn, endTurn]);
+
   const value = {
     ...state,
     sendMessage,
+    stopGeneration,
+    approvePlan,
+    discardPlan,
+    setPlanReviewEnabled,
+    setVariantCount,
+    selectVariant,
+    setCompareEnabled,
+    setCompareTarget,
+    promoteComparison,
+    discardComparison,
     repairError,
     resetChat,
     setProvider,
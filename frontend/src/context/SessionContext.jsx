@@ -3,14 +3,29 @@ import React, { createContext, useContext, useState, useCallback, useEffect } fr
 const SessionContext = createContext(null);
 
 const STORAGE_KEY = 'genui-chat-session';
+// Generation job still running when the page was closed: { jobId, sessionId, messages }
+const PENDING_JOB_KEY = 'genui-chat-pending-job';
 
 export function SessionProvider({ children }) {
   const [showModal, setShowModal] = useState(false);
   const [hasSavedSession, setHasSavedSession] = useState(false);
   const [sessionData, setSessionData] = useState(null);
+  const [pendingJob, setPendingJob] = useState(null);
 
   // Check for saved session on mount
   useEffect(() => {
+    try {
+      const job = JSON.parse(localStorage.getItem(PENDING_JOB_KEY) || 'null');
+      if (job?.jobId && Array.isArray(job.messages)) {
+        // ChatContext reattaches to the job, which restores its conversation
+        setPendingJob(job);
+        return;
+      }
+    } catch (error) {
+      console.error('Error loading pending job:', error);
+      localStorage.removeItem(PENDING_JOB_KEY);
+    }
+
     try {
       const saved = localStorage.getItem(STORAGE_KEY);
       if (saved) {
@@ -27,9 +42,10 @@ export function SessionProvider({ children }) {
     }
   }, []);
 
-  const saveSession = useCallback((messages) => {
+  const saveSession = useCallback((messages, sessionId) => {
     try {
       const data = {
+        sessionId,
         messages,
         savedAt: Date.now()
       };
@@ -51,6 +67,22 @@ export function SessionProvider({ children }) {
     }
   }, []);
 
+  const savePendingJob = useCallback((job) => {
+    try {
+      localStorage.setItem(PENDING_JOB_KEY, JSON.stringify(job));
+    } catch (error) {
+      console.error('Error saving pending job:', error);
+    }
+  }, []);
+
+  const clearPendingJob = useCallback(() => {
+    try {
+      localStorage.removeItem(PENDING_JOB_KEY);
+    } catch (error) {
+      console.error('Error clearing pending job:', error);
+    }
+  }, []);
+
   const closeModal = useCallback(() => {
     setShowModal(false);
   }, []);
@@ -61,7 +93,10 @@ export function SessionProvider({ children }) {
     sessionData,
     saveSession,
     clearSession,
-    closeModal
+    closeModal,
+    pendingJob,
+    savePendingJob,
+    clearPendingJob
   };
 
   return (